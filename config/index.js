@@ -1,6 +1,16 @@
 // config/index.js
 require("dotenv").config();
 
+// Parse a JSON-encoded environment variable
+const parseJsonEnv = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in environment variable: ${value}`);
+  }
+};
+
 const config = {
   // Database configuration
   database: {
@@ -55,6 +65,8 @@ const config = {
     port: process.env.PORT || 5000,
     env: process.env.NODE_ENV || "development",
     frontendUrl: process.env.FRONTEND_URL || "http://localhost:5173",
+    // IANA zone used when neither the user nor the organization sets one
+    timezone: process.env.DEFAULT_TIMEZONE || "UTC",
   },
 
   // Security configuration
@@ -62,6 +74,70 @@ const config = {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
     maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
     lockoutTime: parseInt(process.env.LOCKOUT_TIME) || 30 * 60 * 1000, // 30 minutes
+    twoFactorIssuer: process.env.TOTP_ISSUER || "Time Tracker",
+    twoFactorEncryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+    twoFactorLoginExpiry: process.env.TWO_FACTOR_LOGIN_EXPIRY || "5m",
+  },
+
+  // Outgoing mail configuration
+  mail: {
+    // "smtp" delivers for real, "file" writes messages to the outbox folder
+    transport: process.env.MAIL_TRANSPORT || "file",
+    from: process.env.MAIL_FROM || "Time Tracker <no-reply@time-tracker.local>",
+    outboxDir: process.env.MAIL_OUTBOX_DIR || "mail-outbox",
+    smtp: {
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+    },
+  },
+
+  // Password reset configuration
+  passwordReset: {
+    tokenExpiry: parseInt(process.env.PASSWORD_RESET_EXPIRY) || 60 * 60 * 1000, // 1 hour
+  },
+
+  // Email verification configuration
+  emailVerification: {
+    // Default until an admin changes it under /api/admin/settings
+    required: process.env.EMAIL_VERIFICATION_REQUIRED === "true",
+    tokenExpiry:
+      parseInt(process.env.EMAIL_VERIFICATION_EXPIRY) || 24 * 60 * 60 * 1000, // 24 hours
+    resendCooldown: 60 * 1000, // 1 minute between verification emails
+  },
+
+  // Invitation configuration
+  invitations: {
+    tokenExpiry:
+      parseInt(process.env.INVITATION_EXPIRY) || 7 * 24 * 60 * 60 * 1000, // 7 days
+  },
+
+  // OpenID Connect single sign-on configuration
+  oidc: {
+    enabled: process.env.OIDC_ENABLED === "true",
+    issuer: process.env.OIDC_ISSUER,
+    // Optional override when the discovery document is not under the issuer
+    discoveryUrl: process.env.OIDC_DISCOVERY_URL,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri:
+      process.env.OIDC_REDIRECT_URI ||
+      "http://localhost:5000/api/auth/oidc/callback",
+    scopes: process.env.OIDC_SCOPES || "openid email profile",
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || "groups",
+    // Create accounts on first SSO login for unknown email addresses
+    autoProvision: process.env.OIDC_AUTO_PROVISION !== "false",
+    // e.g. {"tt-admins":"admin","tt-leads":"manager"}; first match wins
+    roleMapping: parseJsonEnv(process.env.OIDC_ROLE_MAPPING, {}),
+    // e.g. {"team-a":["<organization uuid>"]}
+    organizationMapping: parseJsonEnv(
+      process.env.OIDC_ORGANIZATION_MAPPING,
+      {}
+    ),
+    stateExpiry: 10 * 60 * 1000, // 10 minutes to complete the IdP round trip
+    loginCodeExpiry: 60 * 1000, // 1 minute to exchange the login code
   },
 
   // Rate limiting configuration
@@ -96,6 +172,10 @@ if (config.server.env === "production") {
     throw new Error("JWT_SECRET must be changed in production");
   }
 
+  if (config.oidc.enabled && (!config.oidc.issuer || !config.oidc.clientId)) {
+    throw new Error("OIDC_ISSUER and OIDC_CLIENT_ID are required for SSO");
+  }
+
   if (config.jwt.secret.length < 32) {
     throw new Error(
       "JWT_SECRET must be at least 32 characters long in production"
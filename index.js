@@ -13,18 +13,22 @@ const {
   globalErrorHandler,
   handleNotFound,
 } = require("./middleware/errorHandler");
-const { sequelize } = require("./models");
+const { sequelize, Role } = require("./models");
 
 // Import routes
 const authRoutes = require("./routes/auth");
+const twoFactorRoutes = require("./routes/twoFactor");
 const userRoutes = require("./routes/users");
 const adminRoutes = require("./routes/admin");
+const roleRoutes = require("./routes/roles");
 const organizationRoutes = require("./routes/organization");
 const processRoutes = require("./routes/processes");
 const timesheetRoutes = require("./routes/timesheets");
+const timesheetPeriodRoutes = require("./routes/timesheetPeriods");
 const customerRoutes = require("./routes/customers");
 const projectRoutes = require("./routes/projects");
 const dailyLoginRoutes = require("./routes/dailyLogin");
+const invitationRoutes = require("./routes/invitations");
 
 const app = express();
 
@@ -81,15 +85,19 @@ app.get("/health", (req, res) => {
 });
 
 // API routes
+app.use("/api/auth/2fa", twoFactorRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/admin/roles", roleRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/organizations", organizationRoutes);
 app.use("/api/processes", processRoutes);
+app.use("/api/timesheets/periods", timesheetPeriodRoutes);
 app.use("/api/timesheets", timesheetRoutes);
 app.use("/api/customers", customerRoutes);
 app.use("/api/projects", projectRoutes);
 app.use("/api/daily-login", dailyLoginRoutes);
+app.use("/api/invitations", invitationRoutes);
 
 // 404 handler
 app.use(handleNotFound);
@@ -106,12 +114,18 @@ async function startServer() {
     await sequelize.authenticate();
     logger.info("Database connection established successfully");
 
-    // Sync database models (in development)
+    // Sync database models (in development). Roles go first and are seeded
+    // before the rest, as users.role references existing role names.
     if (config.server.env === "development") {
+      await Role.sync({ alter: true });
+      await Role.ensureDefaults();
       await sequelize.sync({ alter: true });
       logger.info("Database models synchronized");
     }
 
+    // Built-in roles must exist before anyone can be authorized
+    await Role.ensureDefaults();
+
     // Start server
     app.listen(PORT, "0.0.0.0", () => {
       logger.info(
@@ -138,6 +152,9 @@ process.on("SIGINT", async () => {
   process.exit(0);
 });
 
-startServer();
+// Tests load the app without starting the server
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
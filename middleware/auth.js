@@ -1,82 +1,206 @@
 // middleware/auth.js
 const jwt = require("jsonwebtoken");
-const { User } = require("../models");
+const { User, Session, ApiToken } = require("../models");
 const config = require("../config");
 const logger = require("../utils/logger");
 
 /**
- * Middleware to verify JWT token and attach user to request
+ * Authenticate a personal access token / service account token. The router
+ * decides which scope the current request needs; without one, tokens are
+ * refused so that endpoints have to opt in explicitly.
  */
-const authenticate = async (req, res, next) => {
-  try {
-    const authHeader = req.header("Authorization");
+const authenticateApiToken = async (req, res, next, token, requiredScope) => {
+  if (!requiredScope) {
+    return res.status(403).json({
+      success: false,
+      message: "API tokens are not accepted for this endpoint.",
+    });
+  }
 
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({
-        success: false,
-        message: "Access denied. No token provided.",
-      });
-    }
+  const apiToken = await ApiToken.findActive(token);
 
-    const token = authHeader.substring(7);
+  if (!apiToken || !apiToken.user || !apiToken.user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: "API token is invalid, expired or has been revoked.",
+    });
+  }
 
-    // Verify token
-    const decoded = jwt.verify(token, config.jwt.secret, {
-      issuer: config.jwt.issuer,
-      audience: config.jwt.audience,
+  if (!apiToken.hasScope(requiredScope)) {
+    logger.warn("API token missing scope", {
+      userId: apiToken.userId,
+      apiTokenId: apiToken.id,
+      requiredScope,
+      endpoint: `${req.method} ${req.originalUrl}`,
     });
 
-    // Get user from database
-    const user = await User.findByPk(decoded.id);
+    return res.status(403).json({
+      success: false,
+      message: `This API token is missing the "${requiredScope}" scope.`,
+    });
+  }
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Token is no longer valid. User not found.",
-      });
-    }
+  await apiToken.recordUsage(req.ip);
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: "Your account has been deactivated.",
-      });
-    }
+  req.user = apiToken.user;
+  req.apiToken = apiToken;
+  next();
+};
 
-    // Check if account is locked
-    if (user.isLocked()) {
-      return res.status(423).json({
-        success: false,
-        message: "Account is temporarily locked due to failed login attempts.",
-      });
-    }
+/**
+ * Build a middleware that verifies the JWT (or API token) and attaches user
+ * and session to the request.
+ *
+ * Options:
+ * - allowPendingTwoFactor: let through users whose role requires 2FA but
+ *   who have not enrolled yet (used by the enrollment endpoints)
+ * - allowUnverifiedEmail: let through users who still have to confirm their
+ *   email address while verification is enforced
+ * - apiTokenScope: function (req) => scope; enables API tokens on the router
+ *   and returns the scope a token needs for this request (null to refuse)
+ */
+const authenticateWith = (options = {}) => {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.header("Authorization");
 
-    // Attach user to request object
-    req.user = user;
-    next();
-  } catch (error) {
-    logger.error("Authentication error:", error);
+      if (!authHeader || !authHeader.startsWith("Bearer ")) {
+        return res.status(401).json({
+          success: false,
+          message: "Access denied. No token provided.",
+        });
+      }
 
-    if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token.",
+      const token = authHeader.substring(7);
+
+      if (ApiToken.isApiToken(token)) {
+        const requiredScope = options.apiTokenScope
+          ? options.apiTokenScope(req)
+          : null;
+        return await authenticateApiToken(req, res, next, token, requiredScope);
+      }
+
+      // Verify token
+      const decoded = jwt.verify(token, config.jwt.secret, {
+        issuer: config.jwt.issuer,
+        audience: config.jwt.audience,
       });
-    }
 
-    if (error.name === "TokenExpiredError") {
-      return res.status(401).json({
+      // Refresh and pending-2FA tokens are only accepted by their own endpoints
+      if (decoded.type) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid token.",
+        });
+      }
+
+      // Tokens must belong to a live server-side session
+      const session = decoded.sid ? await Session.findByPk(decoded.sid) : null;
+
+      if (!session || session.userId !== decoded.id || !session.isActive()) {
+        return res.status(401).json({
+          success: false,
+          message: "Session has expired or been revoked. Please log in again.",
+        });
+      }
+
+      // Get user from database
+      const user = await User.findByPk(decoded.id);
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: "Token is no longer valid. User not found.",
+        });
+      }
+
+      // Check if user is active
+      if (!user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: "Your account has been deactivated.",
+        });
+      }
+
+      // Reject tokens issued before the latest password change
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: "Password was changed recently. Please log in again.",
+        });
+      }
+
+      // Check if account is locked
+      if (user.isLocked()) {
+        return res.status(423).json({
+          success: false,
+          message:
+            "Account is temporarily locked due to failed login attempts.",
+        });
+      }
+
+      // Unverified accounts are limited to the auth endpoints until confirmed
+      if (
+        !options.allowUnverifiedEmail &&
+        (await user.needsEmailVerification())
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Please verify your email address to continue.",
+          emailVerificationRequired: true,
+        });
+      }
+
+      // Roles that require 2FA may only reach the enrollment endpoints.
+      // SSO sessions are exempt: second factors are the IdP's job there.
+      if (
+        !options.allowPendingTwoFactor &&
+        session.authMethod !== "oidc" &&
+        !user.twoFactorEnabled &&
+        (await user.isTwoFactorRequired())
+      ) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Two-factor authentication must be set up before using this account.",
+          twoFactorSetupRequired: true,
+        });
+      }
+
+      await session.touch(req.ip);
+
+      // Attach user and session to request object
+      req.user = user;
+      req.authSession = session;
+      next();
+    } catch (error) {
+      logger.error("Authentication error:", error);
+
+      if (error.name === "JsonWebTokenError") {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid token.",
+        });
+      }
+
+      if (error.name === "TokenExpiredError") {
+        return res.status(401).json({
+          success: false,
+          message: "Token has expired.",
+        });
+      }
+
+      return res.status(500).json({
         success: false,
-        message: "Token has expired.",
+        message: "Internal server error during authentication.",
       });
     }
-
-    return res.status(500).json({
-      success: false,
-      message: "Internal server error during authentication.",
-    });
-  }
+  };
 };
 
-module.exports = { authenticate };
+/**
+ * Middleware to verify JWT token and attach user to request
+ */
+const authenticate = authenticateWith();
+
+module.exports = { authenticate, authenticateWith };
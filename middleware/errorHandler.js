@@ -2,12 +2,14 @@
 const logger = require("../utils/logger");
 
 /**
- * Custom error class for operational errors
+ * Custom error class for operational errors. `details` are extra fields of
+ * the error response (e.g. the entries a time entry conflicts with).
  */
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details;
     this.status = `${statusCode}`.startsWith("4") ? "fail" : "error";
     this.isOperational = true;
 
@@ -70,6 +72,7 @@ const sendErrorDev = (err, req, res) => {
     success: false,
     error: err,
     message: err.message,
+    ...err.details,
     stack: err.stack,
   });
 };
@@ -93,6 +96,7 @@ const sendErrorProd = (err, req, res) => {
       success: false,
       message: err.message,
       ...(err.errors && { errors: err.errors }),
+      ...err.details,
     });
   }
 
@@ -0,0 +1,142 @@
+// middleware/orgAccess.js - Organization-scoped role checks
+const { UserOrganization } = require("../models");
+const { ORG_ROLES, PERMISSIONS, can } = require("./rbac");
+const { AppError } = require("./errorHandler");
+const logger = require("../utils/logger");
+
+// owner > admin (manage customers, projects, members) > member (log time)
+// > viewer (read only)
+const orgRoleHierarchy = {
+  owner: 4,
+  admin: 3,
+  member: 2,
+  viewer: 1,
+};
+
+const hasOrgRole = (role, requiredRole) =>
+  (orgRoleHierarchy[role] || 0) >= (orgRoleHierarchy[requiredRole] || 0);
+
+// Users allowed to manage all organizations are implicitly their owners
+const isGlobalAdmin = (user) => can(user, PERMISSIONS.ORGANIZATIONS_MANAGE);
+
+/**
+ * Role of a user in an organization (null when not a member)
+ */
+const getOrgRole = async (user, organizationId) => {
+  if (await isGlobalAdmin(user)) return ORG_ROLES.OWNER;
+  if (!organizationId) return null;
+
+  const membership = await UserOrganization.findOne({
+    where: { userId: user.id, organizationId },
+    attributes: ["role"],
+  });
+
+  return membership ? membership.role : null;
+};
+
+/**
+ * Ids of the organizations in which the user holds at least minRole, or
+ * null for global admins, who may access every organization
+ */
+const getAccessibleOrganizationIds = async (
+  user,
+  minRole = ORG_ROLES.VIEWER
+) => {
+  if (await isGlobalAdmin(user)) return null;
+
+  const memberships = await UserOrganization.findAll({
+    where: { userId: user.id },
+    attributes: ["organizationId", "role"],
+  });
+
+  return memberships
+    .filter((membership) => hasOrgRole(membership.role, minRole))
+    .map((membership) => membership.organizationId);
+};
+
+/**
+ * Check that req.user holds at least minRole in the organization and throw
+ * an AppError otherwise. Non-members get a 404 so that other organizations'
+ * data is not even confirmed to exist. Returns the user's role.
+ */
+const assertOrgRole = async (req, organizationId, minRole, options = {}) => {
+  const { notFoundMessage = "Organization not found" } = options;
+
+  const role = await getOrgRole(req.user, organizationId);
+
+  if (!role) {
+    throw new AppError(notFoundMessage, 404);
+  }
+
+  if (!hasOrgRole(role, minRole)) {
+    logger.warn("Organization access denied", {
+      userId: req.user.id,
+      organizationId,
+      orgRole: role,
+      requiredRole: minRole,
+      endpoint: `${req.method} ${req.originalUrl}`,
+    });
+
+    throw new AppError(
+      "You do not have permission to perform this action.",
+      403
+    );
+  }
+
+  return role;
+};
+
+/**
+ * Variant of assertOrgRole that sends the error response itself.
+ * Returns the user's role in the organization, or null when access was denied.
+ */
+const ensureOrgRole = async (
+  req,
+  res,
+  organizationId,
+  minRole,
+  options = {}
+) => {
+  try {
+    return await assertOrgRole(req, organizationId, minRole, options);
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+
+    res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+    return null;
+  }
+};
+
+/**
+ * Middleware variant of ensureOrgRole for routes with the organization id
+ * in the URL
+ */
+const requireOrgRole = (minRole, param = "id") => {
+  return async (req, res, next) => {
+    try {
+      const role = await ensureOrgRole(req, res, req.params[param], minRole);
+      if (!role) return;
+
+      req.orgRole = role;
+      next();
+    } catch (error) {
+      logger.error("Organization authorization error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Internal server error during authorization.",
+      });
+    }
+  };
+};
+
+module.exports = {
+  hasOrgRole,
+  getOrgRole,
+  getAccessibleOrganizationIds,
+  assertOrgRole,
+  ensureOrgRole,
+  requireOrgRole,
+};
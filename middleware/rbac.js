@@ -1,17 +1,83 @@
 // middleware/rbac.js
+const { Role } = require("../models");
+const { PERMISSIONS, ALL_PERMISSIONS } = require("../utils/permissions");
 const logger = require("../utils/logger");
 
+// Built-in roles (custom roles are managed under /api/admin/roles)
 const ROLES = {
   USER: "user",
   MANAGER: "manager",
   ADMIN: "admin",
 };
 
+// Roles a user can hold within a single organization
+const ORG_ROLES = {
+  OWNER: "owner",
+  ADMIN: "admin",
+  MEMBER: "member",
+  VIEWER: "viewer",
+};
+
+// Scopes that can be granted to API tokens
+const API_SCOPES = {
+  TIMESHEETS_READ: "timesheets:read",
+  TIMESHEETS_WRITE: "timesheets:write",
+  REPORTS_READ: "reports:read",
+};
+
+const isOwnOrTeamMember = (user, target, permissions) =>
+  target.id === user.id ||
+  (permissions.has(PERMISSIONS.TEAM_READ) && target.managerId === user.id);
+
+/**
+ * Rules that grant a permission for one resource when the user does not
+ * hold it globally. The resource is the user whose data is accessed.
+ */
+const resourceRules = {
+  [PERMISSIONS.USERS_READ]: isOwnOrTeamMember,
+  [PERMISSIONS.TIMESHEETS_READ_ALL]: isOwnOrTeamMember,
+  // Nobody approves their own timesheets through the team permission
+  [PERMISSIONS.TIMESHEETS_APPROVE]: (user, target, permissions) =>
+    permissions.has(PERMISSIONS.TEAM_APPROVE) && target.managerId === user.id,
+};
+
+/**
+ * Policy check: may the user perform the action, optionally on a specific
+ * resource? Permissions come from the user's role.
+ */
+const can = async (user, action, resource = null) => {
+  if (!user) return false;
+
+  const permissions = await Role.getPermissions(user.role);
+
+  if (permissions.has(ALL_PERMISSIONS) || permissions.has(action)) {
+    return true;
+  }
+
+  const rule = resourceRules[action];
+  return Boolean(resource && rule && rule(user, resource, permissions));
+};
+
+/**
+ * Whether the user may give the role to an account. Holders of roles:manage
+ * may assign any role, everyone else only roles that grant nothing they lack.
+ */
+const canAssignRole = async (user, roleName) => {
+  if (await can(user, PERMISSIONS.ROLES_MANAGE)) return true;
+
+  const [own, granted] = await Promise.all([
+    Role.getPermissions(user.role),
+    Role.getPermissions(roleName),
+  ]);
+  return [...granted].every((permission) => own.has(permission));
+};
+
 /**
- * Middleware to check if user has required role
+ * Middleware to check that the user holds at least one of the permissions
+ * (or a team-scoped variant checked later against the resource)
  */
-const authorize = (requiredRole) => {
-  return (req, res, next) => {
+const requirePermission = (...actions) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
         return res.status(401).json({
@@ -20,34 +86,23 @@ const authorize = (requiredRole) => {
         });
       }
 
-      const userRole = req.user.role;
-
-      // Define role hierarchy: admin > manager > user
-      const roleHierarchy = {
-        admin: 3,
-        manager: 2,
-        user: 1,
-      };
-
-      const userRoleLevel = roleHierarchy[userRole] || 0;
-      const requiredRoleLevel = roleHierarchy[requiredRole] || 0;
-
-      // Check if user has required role or higher
-      if (userRoleLevel < requiredRoleLevel) {
-        logger.warn("Access denied", {
-          userId: req.user.id,
-          userRole,
-          requiredRole,
-          endpoint: `${req.method} ${req.path}`,
-        });
-
-        return res.status(403).json({
-          success: false,
-          message: "You do not have permission to perform this action.",
-        });
+      for (const action of actions) {
+        if (await can(req.user, action)) {
+          return next();
+        }
       }
 
-      next();
+      logger.warn("Access denied", {
+        userId: req.user.id,
+        userRole: req.user.role,
+        requiredPermissions: actions,
+        endpoint: `${req.method} ${req.path}`,
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action.",
+      });
     } catch (error) {
       logger.error("Authorization error:", error);
       return res.status(500).json({
@@ -68,13 +123,13 @@ const requireUser = (req, res, next) => {
   next();
 };
 
-const requireAdmin = authorize(ROLES.ADMIN);
-const requireManager = authorize(ROLES.MANAGER);
-
 module.exports = {
   ROLES,
-  authorize,
+  ORG_ROLES,
+  API_SCOPES,
+  PERMISSIONS,
+  can,
+  canAssignRole,
+  requirePermission,
   requireUser,
-  requireAdmin,
-  requireManager,
 };
@@ -1,12 +1,18 @@
 // middleware/validation.js - UPDATED with manual time entry schema
 const Joi = require("joi");
 const logger = require("../utils/logger");
+const { ORG_ROLES, API_SCOPES, PERMISSIONS } = require("./rbac");
+const { ALL_PERMISSIONS } = require("../utils/permissions");
+const { isValidTimeZone } = require("../utils/timezone");
 
 // Common validation patterns
 const patterns = {
   uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
   password:
     /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/,
+  // Calendar day as YYYY-MM-DD and time of day as HH:mm
+  day: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^([01]\d|2[0-3]):[0-5]\d$/,
 };
 
 // Common field validations
@@ -30,9 +36,142 @@ const commonFields = {
     "string.max": "Name cannot exceed 100 characters",
   }),
 
-  role: Joi.string().valid("user", "admin").messages({
-    "any.only": "Role must be user or admin",
+  // Whether the role exists is checked against the roles table in the route
+  role: Joi.string()
+    .trim()
+    .lowercase()
+    .max(50)
+    .pattern(/^[a-z][a-z0-9_-]*$/)
+    .messages({
+      "string.pattern.base":
+        "Role names may only contain letters, digits, dashes and underscores",
+    }),
+
+  day: Joi.string().pattern(patterns.day).messages({
+    "string.pattern.base": "Dates must be given as YYYY-MM-DD",
   }),
+
+  time: Joi.string().pattern(patterns.time).messages({
+    "string.pattern.base": "Times must be given as HH:mm",
+  }),
+
+  // IANA zone such as Europe/Berlin
+  timezone: Joi.string()
+    .trim()
+    .max(64)
+    .custom((value, helpers) =>
+      isValidTimeZone(value) ? value : helpers.message("Unknown time zone")
+    ),
+};
+
+// A break of an entry given with the entry
+const entryBreakFields = Joi.object({
+  date: commonFields.day,
+  startTime: commonFields.time.required(),
+  endTime: commonFields.time.required(),
+  reason: Joi.string().trim().max(200),
+});
+
+// Shared by createTimeEntry and updateTimeEntry. An endTime at or before the
+// startTime ends the entry on the next day unless an endDate is given.
+const timeEntryFields = {
+  organizationId: commonFields.uuid,
+  customerId: commonFields.uuid,
+  projectId: commonFields.uuid.allow(null),
+  processId: commonFields.uuid,
+  activityId: commonFields.uuid,
+  workPlaceType: Joi.string().valid("organization", "customer", "home"),
+  workLocationAddress: Joi.string().trim().max(500).allow(""),
+  taskName: Joi.string().trim().min(2).max(300),
+  description: Joi.string().trim().allow(""),
+  notes: Joi.string().trim().max(1000).allow(""),
+  billable: Joi.boolean(),
+  date: commonFields.day,
+  startTime: commonFields.time,
+  endTime: commonFields.time,
+  // Day the entry ends on when it runs past midnight
+  endDate: commonFields.day,
+  breaks: Joi.array().items(entryBreakFields).max(20),
+  onOverlap: Joi.string().valid("reject", "trim"),
+  lockOverrideReason: Joi.string().trim().max(1000),
+};
+
+const createTimeEntry = Joi.object({
+  ...timeEntryFields,
+  organizationId: timeEntryFields.organizationId.required(),
+  customerId: timeEntryFields.customerId.required(),
+  processId: timeEntryFields.processId.required(),
+  activityId: timeEntryFields.activityId.required(),
+  workPlaceType: timeEntryFields.workPlaceType.required(),
+  taskName: timeEntryFields.taskName.required(),
+  date: timeEntryFields.date.required(),
+  startTime: timeEntryFields.startTime.required(),
+  endTime: timeEntryFields.endTime.required(),
+});
+
+// The entry's organization and references other than the project stay fixed
+const updateTimeEntry = Joi.object({
+  ...timeEntryFields,
+  organizationId: Joi.forbidden(),
+  customerId: Joi.forbidden(),
+  processId: Joi.forbidden(),
+  activityId: Joi.forbidden(),
+})
+  .min(1)
+  // Times are only moved as a whole
+  .and("date", "startTime", "endTime")
+  .with("endDate", ["date", "startTime", "endTime"]);
+
+// Mandatory breaks of an organization, e.g. 30 minutes after 6 hours
+const breakRules = Joi.array()
+  .items(
+    Joi.object({
+      afterMinutes: Joi.number().integer().min(1).max(1440).required(),
+      breakMinutes: Joi.number().integer().min(1).max(480).required(),
+    })
+  )
+  .max(10);
+
+// Shared by createEntryTemplate and updateEntryTemplate
+const entryTemplateFields = {
+  name: Joi.string().trim().min(1).max(100),
+  organizationId: commonFields.uuid,
+  customerId: commonFields.uuid,
+  projectId: commonFields.uuid.allow(null),
+  processId: commonFields.uuid,
+  activityId: commonFields.uuid,
+  workPlaceType: Joi.string().valid("organization", "customer", "home"),
+  workLocationAddress: Joi.string().trim().max(500).allow("", null),
+  taskName: Joi.string().trim().min(2).max(300),
+  description: Joi.string().trim().allow("", null),
+  notes: Joi.string().trim().max(1000).allow("", null),
+  startTime: commonFields.time.allow(null),
+  endTime: commonFields.time.allow(null),
+  recurrenceDays: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .unique()
+    .allow(null),
+  recurrenceStart: commonFields.day.allow(null),
+  recurrenceEnd: commonFields.day.allow(null),
+};
+
+// A recurrence needs times to place the generated entries at. An endTime
+// before the startTime ends the entry on the next day.
+const checkTemplateTimes = (value, helpers) => {
+  if (value.recurrenceDays?.length && !(value.startTime && value.endTime)) {
+    return helpers.message("Recurring templates need a startTime and endTime");
+  }
+  if (value.startTime && value.endTime && value.endTime === value.startTime) {
+    return helpers.message("End time must differ from start time");
+  }
+  if (
+    value.recurrenceStart &&
+    value.recurrenceEnd &&
+    value.recurrenceEnd < value.recurrenceStart
+  ) {
+    return helpers.message("The recurrence cannot end before it starts");
+  }
+  return value;
 };
 
 // Validation schemas
@@ -42,7 +181,6 @@ const schemas = {
     name: commonFields.name.required(),
     email: commonFields.email.required(),
     password: commonFields.password.required(),
-    role: commonFields.role.default("user"),
   }),
 
   login: Joi.object({
@@ -50,61 +188,318 @@ const schemas = {
     password: Joi.string().required(),
   }),
 
+  oidcExchange: Joi.object({
+    code: Joi.string().required(),
+  }),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required(),
+  }),
+
+  forgotPassword: Joi.object({
+    email: commonFields.email.required(),
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().trim().required(),
+  }),
+
+  emailVerificationSettings: Joi.object({
+    required: Joi.boolean().required(),
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().trim().required(),
+    password: commonFields.password.required(),
+  }),
+
   // User schemas
+  createUser: Joi.object({
+    name: commonFields.name.required(),
+    email: commonFields.email.required(),
+    password: commonFields.password.required(),
+    role: commonFields.role.default("user"),
+    managerId: commonFields.uuid.allow(null),
+    timezone: commonFields.timezone.allow(null),
+  }),
+
   updateUser: Joi.object({
     name: commonFields.name,
     email: commonFields.email,
     role: commonFields.role,
+    managerId: commonFields.uuid.allow(null),
+    timezone: commonFields.timezone.allow(null),
     isActive: Joi.boolean(),
   }).min(1),
 
-  // Time entry schema - NEW STRUCTURE
-  createTimeEntry: Joi.object({
+  // Two-factor schemas
+  loginTwoFactor: Joi.object({
+    twoFactorToken: Joi.string().required(),
+    code: Joi.string().trim(),
+    recoveryCode: Joi.string().trim(),
+  }).xor("code", "recoveryCode"),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        "string.pattern.base": "Code must be 6 digits",
+      }),
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().trim(),
+    recoveryCode: Joi.string().trim(),
+  }).xor("code", "recoveryCode"),
+
+  twoFactorSettings: Joi.object({
+    requiredRoles: Joi.array().items(commonFields.role).unique().required(),
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: commonFields.password
+      .required()
+      .invalid(Joi.ref("currentPassword"))
+      .messages({
+        "any.invalid": "New password must be different from the current one",
+      }),
+  }),
+
+  // Invitation schemas
+  createInvitation: Joi.object({
+    email: commonFields.email.required(),
+    name: commonFields.name,
+    role: commonFields.role.default("user"),
+    organizationIds: Joi.array()
+      .items(commonFields.uuid.required())
+      .min(1)
+      .unique()
+      .required(),
+  }),
+
+  acceptInvitation: Joi.object({
+    token: Joi.string().trim().required(),
+    name: commonFields.name.required(),
+    password: commonFields.password.required(),
+  }),
+
+  invitationToken: Joi.object({
+    token: Joi.string().trim().required(),
+  }),
+
+  // API token schemas
+  createApiToken: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...Object.values(API_SCOPES)))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        "any.only": `Scopes must be one of: ${Object.values(API_SCOPES).join(", ")}`,
+      }),
+    expiresAt: Joi.date().greater("now").allow(null),
+  }),
+
+  createServiceAccount: Joi.object({
+    name: commonFields.name.required(),
+    role: commonFields.role.default("user"),
+  }),
+
+  apiTokenParams: Joi.object({
+    id: commonFields.uuid.required(),
+    tokenId: commonFields.uuid.required(),
+  }),
+
+  tokenIdParam: Joi.object({
+    tokenId: commonFields.uuid.required(),
+  }),
+
+  sessionParams: Joi.object({
+    id: commonFields.uuid.required(),
+    sessionId: commonFields.uuid.required(),
+  }),
+
+  sessionIdParam: Joi.object({
+    sessionId: commonFields.uuid.required(),
+  }),
+
+  // Manual entries with wall-clock times in the organization's time zone
+  createTimeEntry,
+  updateTimeEntry,
+
+  // Operations are checked with the same rules as the single entry routes
+  batchTimeEntries: Joi.object({
+    operations: Joi.array()
+      .items(
+        Joi.object({
+          action: Joi.string().valid("create", "update", "delete").required(),
+          id: commonFields.uuid.when("action", {
+            is: "create",
+            then: Joi.forbidden(),
+            otherwise: Joi.required(),
+          }),
+          data: Joi.when("action", {
+            switch: [
+              { is: "create", then: createTimeEntry.required() },
+              { is: "update", then: updateTimeEntry.required() },
+            ],
+            // Deletes only take options such as lockOverrideReason
+            otherwise: Joi.object({
+              lockOverrideReason: Joi.string().trim().max(1000),
+            }),
+          }),
+        })
+      )
+      .min(1)
+      .max(100)
+      .required(),
+  }),
+
+  // Timer schemas
+  startTimer: Joi.object({
     organizationId: commonFields.uuid.required(),
     customerId: commonFields.uuid.required(),
+    projectId: commonFields.uuid.allow(null),
     processId: commonFields.uuid.required(),
     activityId: commonFields.uuid.required(),
-    workLocationType: Joi.string()
+    workPlaceType: Joi.string()
       .valid("organization", "customer", "home")
       .required(),
+    workLocationAddress: Joi.string().trim().max(500).allow(""),
     taskName: Joi.string().trim().min(2).max(300).required(),
-    date: Joi.date().required(),
-    startTime: Joi.date().required().messages({
-      "date.base": "Start time must be a valid date",
-      "any.required": "Start time is required",
-    }),
-    endTime: Joi.date().required().greater(Joi.ref("startTime")).messages({
-      "date.base": "End time must be a valid date",
-      "any.required": "End time is required",
-      "date.greater": "End time must be after start time",
-    }),
+    description: Joi.string().trim().allow(""),
     notes: Joi.string().trim().max(1000).allow(""),
+    billable: Joi.boolean(),
+    lockOverrideReason: Joi.string().trim().max(1000),
   }),
 
-  updateTimeEntry: Joi.object({
-    organizationId: commonFields.uuid,
-    customerId: commonFields.uuid,
-    processId: commonFields.uuid,
-    activityId: commonFields.uuid,
-    workLocationType: Joi.string().valid("organization", "customer", "home"),
+  pauseTimer: Joi.object({
+    reason: Joi.string().trim().max(200).default("Break"),
+    lockOverrideReason: Joi.string().trim().max(1000),
+  }),
+
+  resumeTimer: Joi.object({
+    lockOverrideReason: Joi.string().trim().max(1000),
+  }),
+
+  stopTimer: Joi.object({
+    description: Joi.string().trim().allow(""),
+    notes: Joi.string().trim().max(1000).allow(""),
+    onOverlap: Joi.string().valid("reject", "trim"),
+    lockOverrideReason: Joi.string().trim().max(1000),
+  }),
+
+  // Placed within the entry like the breaks given with it
+  entryBreak: entryBreakFields.keys({
+    lockOverrideReason: Joi.string().trim().max(1000),
+  }),
+
+  entryBreakParams: Joi.object({
+    id: commonFields.uuid.required(),
+    breakId: commonFields.uuid.required(),
+  }),
+
+  copyEntries: Joi.object({
+    sourceStart: commonFields.day.required(),
+    sourceEnd: commonFields.day,
+    targetStart: commonFields.day.required(),
+    // Defaults to as many days as the source covers
+    targetEnd: commonFields.day,
+    keepNotes: Joi.boolean().default(true),
+    mode: Joi.string().valid("preview", "commit").default("preview"),
+  }).custom((value, helpers) => {
+    const days = (from, to) => (new Date(to) - new Date(from)) / 86400000 + 1;
+
+    if (value.sourceEnd && days(value.sourceStart, value.sourceEnd) < 1) {
+      return helpers.message("sourceEnd must not be before sourceStart");
+    }
+    if (value.sourceEnd && days(value.sourceStart, value.sourceEnd) > 7) {
+      return helpers.message("The source can cover at most 7 days");
+    }
+    if (value.targetEnd && days(value.targetStart, value.targetEnd) < 1) {
+      return helpers.message("targetEnd must not be before targetStart");
+    }
+    if (value.targetEnd && days(value.targetStart, value.targetEnd) > 31) {
+      return helpers.message("The target can cover at most 31 days");
+    }
+    return value;
+  }),
+
+  confirmDraftEntries: Joi.object({
+    ids: Joi.array().items(commonFields.uuid).min(1).max(500).required(),
+    lockOverrideReason: Joi.string().trim().max(1000),
+  }),
+
+  // Whose entries to list or report on; other query parameters pass through
+  entryOwnerQuery: Joi.object({
+    userId: Joi.alternatives(commonFields.uuid, Joi.string().valid("all")),
+  }).unknown(true),
+
+  // Entry template schemas
+  createEntryTemplate: Joi.object({
+    ...entryTemplateFields,
+    name: entryTemplateFields.name.required(),
+    organizationId: entryTemplateFields.organizationId.required(),
+    customerId: entryTemplateFields.customerId.required(),
+    processId: entryTemplateFields.processId.required(),
+    activityId: entryTemplateFields.activityId.required(),
+    workPlaceType: entryTemplateFields.workPlaceType.required(),
+    taskName: entryTemplateFields.taskName.required(),
+  }).custom(checkTemplateTimes),
+
+  // Times and recurrence are checked against the stored values by the model
+  updateEntryTemplate: Joi.object(entryTemplateFields).min(1),
+
+  entryFromTemplate: Joi.object({
+    date: commonFields.day.required(),
+    startTime: commonFields.time,
+    endTime: commonFields.time,
+    endDate: commonFields.day,
     taskName: Joi.string().trim().min(2).max(300),
-    date: Joi.date(),
-    startTime: Joi.date(),
-    endTime: Joi.date(),
+    description: Joi.string().trim().allow(""),
     notes: Joi.string().trim().max(1000).allow(""),
-  })
-    .min(1)
-    .custom((value, helpers) => {
-      // Validate that endTime is after startTime if both are provided
-      if (
-        value.startTime &&
-        value.endTime &&
-        new Date(value.endTime) <= new Date(value.startTime)
-      ) {
-        return helpers.message("End time must be after start time");
-      }
-      return value;
+    projectId: commonFields.uuid.allow(null),
+    onOverlap: Joi.string().valid("reject", "trim"),
+    lockOverrideReason: Joi.string().trim().max(1000),
+  }),
+
+  generateTemplateEntries: Joi.object({
+    from: commonFields.day.required(),
+    to: commonFields.day.required(),
+    templateIds: Joi.array().items(commonFields.uuid).min(1),
+  }).custom((value, helpers) => {
+    if (value.to < value.from) {
+      return helpers.message("The range must not end before it starts");
+    }
+    if (new Date(value.to) - new Date(value.from) > 31 * 24 * 60 * 60 * 1000) {
+      return helpers.message("Entries can be generated for up to 31 days");
+    }
+    return value;
+  }),
+
+  // Timesheet period schemas
+  periodWeekParam: Joi.object({
+    date: Joi.date().iso().required(),
+  }),
+
+  submitTimesheetPeriod: Joi.object({
+    comment: Joi.string().trim().max(1000).allow(""),
+  }),
+
+  reviewTimesheetPeriod: Joi.object({
+    comments: Joi.string().trim().max(1000).allow(""),
+  }),
+
+  rejectTimesheetPeriod: Joi.object({
+    comments: Joi.string().trim().min(1).max(1000).required().messages({
+      "any.required": "Comments are required when rejecting a timesheet",
     }),
+  }),
 
   // Organization schemas
   createOrganization: Joi.object({
@@ -131,6 +526,7 @@ const schemas = {
     address: Joi.string().trim().max(500),
     workLocation: Joi.string().trim().max(500),
     isActive: Joi.boolean().default(true),
+    billable: Joi.boolean().allow(null),
   }),
 
   updateCustomer: Joi.object({
@@ -142,6 +538,7 @@ const schemas = {
     address: Joi.string().trim().max(500),
     workLocation: Joi.string().trim().max(500),
     isActive: Joi.boolean(),
+    billable: Joi.boolean().allow(null),
   }).min(1),
 
   // Organization schemas
@@ -149,14 +546,111 @@ const schemas = {
     name: Joi.string().trim().min(2).max(200).required(),
     workLocation: Joi.string().trim().max(255),
     address: Joi.string().trim().max(500),
+    overlapPolicy: Joi.string().valid("forbid", "warn", "allow"),
+    timezone: commonFields.timezone.allow(null),
+    breakRules,
+    breakPolicy: Joi.string().valid("warn", "deduct", "reject"),
   }),
 
   updateOrganization: Joi.object({
     name: Joi.string().trim().min(2).max(200),
     workLocation: Joi.string().trim().max(255),
     address: Joi.string().trim().max(500),
+    overlapPolicy: Joi.string().valid("forbid", "warn", "allow"),
+    timezone: commonFields.timezone.allow(null),
+    breakRules,
+    breakPolicy: Joi.string().valid("warn", "deduct", "reject"),
   }).min(1),
 
+  addOrganizationMember: Joi.object({
+    userId: commonFields.uuid.required(),
+    role: Joi.string()
+      .valid(...Object.values(ORG_ROLES))
+      .default(ORG_ROLES.MEMBER),
+  }),
+
+  updateOrganizationMember: Joi.object({
+    role: Joi.string()
+      .valid(...Object.values(ORG_ROLES))
+      .required(),
+  }),
+
+  organizationMemberParams: Joi.object({
+    id: commonFields.uuid.required(),
+    userId: commonFields.uuid.required(),
+  }),
+
+  createLockedPeriod: Joi.object({
+    startDate: commonFields.day.required(),
+    endDate: commonFields.day.required(),
+    reason: Joi.string().trim().max(500).allow(""),
+  }).custom((value, helpers) => {
+    if (value.endDate < value.startDate) {
+      return helpers.message("End date must not be before start date");
+    }
+    return value;
+  }),
+
+  createHoliday: Joi.object({
+    date: commonFields.day.required(),
+    name: Joi.string().trim().min(1).max(200).required(),
+  }),
+
+  holidayParams: Joi.object({
+    id: commonFields.uuid.required(),
+    holidayId: commonFields.uuid.required(),
+  }),
+
+  lockedPeriodParams: Joi.object({
+    id: commonFields.uuid.required(),
+    lockId: commonFields.uuid.required(),
+  }),
+
+  // Set the fields of one scope: userId + projectId, projectId, customerId,
+  // activityId or none for the organization default
+  createRateCard: Joi.object({
+    userId: commonFields.uuid,
+    projectId: commonFields.uuid,
+    customerId: commonFields.uuid,
+    activityId: commonFields.uuid,
+    hourlyRate: Joi.number().min(0).precision(2).required(),
+    costRate: Joi.number().min(0).precision(2).allow(null),
+    currency: Joi.string().trim().uppercase().length(3),
+    effectiveFrom: commonFields.day.required(),
+    effectiveTo: commonFields.day.allow(null),
+  }).custom((value, helpers) => {
+    if (value.effectiveTo && value.effectiveTo < value.effectiveFrom) {
+      return helpers.message("A rate cannot end before it takes effect");
+    }
+    return value;
+  }),
+
+  rateCardParams: Joi.object({
+    id: commonFields.uuid.required(),
+    rateCardId: commonFields.uuid.required(),
+  }),
+
+  // Role schemas
+  createRole: Joi.object({
+    name: commonFields.role.required(),
+    description: Joi.string().trim().max(255).allow(""),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...Object.values(PERMISSIONS), ALL_PERMISSIONS))
+      .unique()
+      .required(),
+  }),
+
+  updateRole: Joi.object({
+    description: Joi.string().trim().max(255).allow(""),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...Object.values(PERMISSIONS), ALL_PERMISSIONS))
+      .unique(),
+  }).min(1),
+
+  roleNameParam: Joi.object({
+    name: commonFields.role.required(),
+  }),
+
   // UUID param validation
   uuidParam: Joi.object({
     id: commonFields.uuid.required(),
@@ -192,6 +686,7 @@ const schemas = {
     description: Joi.string().trim().max(1000),
     estimatedMinutes: Joi.number().min(0),
     isActive: Joi.boolean().default(true),
+    billable: Joi.boolean().allow(null),
   }),
 
   updateActivity: Joi.object({
@@ -199,6 +694,7 @@ const schemas = {
     description: Joi.string().trim().max(1000),
     estimatedMinutes: Joi.number().min(0),
     isActive: Joi.boolean(),
+    billable: Joi.boolean().allow(null),
   }).min(1),
 };
 
@@ -28,6 +28,11 @@ module.exports = (sequelize, DataTypes) => {
       description: {
         type: DataTypes.TEXT,
       },
+      billable: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true,
+        comment: "Default for time logged against it, null to inherit",
+      },
     },
     {
       tableName: "activities",
@@ -0,0 +1,167 @@
+// models/ApiToken.js - Personal access tokens for scripts and integrations
+const { Op } = require("sequelize");
+const { hashToken, generateRandomToken } = require("../utils/tokens");
+
+// Raw tokens look like "ttp_<random>" so they are easy to tell from JWTs
+const TOKEN_PREFIX = "ttp_";
+
+// Avoid a write on every request; last-used precision of a minute is enough
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  const ApiToken = sequelize.define(
+    "ApiToken",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "user_id",
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+          len: [2, 100],
+        },
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        field: "token_hash",
+      },
+      tokenHint: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: "First characters of the token so users can recognise it",
+        field: "token_hint",
+      },
+      scopes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "expires_at",
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "last_used_at",
+      },
+      lastUsedIp: {
+        type: DataTypes.STRING(45), // IPv6 max length
+        allowNull: true,
+        field: "last_used_ip",
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "revoked_at",
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "created_by",
+      },
+    },
+    {
+      tableName: "api_tokens",
+      indexes: [
+        {
+          fields: ["user_id"],
+          name: "idx_api_tokens_user",
+        },
+      ],
+    }
+  );
+
+  ApiToken.TOKEN_PREFIX = TOKEN_PREFIX;
+
+  // Associations
+  ApiToken.associate = (models) => {
+    ApiToken.belongsTo(models.User, {
+      foreignKey: "userId",
+      as: "user",
+      onDelete: "CASCADE",
+    });
+  };
+
+  // Instance methods
+  ApiToken.prototype.hasScope = function (scope) {
+    return (this.scopes || []).includes(scope);
+  };
+
+  ApiToken.prototype.recordUsage = async function (ipAddress) {
+    const now = Date.now();
+    if (
+      this.lastUsedAt &&
+      now - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS
+    ) {
+      return this;
+    }
+
+    return this.update({ lastUsedAt: new Date(now), lastUsedIp: ipAddress });
+  };
+
+  ApiToken.prototype.toJSON = function () {
+    const values = { ...this.get() };
+    delete values.tokenHash;
+    return values;
+  };
+
+  // Static methods
+  ApiToken.isApiToken = (token) =>
+    typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+  /**
+   * Create a token and return the raw value, which is only shown once
+   */
+  ApiToken.issue = async function (userId, attributes, options = {}) {
+    const token = `${TOKEN_PREFIX}${generateRandomToken()}`;
+
+    const apiToken = await this.create(
+      {
+        ...attributes,
+        userId,
+        tokenHash: hashToken(token),
+        tokenHint: token.slice(0, TOKEN_PREFIX.length + 6),
+      },
+      { transaction: options.transaction }
+    );
+
+    return { apiToken, token };
+  };
+
+  /**
+   * Look up a raw token that is neither revoked nor expired
+   */
+  ApiToken.findActive = function (token) {
+    return this.findOne({
+      where: {
+        tokenHash: hashToken(token),
+        revokedAt: null,
+        [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }],
+      },
+      include: [{ model: sequelize.models.User, as: "user" }],
+    });
+  };
+
+  return ApiToken;
+};
@@ -60,6 +60,11 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         field: "is_active",
       },
+      billable: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true,
+        comment: "Default for time logged against it, null to inherit",
+      },
     },
     {
       tableName: "customers",
@@ -1,4 +1,11 @@
 // models/DailyLoginTracker.js
+const { Op } = require("sequelize");
+const { addDays, getZonedDay, resolveTimeZone } = require("../utils/timezone");
+
+// How long after its first login a day that was not ended (e.g. a night
+// shift) still counts as the current one
+const OPEN_DAY_HOURS = 16;
+
 module.exports = (sequelize, DataTypes) => {
   const DailyLoginTracker = sequelize.define(
     "DailyLoginTracker",
@@ -130,22 +137,24 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   // Static methods
+  // loginDate is the day in the user's zone (see User#getTimeZone)
   DailyLoginTracker.trackFirstLogin = async function (
     userId,
     loginTime,
     ipAddress,
     userAgent,
-    location = null
+    location = null,
+    timeZone = resolveTimeZone()
   ) {
-    const loginDate = new Date(loginTime).toISOString().split("T")[0]; // YYYY-MM-DD format
+    const loginDate = getZonedDay(timeZone, loginTime); // YYYY-MM-DD format
 
-    // Check if there's already a record for this user and date
-    const existingTracker = await this.findOne({
-      where: {
-        userId,
-        loginDate,
-      },
-    });
+    // Check if there's already a record for this user and date, or a shift
+    // from the day before that is still going on
+    const existingTracker = await this.getTodayTracker(
+      userId,
+      loginTime,
+      timeZone
+    );
 
     if (existingTracker) {
       // Already tracked for today, return existing record
@@ -213,17 +222,35 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  /**
+   * The tracker of the user's working day at `date`. A day started the day
+   * before and not ended yet still counts, so a shift running past midnight
+   * ends on the tracker it started on.
+   */
   DailyLoginTracker.getTodayTracker = async function (
     userId,
-    date = new Date()
+    date = new Date(),
+    timeZone = resolveTimeZone()
   ) {
-    const loginDate = date.toISOString().split("T")[0];
-    return await this.findOne({
+    const loginDate = getZonedDay(timeZone, date);
+    const tracker = await this.findOne({
       where: {
         userId,
         loginDate,
       },
     });
+    if (tracker) return tracker;
+
+    return await this.findOne({
+      where: {
+        userId,
+        loginDate: addDays(loginDate, -1),
+        dayEndTime: null,
+        firstLoginTime: {
+          [Op.gt]: new Date(new Date(date) - OPEN_DAY_HOURS * 60 * 60 * 1000),
+        },
+      },
+    });
   };
 
   return DailyLoginTracker;
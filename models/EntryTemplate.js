@@ -0,0 +1,229 @@
+// models/EntryTemplate.js - Saved time entry presets, optionally recurring
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+module.exports = (sequelize, DataTypes) => {
+  const EntryTemplate = sequelize.define(
+    "EntryTemplate",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "user_id",
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "organizations",
+          key: "id",
+        },
+        field: "organization_id",
+      },
+      customerId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "customers",
+          key: "id",
+        },
+        field: "customer_id",
+      },
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "projects",
+          key: "id",
+        },
+        field: "project_id",
+      },
+      processId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "processes",
+          key: "id",
+        },
+        field: "process_id",
+      },
+      activityId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "activities",
+          key: "id",
+        },
+        field: "activity_id",
+      },
+      workPlaceType: {
+        type: DataTypes.ENUM("organization", "customer", "home"),
+        allowNull: false,
+        field: "work_location_type",
+      },
+      workPlaceAddress: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: "work_location_address",
+      },
+      taskName: {
+        type: DataTypes.STRING(300),
+        allowNull: false,
+        field: "task_name",
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      startTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        comment: "Default start as HH:mm",
+        validate: { is: TIME_PATTERN },
+        field: "start_time",
+      },
+      endTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        comment: "Default end as HH:mm, before startTime means the next day",
+        validate: { is: TIME_PATTERN },
+        field: "end_time",
+      },
+      recurrenceDays: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: "Weekdays (0 = Sunday) drafts are generated on, null if none",
+        field: "recurrence_days",
+      },
+      recurrenceStart: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        field: "recurrence_start",
+      },
+      recurrenceEnd: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        field: "recurrence_end",
+      },
+    },
+    {
+      tableName: "entry_templates",
+      validate: {
+        recurrenceHasTimes() {
+          if (
+            this.recurrenceDays?.length &&
+            !(this.startTime && this.endTime)
+          ) {
+            throw new Error("Recurring templates need a startTime and endTime");
+          }
+        },
+        endsAfterStart() {
+          if (
+            this.startTime &&
+            this.endTime &&
+            this.endTime === this.startTime
+          ) {
+            throw new Error("End time must differ from start time");
+          }
+        },
+      },
+      indexes: [
+        {
+          fields: ["user_id"],
+          name: "idx_entry_templates_user",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  EntryTemplate.associate = (models) => {
+    EntryTemplate.belongsTo(models.User, {
+      foreignKey: "userId",
+      as: "user",
+    });
+
+    EntryTemplate.belongsTo(models.Organization, {
+      foreignKey: "organizationId",
+      as: "organization",
+    });
+
+    EntryTemplate.belongsTo(models.Customer, {
+      foreignKey: "customerId",
+      as: "customer",
+    });
+
+    EntryTemplate.belongsTo(models.Project, {
+      foreignKey: "projectId",
+      as: "workProject",
+    });
+
+    EntryTemplate.belongsTo(models.Process, {
+      foreignKey: "processId",
+      as: "process",
+    });
+
+    EntryTemplate.belongsTo(models.Activity, {
+      foreignKey: "activityId",
+      as: "activity",
+    });
+  };
+
+  // Instance methods
+  EntryTemplate.prototype.isRecurring = function () {
+    return (
+      Array.isArray(this.recurrenceDays) &&
+      this.recurrenceDays.length > 0 &&
+      Boolean(this.startTime && this.endTime)
+    );
+  };
+
+  // Whether the recurrence produces an entry on the YYYY-MM-DD date
+  EntryTemplate.prototype.recursOn = function (date) {
+    if (!this.isRecurring()) return false;
+    if (this.recurrenceStart && date < this.recurrenceStart) return false;
+    if (this.recurrenceEnd && date > this.recurrenceEnd) return false;
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return this.recurrenceDays.includes(weekday);
+  };
+
+  // Body for the entry helpers in routes/timesheets.js
+  EntryTemplate.prototype.toEntryData = function () {
+    return {
+      organizationId: this.organizationId,
+      customerId: this.customerId,
+      projectId: this.projectId,
+      processId: this.processId,
+      activityId: this.activityId,
+      workPlaceType: this.workPlaceType,
+      workLocationAddress: this.workPlaceAddress,
+      taskName: this.taskName,
+      description: this.description,
+      notes: this.notes,
+      startTime: this.startTime,
+      endTime: this.endTime,
+    };
+  };
+
+  return EntryTemplate;
+};
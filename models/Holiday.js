@@ -0,0 +1,72 @@
+// models/Holiday.js - Days off of an organization, skipped by recurring entries
+const { Op } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  const Holiday = sequelize.define(
+    "Holiday",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "organizations",
+          key: "id",
+        },
+        field: "organization_id",
+      },
+      date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      name: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+    },
+    {
+      tableName: "holidays",
+      indexes: [
+        {
+          unique: true,
+          fields: ["organization_id", "date"],
+          name: "unique_holiday_per_organization_date",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  Holiday.associate = (models) => {
+    Holiday.belongsTo(models.Organization, {
+      foreignKey: "organizationId",
+      as: "organization",
+    });
+  };
+
+  // Static methods
+
+  // Set of "organizationId:YYYY-MM-DD" keys for quick lookups
+  Holiday.findKeysBetween = async function (organizationIds, from, to) {
+    const holidays = await this.findAll({
+      where: {
+        organizationId: { [Op.in]: organizationIds },
+        date: { [Op.between]: [from, to] },
+      },
+      attributes: ["organizationId", "date"],
+    });
+
+    return new Set(
+      holidays.map((holiday) => `${holiday.organizationId}:${holiday.date}`)
+    );
+  };
+
+  return Holiday;
+};
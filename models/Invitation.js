@@ -0,0 +1,178 @@
+// models/Invitation.js
+const { Op } = require("sequelize");
+const { hashToken, generateRandomToken } = require("../utils/tokens");
+
+module.exports = (sequelize, DataTypes) => {
+  const Invitation = sequelize.define(
+    "Invitation",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      email: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+          isEmail: true,
+        },
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: "Suggested name, the invitee can change it when accepting",
+      },
+      role: {
+        type: DataTypes.STRING(50),
+        defaultValue: "user",
+        allowNull: false,
+      },
+      organizationIds: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: "Organizations the user joins on acceptance",
+        field: "organization_ids",
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        field: "token_hash",
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "expires_at",
+      },
+      invitedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "invited_by",
+      },
+      acceptedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "accepted_at",
+      },
+      acceptedUserId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "accepted_user_id",
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "revoked_at",
+      },
+    },
+    {
+      tableName: "invitations",
+      indexes: [
+        {
+          fields: ["email"],
+          name: "idx_invitations_email",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  Invitation.associate = (models) => {
+    Invitation.belongsTo(models.User, {
+      foreignKey: "invitedBy",
+      as: "inviter",
+    });
+
+    Invitation.belongsTo(models.User, {
+      foreignKey: "acceptedUserId",
+      as: "acceptedUser",
+    });
+  };
+
+  // Instance methods
+  Invitation.prototype.getStatus = function () {
+    if (this.acceptedAt) return "accepted";
+    if (this.revokedAt) return "revoked";
+    if (this.expiresAt <= new Date()) return "expired";
+    return "pending";
+  };
+
+  Invitation.prototype.isPending = function () {
+    return this.getStatus() === "pending";
+  };
+
+  /**
+   * Replace the token (and expiry) and return the raw value to email out
+   */
+  Invitation.prototype.renewToken = async function (expiresIn, options = {}) {
+    const token = generateRandomToken();
+
+    await this.update(
+      {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + expiresIn),
+      },
+      { transaction: options.transaction }
+    );
+
+    return token;
+  };
+
+  Invitation.prototype.toJSON = function () {
+    const values = { ...this.get() };
+    delete values.tokenHash;
+    values.status = this.getStatus();
+    return values;
+  };
+
+  // Static methods
+  Invitation.issue = async function (attributes, expiresIn, options = {}) {
+    const token = generateRandomToken();
+
+    const invitation = await this.create(
+      {
+        ...attributes,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + expiresIn),
+      },
+      { transaction: options.transaction }
+    );
+
+    return { invitation, token };
+  };
+
+  Invitation.findByToken = function (token, options = {}) {
+    return this.findOne({
+      where: { tokenHash: hashToken(token) },
+      ...options,
+    });
+  };
+
+  Invitation.revokePendingForEmail = async function (email, options = {}) {
+    const [count] = await this.update(
+      { revokedAt: new Date() },
+      {
+        where: {
+          email,
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { [Op.gt]: new Date() },
+        },
+        transaction: options.transaction,
+      }
+    );
+    return count;
+  };
+
+  return Invitation;
+};
@@ -0,0 +1,85 @@
+// models/LockOverride.js - Audit trail of changes made inside locked periods
+module.exports = (sequelize, DataTypes) => {
+  const LockOverride = sequelize.define(
+    "LockOverride",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      lockedPeriodId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "locked_periods",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+        field: "locked_period_id",
+      },
+      organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "organizations",
+          key: "id",
+        },
+        field: "organization_id",
+      },
+      timeEntryId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "Not a foreign key so the record survives deleted entries",
+        field: "time_entry_id",
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        comment: "Who made the change",
+        field: "user_id",
+      },
+      action: {
+        type: DataTypes.ENUM("create", "update", "delete"),
+        allowNull: false,
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "lock_overrides",
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ["organization_id"],
+          name: "idx_lock_overrides_organization",
+        },
+        {
+          fields: ["locked_period_id"],
+          name: "idx_lock_overrides_period",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  LockOverride.associate = (models) => {
+    LockOverride.belongsTo(models.LockedPeriod, {
+      foreignKey: "lockedPeriodId",
+      as: "lockedPeriod",
+    });
+
+    LockOverride.belongsTo(models.User, {
+      foreignKey: "userId",
+      as: "user",
+    });
+  };
+
+  return LockOverride;
+};
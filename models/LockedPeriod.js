@@ -0,0 +1,101 @@
+// models/LockedPeriod.js - Closed accounting periods of an organization
+const { Op } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  const LockedPeriod = sequelize.define(
+    "LockedPeriod",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "organizations",
+          key: "id",
+        },
+        field: "organization_id",
+      },
+      startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        field: "start_date",
+      },
+      endDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        comment: "Last locked day (inclusive)",
+        field: "end_date",
+        validate: {
+          isAfterStart(value) {
+            if (value < this.startDate) {
+              throw new Error("End date must not be before start date");
+            }
+          },
+        },
+      },
+      reason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: "e.g. June payroll and invoicing",
+      },
+      lockedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "locked_by",
+      },
+    },
+    {
+      tableName: "locked_periods",
+      indexes: [
+        {
+          fields: ["organization_id", "start_date", "end_date"],
+          name: "idx_locked_periods_range",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  LockedPeriod.associate = (models) => {
+    LockedPeriod.belongsTo(models.Organization, {
+      foreignKey: "organizationId",
+      as: "organization",
+    });
+
+    LockedPeriod.belongsTo(models.User, {
+      foreignKey: "lockedBy",
+      as: "locker",
+    });
+
+    LockedPeriod.hasMany(models.LockOverride, {
+      foreignKey: "lockedPeriodId",
+      as: "overrides",
+    });
+  };
+
+  // Static methods
+
+  // Locked period of the organization containing the date, if any
+  LockedPeriod.findCovering = function (organizationId, date, options = {}) {
+    const day = new Date(date).toISOString().slice(0, 10);
+
+    return this.findOne({
+      where: {
+        organizationId,
+        startDate: { [Op.lte]: day },
+        endDate: { [Op.gte]: day },
+      },
+      transaction: options.transaction,
+    });
+  };
+
+  return LockedPeriod;
+};
@@ -1,4 +1,6 @@
 // models/Organization.js
+const { isValidTimeZone } = require("../utils/timezone");
+
 module.exports = (sequelize, DataTypes) => {
   const Organization = sequelize.define(
     "Organization",
@@ -25,12 +27,78 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING(500),
         allowNull: true,
       },
+      overlapPolicy: {
+        type: DataTypes.ENUM("forbid", "warn", "allow"),
+        defaultValue: "forbid",
+        allowNull: false,
+        comment: "What happens when a user's time entries overlap",
+        field: "overlap_policy",
+      },
+      timezone: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: "Default IANA zone for members without one of their own",
+        validate: {
+          isTimeZone(value) {
+            if (value && !isValidTimeZone(value)) {
+              throw new Error("Unknown time zone");
+            }
+          },
+        },
+      },
+      breakRules: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment:
+          "Mandatory breaks as [{ afterMinutes, breakMinutes }], e.g. 30 minutes after 6 hours of work",
+        field: "break_rules",
+        validate: {
+          isRuleList(value) {
+            const isMinutes = (minutes) =>
+              Number.isInteger(minutes) && minutes > 0;
+            if (
+              !Array.isArray(value) ||
+              !value.every(
+                (rule) =>
+                  isMinutes(rule?.afterMinutes) && isMinutes(rule?.breakMinutes)
+              )
+            ) {
+              throw new Error(
+                "Break rules need a positive afterMinutes and breakMinutes"
+              );
+            }
+          },
+        },
+      },
+      breakPolicy: {
+        type: DataTypes.ENUM("warn", "deduct", "reject"),
+        defaultValue: "warn",
+        allowNull: false,
+        comment:
+          "What happens when an entry has less break than breakRules require",
+        field: "break_policy",
+      },
     },
     {
       tableName: "organizations",
     }
   );
 
+  /**
+   * Break minutes the rules require for the given minutes of work: those of
+   * the strictest rule whose threshold is exceeded
+   */
+  Organization.prototype.getRequiredBreakMinutes = function (workedMinutes) {
+    return (this.breakRules || []).reduce(
+      (required, rule) =>
+        workedMinutes > rule.afterMinutes
+          ? Math.max(required, rule.breakMinutes)
+          : required,
+      0
+    );
+  };
+
   Organization.associate = function (models) {
     Organization.hasMany(models.Customer, {
       foreignKey: "organizationId",
@@ -54,6 +122,11 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "organizationId",
       as: "timeEntries",
     });
+
+    Organization.hasMany(models.RateCard, {
+      foreignKey: "organizationId",
+      as: "rateCards",
+    });
   };
 
   return Organization;
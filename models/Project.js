@@ -35,6 +35,11 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         field: "is_active",
       },
+      billable: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true,
+        comment: "Default for time logged against it, null to inherit",
+      },
       startDate: {
         type: DataTypes.DATEONLY,
         allowNull: true,
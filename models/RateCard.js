@@ -0,0 +1,263 @@
+// models/RateCard.js - Effective-dated hourly rates of an organization
+const { Op } = require("sequelize");
+
+// What a card applies to, from the most specific match to the least. A card
+// sets exactly the fields of one scope (none for the organization default).
+const SCOPES = [
+  { name: "userProject", fields: ["userId", "projectId"] },
+  { name: "project", fields: ["projectId"] },
+  { name: "customer", fields: ["customerId"] },
+  { name: "activity", fields: ["activityId"] },
+  { name: "organization", fields: [] },
+];
+
+const SCOPE_FIELDS = ["userId", "projectId", "customerId", "activityId"];
+
+module.exports = (sequelize, DataTypes) => {
+  const RateCard = sequelize.define(
+    "RateCard",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "organizations",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+        field: "organization_id",
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+        field: "user_id",
+      },
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "projects",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+        field: "project_id",
+      },
+      customerId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "customers",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+        field: "customer_id",
+      },
+      activityId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "activities",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+        field: "activity_id",
+      },
+      hourlyRate: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: "Billed to the customer per hour of billable time",
+        field: "hourly_rate",
+        validate: { min: 0 },
+      },
+      costRate: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: "Internal cost per hour worked",
+        field: "cost_rate",
+        validate: { min: 0 },
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: "EUR",
+        validate: { is: /^[A-Z]{3}$/ },
+      },
+      effectiveFrom: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        field: "effective_from",
+      },
+      effectiveTo: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: "Last day (inclusive) the rate applies, null while current",
+        field: "effective_to",
+        validate: {
+          isAfterStart(value) {
+            if (value && value < this.effectiveFrom) {
+              throw new Error("A rate cannot end before it takes effect");
+            }
+          },
+        },
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "created_by",
+      },
+    },
+    {
+      tableName: "rate_cards",
+      validate: {
+        hasScope() {
+          if (!this.getScope()) {
+            throw new Error(
+              "A rate card applies to a user on a project, a project, a customer, an activity or the whole organization"
+            );
+          }
+        },
+      },
+      indexes: [
+        {
+          fields: ["organization_id", "effective_from"],
+          name: "idx_rate_cards_organization",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  RateCard.associate = (models) => {
+    RateCard.belongsTo(models.Organization, {
+      foreignKey: "organizationId",
+      as: "organization",
+    });
+
+    RateCard.belongsTo(models.User, {
+      foreignKey: "userId",
+      as: "user",
+    });
+
+    RateCard.belongsTo(models.Project, {
+      foreignKey: "projectId",
+      as: "project",
+    });
+
+    RateCard.belongsTo(models.Customer, {
+      foreignKey: "customerId",
+      as: "customer",
+    });
+
+    RateCard.belongsTo(models.Activity, {
+      foreignKey: "activityId",
+      as: "activity",
+    });
+
+    RateCard.belongsTo(models.User, {
+      foreignKey: "createdBy",
+      as: "creator",
+    });
+  };
+
+  // Instance methods
+
+  // Name of the scope the card's fields describe, null for other combinations
+  RateCard.prototype.getScope = function () {
+    const scope = SCOPES.find(({ fields }) =>
+      SCOPE_FIELDS.every((field) => fields.includes(field) === !!this[field])
+    );
+    return scope ? scope.name : null;
+  };
+
+  RateCard.prototype.isEffectiveOn = function (day) {
+    return (
+      this.effectiveFrom <= day &&
+      (!this.effectiveTo || this.effectiveTo >= day)
+    );
+  };
+
+  // Whether the card's scope covers the entry
+  RateCard.prototype.appliesTo = function (entry) {
+    return SCOPE_FIELDS.every(
+      (field) => !this[field] || this[field] === entry[field]
+    );
+  };
+
+  // Static methods
+
+  /**
+   * The rate card for each entry (by id): the most specific card of the
+   * entry's organization in effect on the entry's date, or null
+   */
+  RateCard.findForEntries = async function (entries, options = {}) {
+    const matches = new Map();
+    if (entries.length === 0) return matches;
+
+    const days = entries.map((entry) => entry.date).sort();
+    const cards = await this.findAll({
+      where: {
+        organizationId: [
+          ...new Set(entries.map((entry) => entry.organizationId)),
+        ],
+        effectiveFrom: { [Op.lte]: days[days.length - 1] },
+        [Op.or]: [
+          { effectiveTo: null },
+          { effectiveTo: { [Op.gte]: days[0] } },
+        ],
+      },
+      transaction: options.transaction,
+    });
+
+    for (const entry of entries) {
+      const candidates = cards.filter(
+        (card) =>
+          card.organizationId === entry.organizationId &&
+          card.isEffectiveOn(entry.date) &&
+          card.appliesTo(entry)
+      );
+
+      const card = SCOPES.map(({ name }) =>
+        candidates.find((candidate) => candidate.getScope() === name)
+      ).find(Boolean);
+      matches.set(entry.id, card || null);
+    }
+
+    return matches;
+  };
+
+  /**
+   * Cards of the same organization and scope whose dates touch or follow
+   * `day`, i.e. the ones a new card starting that day would overlap
+   */
+  RateCard.findSameScopeFrom = function (card, day, options = {}) {
+    const where = {
+      organizationId: card.organizationId,
+      [Op.or]: [{ effectiveTo: null }, { effectiveTo: { [Op.gte]: day } }],
+    };
+    for (const field of SCOPE_FIELDS) {
+      where[field] = card[field] || null;
+    }
+
+    return this.findAll({
+      where,
+      order: [["effectiveFrom", "ASC"]],
+      transaction: options.transaction,
+    });
+  };
+
+  return RateCard;
+};
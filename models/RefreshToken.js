@@ -0,0 +1,147 @@
+// models/RefreshToken.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { hashToken } = require("../utils/tokens");
+
+module.exports = (sequelize, DataTypes) => {
+  const RefreshToken = sequelize.define(
+    "RefreshToken",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: "Matches the jti claim of the issued refresh token",
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "user_id",
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "sessions",
+          key: "id",
+        },
+        comment: "Shared by every token rotated from the same login",
+        field: "session_id",
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        field: "token_hash",
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "expires_at",
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "revoked_at",
+      },
+      revokedReason: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: "rotated, reuse_detected, logout, ...",
+        field: "revoked_reason",
+      },
+      replacedById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: "replaced_by_id",
+      },
+      createdByIp: {
+        type: DataTypes.STRING(45), // IPv6 max length
+        allowNull: true,
+        field: "created_by_ip",
+      },
+      userAgent: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: "user_agent",
+      },
+    },
+    {
+      tableName: "refresh_tokens",
+      indexes: [
+        {
+          fields: ["user_id"],
+          name: "idx_refresh_tokens_user",
+        },
+        {
+          fields: ["session_id"],
+          name: "idx_refresh_tokens_session",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  RefreshToken.associate = (models) => {
+    RefreshToken.belongsTo(models.User, {
+      foreignKey: "userId",
+      as: "user",
+      onDelete: "CASCADE",
+    });
+
+    RefreshToken.belongsTo(models.Session, {
+      foreignKey: "sessionId",
+      as: "session",
+      onDelete: "CASCADE",
+    });
+  };
+
+  // Instance methods
+  RefreshToken.prototype.isExpired = function () {
+    return this.expiresAt <= new Date();
+  };
+
+  // Static methods
+  RefreshToken.issue = async function (user, meta = {}, options = {}) {
+    const { sessionId, ipAddress, userAgent } = meta;
+    const id = crypto.randomUUID();
+
+    const tokens = user.generateTokens({ tokenId: id, sessionId });
+    const { exp } = jwt.decode(tokens.refreshToken);
+
+    const record = await this.create(
+      {
+        id,
+        userId: user.id,
+        sessionId,
+        tokenHash: hashToken(tokens.refreshToken),
+        expiresAt: new Date(exp * 1000),
+        createdByIp: ipAddress,
+        userAgent,
+      },
+      { transaction: options.transaction }
+    );
+
+    return { tokens, record };
+  };
+
+  RefreshToken.revokeForSession = async function (
+    sessionId,
+    reason,
+    options = {}
+  ) {
+    const [revokedCount] = await this.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      {
+        where: { sessionId, revokedAt: null },
+        transaction: options.transaction,
+      }
+    );
+    return revokedCount;
+  };
+
+  return RefreshToken;
+};
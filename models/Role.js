@@ -0,0 +1,75 @@
+// models/Role.js - Named sets of permissions that users are assigned to
+const { DEFAULT_ROLES } = require("../utils/permissions");
+
+const CACHE_TTL_MS = 30 * 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  const Role = sequelize.define(
+    "Role",
+    {
+      name: {
+        type: DataTypes.STRING(50),
+        primaryKey: true,
+        comment: "Stored in users.role",
+      },
+      description: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      permissions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      isSystem: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+        comment: "Built-in roles cannot be deleted",
+        field: "is_system",
+      },
+    },
+    {
+      tableName: "roles",
+    }
+  );
+
+  // Permissions are checked on most requests, so keep a short cache
+  const cache = new Map();
+
+  Role.addHook("afterSave", (role) => cache.delete(role.name));
+  Role.addHook("afterDestroy", (role) => cache.delete(role.name));
+
+  // Static methods
+  Role.getPermissions = async function (name) {
+    const cached = cache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const role = await this.findByPk(name);
+    const permissions = new Set(role ? role.permissions : []);
+
+    cache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+  };
+
+  Role.exists = async function (name) {
+    return !!(await this.findByPk(name, { attributes: ["name"] }));
+  };
+
+  /**
+   * Create the built-in roles if they are missing. Existing rows are left
+   * alone so that edits made by admins survive restarts.
+   */
+  Role.ensureDefaults = async function () {
+    for (const [name, attrs] of Object.entries(DEFAULT_ROLES)) {
+      await this.findOrCreate({
+        where: { name },
+        defaults: { ...attrs, isSystem: true },
+      });
+    }
+  };
+
+  return Role;
+};
@@ -0,0 +1,195 @@
+// models/Session.js
+const { Op } = require("sequelize");
+const { describeDevice } = require("../utils/userAgent");
+
+// lastSeenAt is only written when it is older than this, to spare the DB
+// a write on every authenticated request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  const Session = sequelize.define(
+    "Session",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: "Carried as the sid claim in every token issued for it",
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "user_id",
+      },
+      authMethod: {
+        type: DataTypes.ENUM("password", "oidc"),
+        defaultValue: "password",
+        allowNull: false,
+        field: "auth_method",
+      },
+      ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+        comment: "Address of the most recent request in this session",
+        field: "ip_address",
+      },
+      userAgent: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: "user_agent",
+      },
+      deviceName: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        field: "device_name",
+      },
+      lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "last_seen_at",
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "Follows the expiry of the latest refresh token",
+        field: "expires_at",
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "revoked_at",
+      },
+      revokedReason: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: "logout, logout_all, admin, reuse_detected, ...",
+        field: "revoked_reason",
+      },
+    },
+    {
+      tableName: "sessions",
+      indexes: [
+        {
+          fields: ["user_id"],
+          name: "idx_sessions_user",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  Session.associate = (models) => {
+    Session.belongsTo(models.User, {
+      foreignKey: "userId",
+      as: "user",
+      onDelete: "CASCADE",
+    });
+
+    Session.hasMany(models.RefreshToken, {
+      foreignKey: "sessionId",
+      as: "refreshTokens",
+    });
+  };
+
+  // Instance methods
+  Session.prototype.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+  };
+
+  /**
+   * Record activity on the session (authenticated request or refresh)
+   */
+  Session.prototype.touch = async function (ipAddress, options = {}) {
+    const now = Date.now();
+    if (
+      this.lastSeenAt &&
+      now - this.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS &&
+      (!ipAddress || ipAddress === this.ipAddress)
+    ) {
+      return this;
+    }
+
+    return this.update(
+      { lastSeenAt: new Date(now), ipAddress: ipAddress || this.ipAddress },
+      { transaction: options.transaction }
+    );
+  };
+
+  Session.prototype.revoke = async function (reason, options = {}) {
+    const { transaction } = options;
+
+    await sequelize.models.RefreshToken.revokeForSession(this.id, reason, {
+      transaction,
+    });
+
+    if (this.revokedAt) return this;
+
+    return this.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { transaction }
+    );
+  };
+
+  // Static methods
+  Session.start = async function (user, meta = {}, options = {}) {
+    const { transaction } = options;
+
+    const session = await this.create(
+      {
+        userId: user.id,
+        authMethod: meta.authMethod || "password",
+        ipAddress: meta.ipAddress,
+        userAgent: meta.userAgent,
+        deviceName: describeDevice(meta.userAgent),
+        lastSeenAt: new Date(),
+        // Placeholder until the first refresh token fixes the real expiry
+        expiresAt: new Date(),
+      },
+      { transaction }
+    );
+
+    const { tokens, record } = await sequelize.models.RefreshToken.issue(
+      user,
+      { ...meta, sessionId: session.id },
+      { transaction }
+    );
+
+    await session.update({ expiresAt: record.expiresAt }, { transaction });
+
+    return { session, tokens };
+  };
+
+  Session.findActiveForUser = function (userId) {
+    return this.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() },
+      },
+      order: [["lastSeenAt", "DESC"]],
+    });
+  };
+
+  Session.revokeAllForUser = async function (userId, reason, options = {}) {
+    const { exceptSessionId, transaction } = options;
+
+    const where = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      where.id = { [Op.ne]: exceptSessionId };
+    }
+
+    const sessions = await this.findAll({ where, transaction });
+
+    for (const session of sessions) {
+      await session.revoke(reason, { transaction });
+    }
+
+    return sessions.length;
+  };
+
+  return Session;
+};
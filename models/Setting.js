@@ -0,0 +1,61 @@
+// models/Setting.js - Admin-managed runtime settings
+const CACHE_TTL_MS = 30 * 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  const Setting = sequelize.define(
+    "Setting",
+    {
+      key: {
+        type: DataTypes.STRING(100),
+        primaryKey: true,
+      },
+      value: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      updatedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "updated_by",
+      },
+    },
+    {
+      tableName: "settings",
+    }
+  );
+
+  Setting.KEYS = {
+    TWO_FACTOR_REQUIRED_ROLES: "auth.twoFactor.requiredRoles",
+    EMAIL_VERIFICATION_REQUIRED: "auth.emailVerification.required",
+  };
+
+  // Settings are read on every authenticated request, so keep a short cache
+  const cache = new Map();
+
+  // Static methods
+  Setting.getValue = async function (key, defaultValue = null) {
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const setting = await this.findByPk(key);
+    const value =
+      setting && setting.value !== null ? setting.value : defaultValue;
+
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  };
+
+  Setting.setValue = async function (key, value, updatedBy = null) {
+    await this.upsert({ key, value, updatedBy });
+    cache.delete(key);
+    return value;
+  };
+
+  return Setting;
+};
@@ -1,4 +1,23 @@
 // models/TimeEntry.js
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { splitByDay } = require("../utils/timezone");
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Keep the parts of closed breaks that fall inside [from, to)
+ */
+const clipBreaks = (breaks, from, to) =>
+  (breaks || [])
+    .filter((entryBreak) => entryBreak.endTime)
+    .map((entryBreak) => ({
+      ...entryBreak,
+      startTime: new Date(Math.max(new Date(entryBreak.startTime), from)),
+      endTime: new Date(Math.min(new Date(entryBreak.endTime), to)),
+    }))
+    .filter((entryBreak) => entryBreak.endTime > entryBreak.startTime);
+
 module.exports = (sequelize, DataTypes) => {
   const TimeEntry = sequelize.define(
     "TimeEntry",
@@ -108,56 +127,389 @@ module.exports = (sequelize, DataTypes) => {
       duration: {
         type: DataTypes.INTEGER,
         allowNull: true,
-        comment: "Duration in minutes",
+        comment:
+          "Net minutes worked: breaks, and under a deduct break policy any missing mandatory break, excluded",
+      },
+      grossDuration: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Minutes from start to end, breaks included",
+        field: "gross_duration",
       },
       notes: {
         type: DataTypes.TEXT,
       },
+      billable: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        allowNull: false,
+      },
       isManual: {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
         field: "is_manual",
       },
+      isDraft: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+        comment: "Generated from a recurring template, not confirmed yet",
+        field: "is_draft",
+      },
+      templateId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "entry_templates",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+        field: "template_id",
+      },
       breaks: {
         type: DataTypes.JSON,
         defaultValue: [],
+        comment:
+          "[{ id, startTime, endTime, reason }], endTime null while paused",
+        validate: {
+          withinEntry(value) {
+            const problem = TimeEntry.findBreakProblem(
+              value || [],
+              this.startTime,
+              this.endTime
+            );
+            if (problem) throw new Error(problem);
+          },
+        },
       },
     },
     {
       tableName: "time_entries",
+      indexes: [
+        {
+          // A user can only have one running timer at a time
+          unique: true,
+          fields: ["user_id"],
+          where: { end_time: null },
+          name: "unique_running_timer_per_user",
+        },
+      ],
     }
   );
 
   // Instance methods
-  TimeEntry.prototype.complete = function (description) {
-    const now = new Date();
+  TimeEntry.prototype.isRunning = function () {
+    return !this.endTime;
+  };
+
+  TimeEntry.prototype.isPaused = function () {
+    const breaks = this.breaks || [];
+    const lastBreak = breaks[breaks.length - 1];
+    return Boolean(lastBreak && !lastBreak.endTime);
+  };
+
+  /**
+   * Minutes spent on breaks; an open break counts up to `until`
+   */
+  TimeEntry.prototype.getBreakMinutes = function (until = new Date()) {
+    const breakMs = (this.breaks || []).reduce((sum, entryBreak) => {
+      const end = entryBreak.endTime ? new Date(entryBreak.endTime) : until;
+      return sum + Math.max(0, end - new Date(entryBreak.startTime));
+    }, 0);
+
+    return Math.round(breakMs / MS_PER_MINUTE);
+  };
+
+  /**
+   * Worked minutes from start to end (or `until` while running) minus breaks
+   */
+  TimeEntry.prototype.calculateDuration = function (until = new Date()) {
+    const end = this.endTime ? new Date(this.endTime) : until;
+    const grossMinutes = Math.round(
+      (end - new Date(this.startTime)) / MS_PER_MINUTE
+    );
+
+    return Math.max(0, grossMinutes - this.getBreakMinutes(end));
+  };
+
+  /**
+   * Worked minutes per calendar day in the zone, for entries that run past
+   * midnight. Each break counts against the day it was taken on.
+   */
+  TimeEntry.prototype.splitByDay = function (timeZone, until = new Date()) {
+    const end = this.endTime ? new Date(this.endTime) : until;
+
+    return splitByDay(new Date(this.startTime), end, timeZone).map((piece) => {
+      const breakMs = clipBreaks(this.breaks, piece.start, piece.end).reduce(
+        (sum, entryBreak) => sum + (entryBreak.endTime - entryBreak.startTime),
+        0
+      );
+
+      return {
+        date: piece.day,
+        minutes: Math.max(
+          0,
+          Math.round((piece.end - piece.start - breakMs) / MS_PER_MINUTE)
+        ),
+      };
+    });
+  };
+
+  /**
+   * Break minutes the organization's rules require on top of those taken
+   */
+  TimeEntry.prototype.getMissingBreakMinutes = function (
+    organization,
+    until = new Date()
+  ) {
+    if (!organization) return 0;
+
+    const requiredMinutes = organization.getRequiredBreakMinutes(
+      this.calculateDuration(until)
+    );
+    return Math.max(0, requiredMinutes - this.getBreakMinutes(until));
+  };
+
+  /**
+   * Set grossDuration and the net duration from the times and breaks. Under
+   * the organization's "deduct" break policy a missing mandatory break is
+   * taken off the net duration as well. Returns the missing break minutes.
+   */
+  TimeEntry.prototype.applyBreakPolicy = function (
+    organization,
+    until = new Date()
+  ) {
+    const end = this.endTime ? new Date(this.endTime) : until;
+    const missingMinutes = this.getMissingBreakMinutes(organization, end);
+    const deductedMinutes =
+      organization?.breakPolicy === "deduct" ? missingMinutes : 0;
+
+    this.grossDuration = Math.max(
+      0,
+      Math.round((end - new Date(this.startTime)) / MS_PER_MINUTE)
+    );
+    this.duration = Math.max(0, this.calculateDuration(end) - deductedMinutes);
+
+    return missingMinutes;
+  };
+
+  /**
+   * Revenue and cost of the entry at the rate card's rates: billable time
+   * earns revenue, all of it costs. Null amounts without a rate.
+   */
+  TimeEntry.prototype.getEarnings = function (rateCard) {
+    if (!rateCard) {
+      return {
+        rateCardId: null,
+        currency: null,
+        hourlyRate: null,
+        costRate: null,
+        revenue: null,
+        cost: null,
+      };
+    }
+
+    const hours =
+      (this.endTime ? this.duration || 0 : this.calculateDuration()) / 60;
+    const hourlyRate = Number(rateCard.hourlyRate);
+    const costRate = rateCard.costRate ? Number(rateCard.costRate) : null;
+    const toCents = (amount) => Math.round(amount * 100) / 100;
+
+    return {
+      rateCardId: rateCard.id,
+      currency: rateCard.currency,
+      hourlyRate,
+      costRate,
+      revenue: this.billable ? toCents(hours * hourlyRate) : 0,
+      cost: costRate === null ? null : toCents(hours * costRate),
+    };
+  };
+
+  // Stop the timer now or at options.endTime
+  TimeEntry.prototype.complete = function (description, options = {}) {
+    const now = options.endTime || new Date();
+
+    // Stopping a paused timer ends the break at the same moment
+    if (this.isPaused()) {
+      this.breaks = this.breaks.map((entryBreak) =>
+        entryBreak.endTime ? entryBreak : { ...entryBreak, endTime: now }
+      );
+    }
+
     this.endTime = now;
+    this.applyBreakPolicy(options.organization, now);
 
     if (description) {
       this.description = description;
     }
 
-    return this.save();
+    return this.save({ transaction: options.transaction });
   };
 
-  TimeEntry.prototype.addBreak = function (reason = "Break") {
-    const breaks = this.breaks || [];
-    breaks.push({
-      startTime: new Date(),
-      reason,
-    });
-    this.breaks = breaks;
-    return this.save();
+  // breaks is a JSON column: always assign a new array so the change is
+  // detected and saved
+  TimeEntry.prototype.addBreak = function (reason = "Break", options = {}) {
+    this.breaks = [
+      ...(this.breaks || []),
+      {
+        id: crypto.randomUUID(),
+        startTime: new Date(),
+        reason,
+      },
+    ];
+    return this.save({ transaction: options.transaction });
   };
 
-  TimeEntry.prototype.endBreak = function () {
-    const breaks = this.breaks || [];
-    const lastBreak = breaks[breaks.length - 1];
-    if (lastBreak && !lastBreak.endTime) {
-      lastBreak.endTime = new Date();
+  TimeEntry.prototype.endBreak = function (options = {}) {
+    if (this.isPaused()) {
+      const breaks = [...this.breaks];
+      breaks[breaks.length - 1] = {
+        ...breaks[breaks.length - 1],
+        endTime: new Date(),
+      };
       this.breaks = breaks;
     }
-    return this.save();
+    return this.save({ transaction: options.transaction });
+  };
+
+  // Static methods
+
+  /**
+   * Why the breaks do not fit an entry from `start` to `end` (null while
+   * running), or null when they do: each break ends after it starts, lies
+   * within the entry and overlaps no other; only a running entry's last
+   * break may still be open.
+   */
+  TimeEntry.findBreakProblem = function (breaks, start, end) {
+    const sorted = [...breaks].sort(
+      (a, b) => new Date(a.startTime) - new Date(b.startTime)
+    );
+    let previousEnd = null;
+
+    for (const [index, entryBreak] of sorted.entries()) {
+      const breakStart = new Date(entryBreak.startTime);
+      const breakEnd = entryBreak.endTime ? new Date(entryBreak.endTime) : null;
+
+      if (isNaN(breakStart) || (breakEnd && isNaN(breakEnd))) {
+        return "Breaks need a valid start and end time";
+      }
+      if (!breakEnd && (end || index < sorted.length - 1)) {
+        return "Only the last break of a running timer can be open";
+      }
+      if (breakEnd && breakEnd <= breakStart) {
+        return "A break must end after it starts";
+      }
+      if (
+        breakStart < new Date(start) ||
+        (end && (breakEnd || breakStart) > new Date(end))
+      ) {
+        return "Breaks must fall within the entry";
+      }
+      if (previousEnd && breakStart < previousEnd) {
+        return "Breaks cannot overlap each other";
+      }
+      previousEnd = breakEnd;
+    }
+
+    return null;
+  };
+
+  TimeEntry.clipBreaks = clipBreaks;
+
+  /**
+   * A closed break with a fresh id
+   */
+  TimeEntry.buildBreak = function (startTime, endTime, reason = "Break") {
+    return { id: crypto.randomUUID(), startTime, endTime, reason };
+  };
+
+  TimeEntry.findRunning = function (userId, options = {}) {
+    return this.findOne({
+      where: { userId, endTime: null },
+      ...options,
+    });
+  };
+
+  /**
+   * Entries of the user that intersect [start, end). A running timer is
+   * treated as open-ended.
+   */
+  TimeEntry.findOverlapping = function (userId, start, end, options = {}) {
+    const { excludeId, transaction } = options;
+
+    const where = {
+      userId,
+      startTime: { [Op.lt]: end },
+      [Op.or]: [{ endTime: { [Op.gt]: start } }, { endTime: null }],
+    };
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+
+    return this.findAll({
+      where,
+      order: [["startTime", "ASC"]],
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      transaction,
+    });
+  };
+
+  /**
+   * Make room for [start, end) in the user's finished entries: entries
+   * inside the interval are removed, entries reaching into it are trimmed
+   * and entries spanning it are split in two. Running timers are left alone.
+   * Returns the ids of the affected entries per kind of change.
+   */
+  TimeEntry.carveOut = async function (userId, start, end, options = {}) {
+    const { transaction } = options;
+    const changes = { removed: [], trimmed: [], split: [] };
+
+    const overlapping = await this.findOverlapping(userId, start, end, options);
+
+    for (const entry of overlapping) {
+      if (entry.isRunning()) continue;
+
+      const entryStart = new Date(entry.startTime);
+      const entryEnd = new Date(entry.endTime);
+
+      if (entryStart >= start && entryEnd <= end) {
+        await entry.destroy({ transaction });
+        changes.removed.push(entry.id);
+        continue;
+      }
+
+      const organization = await sequelize.models.Organization.findByPk(
+        entry.organizationId,
+        { transaction }
+      );
+
+      if (entryStart < start && entryEnd > end) {
+        const { id, createdAt, updatedAt, ...attributes } = entry.get();
+        const tail = this.build({
+          ...attributes,
+          startTime: end,
+          endTime: entryEnd,
+          breaks: clipBreaks(entry.breaks, end, entryEnd),
+        });
+        tail.applyBreakPolicy(organization);
+        await tail.save({ transaction });
+
+        changes.split.push(entry.id);
+      } else {
+        changes.trimmed.push(entry.id);
+      }
+
+      const keepFrom = entryStart < start ? entryStart : end;
+      const keepTo = entryStart < start ? start : entryEnd;
+
+      entry.startTime = keepFrom;
+      entry.endTime = keepTo;
+      entry.breaks = clipBreaks(entry.breaks, keepFrom, keepTo);
+      entry.applyBreakPolicy(organization);
+      await entry.save({ transaction });
+    }
+
+    return changes;
   };
 
   // Associations
@@ -191,6 +543,11 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "projectId",
       as: "workProject", // Match client-side expectation
     });
+
+    TimeEntry.belongsTo(models.EntryTemplate, {
+      foreignKey: "templateId",
+      as: "template",
+    });
   };
 
   return TimeEntry;
@@ -0,0 +1,210 @@
+// models/TimesheetPeriod.js
+const { Op } = require("sequelize");
+
+// Allowed state changes, keyed by the action that causes them
+const TRANSITIONS = {
+  submit: { from: ["draft", "rejected", "reopened"], to: "submitted" },
+  approve: { from: ["submitted"], to: "approved" },
+  reject: { from: ["submitted"], to: "rejected" },
+  reopen: { from: ["submitted", "approved"], to: "reopened" },
+};
+
+// Entries in periods in these states cannot be changed
+const LOCKED_STATUSES = ["submitted", "approved"];
+
+module.exports = (sequelize, DataTypes) => {
+  const TimesheetPeriod = sequelize.define(
+    "TimesheetPeriod",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "user_id",
+      },
+      weekStart: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        comment: "Monday of the week the period covers",
+        field: "week_start",
+      },
+      status: {
+        type: DataTypes.ENUM(
+          "draft",
+          "submitted",
+          "approved",
+          "rejected",
+          "reopened"
+        ),
+        defaultValue: "draft",
+        allowNull: false,
+      },
+      submittedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "submitted_at",
+      },
+      reviewedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "reviewed_by",
+      },
+      reviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "reviewed_at",
+      },
+      comments: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: "Latest reviewer comments, e.g. the reason for a rejection",
+      },
+    },
+    {
+      tableName: "timesheet_periods",
+      indexes: [
+        {
+          unique: true,
+          fields: ["user_id", "week_start"],
+          name: "unique_timesheet_period_per_week",
+        },
+        {
+          fields: ["status"],
+          name: "idx_timesheet_periods_status",
+        },
+      ],
+    }
+  );
+
+  TimesheetPeriod.TRANSITIONS = TRANSITIONS;
+  TimesheetPeriod.LOCKED_STATUSES = LOCKED_STATUSES;
+
+  // Associations
+  TimesheetPeriod.associate = (models) => {
+    TimesheetPeriod.belongsTo(models.User, {
+      foreignKey: "userId",
+      as: "user",
+    });
+
+    TimesheetPeriod.belongsTo(models.User, {
+      foreignKey: "reviewedBy",
+      as: "reviewer",
+    });
+
+    TimesheetPeriod.hasMany(models.TimesheetPeriodTransition, {
+      foreignKey: "periodId",
+      as: "transitions",
+      onDelete: "CASCADE",
+    });
+  };
+
+  // Instance methods
+  TimesheetPeriod.prototype.isLocked = function () {
+    return LOCKED_STATUSES.includes(this.status);
+  };
+
+  TimesheetPeriod.prototype.canTransition = function (action) {
+    return TRANSITIONS[action].from.includes(this.status);
+  };
+
+  // Last day (inclusive) of the week as YYYY-MM-DD
+  TimesheetPeriod.prototype.getWeekEnd = function () {
+    const end = new Date(`${this.weekStart}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + 6);
+    return end.toISOString().slice(0, 10);
+  };
+
+  /**
+   * Move the period to the state `action` leads to and record the change
+   */
+  TimesheetPeriod.prototype.transition = async function (
+    action,
+    actorId,
+    comment,
+    options = {}
+  ) {
+    const fromStatus = this.status;
+    const toStatus = TRANSITIONS[action].to;
+    const now = new Date();
+
+    const updates = { status: toStatus };
+    if (action === "submit") {
+      Object.assign(updates, {
+        submittedAt: now,
+        reviewedBy: null,
+        reviewedAt: null,
+        comments: null,
+      });
+    } else {
+      Object.assign(updates, {
+        reviewedBy: actorId,
+        reviewedAt: now,
+        comments: comment || null,
+      });
+    }
+
+    await this.update(updates, { transaction: options.transaction });
+
+    await sequelize.models.TimesheetPeriodTransition.create(
+      {
+        periodId: this.id,
+        fromStatus,
+        toStatus,
+        actorId,
+        comment: comment || null,
+      },
+      { transaction: options.transaction }
+    );
+
+    return this;
+  };
+
+  // Static methods
+
+  // Monday of the (UTC) week containing `date`, as YYYY-MM-DD
+  TimesheetPeriod.weekStartFor = function (date) {
+    const day = new Date(date);
+    const start = new Date(
+      Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())
+    );
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start.toISOString().slice(0, 10);
+  };
+
+  TimesheetPeriod.findForDate = function (userId, date, options = {}) {
+    return this.findOne({
+      where: { userId, weekStart: this.weekStartFor(date) },
+      ...options,
+    });
+  };
+
+  /**
+   * Whether the user's entries on `date` are frozen by a submitted or
+   * approved period
+   */
+  TimesheetPeriod.isDateLocked = async function (userId, date, options = {}) {
+    const count = await this.count({
+      where: {
+        userId,
+        weekStart: this.weekStartFor(date),
+        status: { [Op.in]: LOCKED_STATUSES },
+      },
+      transaction: options.transaction,
+    });
+    return count > 0;
+  };
+
+  return TimesheetPeriod;
+};
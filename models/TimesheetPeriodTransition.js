@@ -0,0 +1,70 @@
+// models/TimesheetPeriodTransition.js - Audit trail of timesheet period states
+module.exports = (sequelize, DataTypes) => {
+  const TimesheetPeriodTransition = sequelize.define(
+    "TimesheetPeriodTransition",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      periodId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "timesheet_periods",
+          key: "id",
+        },
+        field: "period_id",
+      },
+      fromStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: "from_status",
+      },
+      toStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: "to_status",
+      },
+      actorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "actor_id",
+      },
+      comment: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "timesheet_period_transitions",
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ["period_id"],
+          name: "idx_timesheet_period_transitions_period",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  TimesheetPeriodTransition.associate = (models) => {
+    TimesheetPeriodTransition.belongsTo(models.TimesheetPeriod, {
+      foreignKey: "periodId",
+      as: "period",
+    });
+
+    TimesheetPeriodTransition.belongsTo(models.User, {
+      foreignKey: "actorId",
+      as: "actor",
+    });
+  };
+
+  return TimesheetPeriodTransition;
+};
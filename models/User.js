@@ -1,7 +1,18 @@
 // models/User.js
+const { Op } = require("sequelize");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const config = require("../config");
+const totp = require("../utils/totp");
+const { isValidTimeZone, resolveTimeZone } = require("../utils/timezone");
+
+// Never serialized into API responses
+const SENSITIVE_FIELDS = [
+  "password",
+  "twoFactorSecret",
+  "twoFactorRecoveryCodes",
+  "twoFactorLastUsedStep",
+];
 
 module.exports = (sequelize, DataTypes) => {
   const User = sequelize.define(
@@ -36,15 +47,57 @@ module.exports = (sequelize, DataTypes) => {
         },
       },
       role: {
-        type: DataTypes.ENUM("user", "admin"),
+        type: DataTypes.STRING(50),
         defaultValue: "user",
         allowNull: false,
+        references: {
+          model: "roles",
+          key: "name",
+        },
+        comment: "Name of the role whose permissions apply",
+      },
+      managerId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        comment: "Manager this user reports to",
+        field: "manager_id", // Map to snake_case column in DB
       },
       isActive: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
         field: "is_active", // Map to snake_case column in DB
       },
+      accountType: {
+        type: DataTypes.ENUM("human", "service"),
+        defaultValue: "human",
+        allowNull: false,
+        comment: "Service accounts authenticate only with API tokens",
+        field: "account_type", // Map to snake_case column in DB
+      },
+      emailVerifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "email_verified_at", // Map to snake_case column in DB
+      },
+      selfRegistered: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+        comment:
+          "Signed up through /register, the only accounts that must verify",
+        field: "self_registered", // Map to snake_case column in DB
+      },
+      oidcSubject: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        unique: true,
+        comment: "Subject identifier from the single sign-on provider",
+        field: "oidc_subject", // Map to snake_case column in DB
+      },
       lastLogin: {
         type: DataTypes.DATE,
         field: "last_login", // Map to snake_case column in DB
@@ -68,6 +121,47 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
         field: "home_address", // Map to snake_case column in DB
       },
+      timezone: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: "IANA zone, null to use the organization's",
+        validate: {
+          isTimeZone(value) {
+            if (value && !isValidTimeZone(value)) {
+              throw new Error("Unknown time zone");
+            }
+          },
+        },
+      },
+      twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+        field: "two_factor_enabled", // Map to snake_case column in DB
+      },
+      twoFactorSecret: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: "Encrypted TOTP secret (pending until 2FA is enabled)",
+        field: "two_factor_secret", // Map to snake_case column in DB
+      },
+      twoFactorRecoveryCodes: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        comment: "SHA-256 hashes of unused recovery codes",
+        field: "two_factor_recovery_codes", // Map to snake_case column in DB
+      },
+      twoFactorLastUsedStep: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: "Last accepted TOTP time step, prevents code replay",
+        field: "two_factor_last_used_step", // Map to snake_case column in DB
+      },
+      twoFactorEnabledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "two_factor_enabled_at", // Map to snake_case column in DB
+      },
     },
     {
       tableName: "users",
@@ -95,12 +189,13 @@ module.exports = (sequelize, DataTypes) => {
     return await bcrypt.compare(candidatePassword, this.password);
   };
 
-  User.prototype.generateTokens = function () {
+  User.prototype.generateTokens = function ({ tokenId, sessionId } = {}) {
     const payload = {
       id: this.id,
       email: this.email,
       role: this.role,
       name: this.name,
+      sid: sessionId,
     };
 
     const accessToken = jwt.sign(payload, config.jwt.secret, {
@@ -109,15 +204,133 @@ module.exports = (sequelize, DataTypes) => {
       audience: config.jwt.audience,
     });
 
-    const refreshToken = jwt.sign({ id: this.id }, config.jwt.secret, {
+    const refreshPayload = { id: this.id, sid: sessionId, type: "refresh" };
+
+    const refreshToken = jwt.sign(refreshPayload, config.jwt.secret, {
       expiresIn: config.jwt.refreshTokenExpiry,
       issuer: config.jwt.issuer,
       audience: config.jwt.audience,
+      ...(tokenId && { jwtid: tokenId }),
     });
 
     return { accessToken, refreshToken };
   };
 
+  /**
+   * True if the password was changed after a token with the given
+   * iat (seconds since epoch) was issued
+   */
+  User.prototype.changedPasswordAfter = function (issuedAt) {
+    if (!this.passwordChangedAt || !issuedAt) return false;
+    const changedAt = Math.floor(this.passwordChangedAt.getTime() / 1000);
+    return changedAt > issuedAt;
+  };
+
+  /**
+   * Zone for the user's wall-clock times outside a specific organization
+   * (e.g. attendance): their own, else that of the first organization they
+   * joined which sets one
+   */
+  User.prototype.getTimeZone = async function () {
+    if (isValidTimeZone(this.timezone)) return this.timezone;
+
+    const membership = await sequelize.models.UserOrganization.findOne({
+      where: { userId: this.id },
+      include: [
+        {
+          model: sequelize.models.Organization,
+          as: "organization",
+          where: { timezone: { [Op.ne]: null } },
+          attributes: ["timezone"],
+        },
+      ],
+      order: [["createdAt", "ASC"]],
+    });
+
+    return resolveTimeZone(membership?.organization);
+  };
+
+  User.prototype.isTwoFactorRequired = async function () {
+    const requiredRoles = await sequelize.models.Setting.getValue(
+      sequelize.models.Setting.KEYS.TWO_FACTOR_REQUIRED_ROLES,
+      []
+    );
+    return requiredRoles.includes(this.role);
+  };
+
+  /**
+   * True while a self-registered account is unverified and verification is
+   * enforced. Accounts created by admins, invitations or single sign-on, and
+   * those that predate verification, never need it.
+   */
+  User.prototype.needsEmailVerification = async function () {
+    if (this.emailVerifiedAt || !this.selfRegistered) return false;
+
+    return sequelize.models.Setting.getValue(
+      sequelize.models.Setting.KEYS.EMAIL_VERIFICATION_REQUIRED,
+      config.emailVerification.required
+    );
+  };
+
+  /**
+   * Check a TOTP code against the stored (pending or active) secret.
+   * A code is accepted at most once.
+   */
+  User.prototype.verifyTwoFactorCode = async function (code) {
+    if (!this.twoFactorSecret) return false;
+
+    const step = totp.verifyTotp(
+      totp.decryptSecret(this.twoFactorSecret),
+      code
+    );
+    if (step === null) return false;
+
+    if (
+      this.twoFactorLastUsedStep !== null &&
+      step <= Number(this.twoFactorLastUsedStep)
+    ) {
+      return false;
+    }
+
+    await this.update({ twoFactorLastUsedStep: step });
+    return true;
+  };
+
+  User.prototype.useRecoveryCode = async function (code) {
+    const hash = totp.hashRecoveryCode(code);
+    const remaining = this.twoFactorRecoveryCodes || [];
+
+    if (!remaining.includes(hash)) return false;
+
+    await this.update({
+      twoFactorRecoveryCodes: remaining.filter((stored) => stored !== hash),
+    });
+    return true;
+  };
+
+  User.prototype.resetTwoFactor = function (options = {}) {
+    return this.update(
+      {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastUsedStep: null,
+        twoFactorEnabledAt: null,
+      },
+      options
+    );
+  };
+
+  User.prototype.toJSON = function () {
+    const values = { ...this.get() };
+    SENSITIVE_FIELDS.forEach((field) => delete values[field]);
+    return values;
+  };
+
+  User.prototype.isServiceAccount = function () {
+    return this.accountType === "service";
+  };
+
   User.prototype.isLocked = function () {
     return !!(this.lockUntil && this.lockUntil > new Date());
   };
@@ -151,6 +364,18 @@ module.exports = (sequelize, DataTypes) => {
 
   // Associations
   User.associate = function (models) {
+    // Reporting lines
+    User.belongsTo(models.User, {
+      foreignKey: "managerId",
+      as: "manager",
+      onDelete: "SET NULL",
+    });
+
+    User.hasMany(models.User, {
+      foreignKey: "managerId",
+      as: "directReports",
+    });
+
     User.hasMany(models.TimeEntry, {
       foreignKey: "userId",
       as: "timeEntries",
@@ -173,6 +398,26 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "userId",
       as: "userOrganizations",
     });
+
+    User.hasMany(models.Session, {
+      foreignKey: "userId",
+      as: "sessions",
+    });
+
+    User.hasMany(models.RefreshToken, {
+      foreignKey: "userId",
+      as: "refreshTokens",
+    });
+
+    User.hasMany(models.UserToken, {
+      foreignKey: "userId",
+      as: "userTokens",
+    });
+
+    User.hasMany(models.ApiToken, {
+      foreignKey: "userId",
+      as: "apiTokens",
+    });
   };
 
   return User;
@@ -26,6 +26,18 @@ module.exports = (sequelize, DataTypes) => {
         },
         field: "organization_id",
       },
+      role: {
+        type: DataTypes.ENUM("owner", "admin", "member", "viewer"),
+        defaultValue: "member",
+        allowNull: false,
+        comment: "Role of the user within this organization",
+      },
+      source: {
+        type: DataTypes.ENUM("manual", "oidc"),
+        defaultValue: "manual",
+        allowNull: false,
+        comment: "oidc memberships are kept in sync with IdP groups",
+      },
     },
     {
       tableName: "user_organizations",
@@ -0,0 +1,136 @@
+// models/UserToken.js
+const { Op } = require("sequelize");
+const { hashToken, generateRandomToken } = require("../utils/tokens");
+
+module.exports = (sequelize, DataTypes) => {
+  const UserToken = sequelize.define(
+    "UserToken",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        field: "user_id",
+      },
+      purpose: {
+        type: DataTypes.ENUM(
+          "password_reset",
+          "email_verification",
+          "sso_login"
+        ),
+        allowNull: false,
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: "SHA-256 of the token sent to the user; never the raw value",
+        field: "token_hash",
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "expires_at",
+      },
+      consumedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "consumed_at",
+      },
+      requestedIp: {
+        type: DataTypes.STRING(45), // IPv6 max length
+        allowNull: true,
+        field: "requested_ip",
+      },
+    },
+    {
+      tableName: "user_tokens",
+      indexes: [
+        {
+          fields: ["user_id", "purpose"],
+          name: "idx_user_tokens_user_purpose",
+        },
+      ],
+    }
+  );
+
+  // Associations
+  UserToken.associate = (models) => {
+    UserToken.belongsTo(models.User, {
+      foreignKey: "userId",
+      as: "user",
+      onDelete: "CASCADE",
+    });
+  };
+
+  // Static methods
+
+  /**
+   * Create a single-use token and return the raw value to send to the user.
+   * Any earlier unused token for the same purpose is invalidated.
+   */
+  UserToken.issue = async function (userId, purpose, options = {}) {
+    const { expiresIn, requestedIp, transaction } = options;
+
+    await this.invalidateAll(userId, purpose, { transaction });
+
+    const token = generateRandomToken();
+    const record = await this.create(
+      {
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + expiresIn),
+        requestedIp,
+      },
+      { transaction }
+    );
+
+    return { token, record };
+  };
+
+  /**
+   * Mark a raw token as used. Returns null if it is unknown, expired or
+   * has already been consumed.
+   */
+  UserToken.consume = async function (token, purpose, options = {}) {
+    const { transaction } = options;
+
+    const record = await this.findOne({
+      where: {
+        tokenHash: hashToken(token),
+        purpose,
+        consumedAt: null,
+        expiresAt: { [Op.gt]: new Date() },
+      },
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      transaction,
+    });
+
+    if (!record) return null;
+
+    await record.update({ consumedAt: new Date() }, { transaction });
+    return record;
+  };
+
+  UserToken.invalidateAll = async function (userId, purpose, options = {}) {
+    const [count] = await this.update(
+      { consumedAt: new Date() },
+      {
+        where: { userId, purpose, consumedAt: null },
+        transaction: options.transaction,
+      }
+    );
+    return count;
+  };
+
+  return UserToken;
+};
@@ -32,6 +32,29 @@ const DailyLoginTracker = require("./DailyLoginTracker")(
   sequelize,
   Sequelize.DataTypes
 );
+const Session = require("./Session")(sequelize, Sequelize.DataTypes);
+const RefreshToken = require("./RefreshToken")(sequelize, Sequelize.DataTypes);
+const UserToken = require("./UserToken")(sequelize, Sequelize.DataTypes);
+const Setting = require("./Setting")(sequelize, Sequelize.DataTypes);
+const Invitation = require("./Invitation")(sequelize, Sequelize.DataTypes);
+const ApiToken = require("./ApiToken")(sequelize, Sequelize.DataTypes);
+const Role = require("./Role")(sequelize, Sequelize.DataTypes);
+const TimesheetPeriod = require("./TimesheetPeriod")(
+  sequelize,
+  Sequelize.DataTypes
+);
+const TimesheetPeriodTransition = require("./TimesheetPeriodTransition")(
+  sequelize,
+  Sequelize.DataTypes
+);
+const LockedPeriod = require("./LockedPeriod")(sequelize, Sequelize.DataTypes);
+const LockOverride = require("./LockOverride")(sequelize, Sequelize.DataTypes);
+const Holiday = require("./Holiday")(sequelize, Sequelize.DataTypes);
+const EntryTemplate = require("./EntryTemplate")(
+  sequelize,
+  Sequelize.DataTypes
+);
+const RateCard = require("./RateCard")(sequelize, Sequelize.DataTypes);
 
 // Define associations
 const db = {
@@ -46,6 +69,20 @@ const db = {
   Project,
   TimeEntry,
   DailyLoginTracker,
+  Session,
+  RefreshToken,
+  UserToken,
+  Setting,
+  Invitation,
+  ApiToken,
+  Role,
+  TimesheetPeriod,
+  TimesheetPeriodTransition,
+  LockedPeriod,
+  LockOverride,
+  Holiday,
+  EntryTemplate,
+  RateCard,
 };
 
 // Set up associations
@@ -1,5 +1,6 @@
 // routes/admin.js
 const express = require("express");
+const crypto = require("crypto");
 const {
   User,
   TimeEntry,
@@ -7,28 +8,100 @@ const {
   Activity,
   Organization,
   Process,
+  Session,
+  Setting,
+  ApiToken,
+  Role,
   sequelize,
 } = require("../models");
 const { authenticate } = require("../middleware/auth");
-const { requireAdmin } = require("../middleware/rbac");
+const {
+  PERMISSIONS,
+  can,
+  canAssignRole,
+  requirePermission,
+} = require("../middleware/rbac");
 const { validate, schemas } = require("../middleware/validation");
 const { catchAsync } = require("../middleware/errorHandler");
+const config = require("../config");
 const logger = require("../utils/logger");
+const { generateRandomToken } = require("../utils/tokens");
 const { Op } = require("sequelize");
 
 const router = express.Router();
 
-// Apply authentication and admin authorization to all routes
+// Apply authentication to all routes; each route checks its permission
 router.use(authenticate);
-router.use(requireAdmin);
+
+/**
+ * Check that managerId can be assigned as the manager of userId (which is
+ * undefined for a user that is about to be created). Returns an error
+ * message or null.
+ */
+const checkManagerAssignment = async (managerId, userId) => {
+  if (!managerId) return null;
+
+  if (managerId === userId) {
+    return "A user cannot be their own manager";
+  }
+
+  const manager = await User.findByPk(managerId, {
+    attributes: ["id", "role", "isActive", "managerId"],
+  });
+
+  if (!manager || !manager.isActive) {
+    return "Manager not found";
+  }
+
+  if (!(await can(manager, PERMISSIONS.TEAM_READ))) {
+    return "The manager's role must grant the team:read permission";
+  }
+
+  // Walk up the reporting line so no cycle can be created
+  let current = manager;
+  while (userId && current && current.managerId) {
+    if (current.managerId === userId) {
+      return "This assignment would create a reporting cycle";
+    }
+    current = await User.findByPk(current.managerId, {
+      attributes: ["id", "managerId"],
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Check that the current user may give the role to the account with userId
+ * (undefined for an account that is about to be created). Returns an error
+ * message or null.
+ */
+const checkRoleAssignment = async (req, role, userId) => {
+  if (userId === req.user.id) {
+    return "You cannot change your own role";
+  }
+
+  if (!(await canAssignRole(req.user, role))) {
+    logger.warn("Role assignment denied", {
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetUserId: userId,
+      role,
+    });
+    return `You cannot assign the "${role}" role because it grants permissions you do not hold`;
+  }
+
+  return null;
+};
 
 /**
  * @route   GET /api/admin/users
- * @desc    Get all users (Admin only)
- * @access  Private (Admin)
+ * @desc    Get all users
+ * @access  Private (users:read)
  */
 router.get(
   "/users",
+  requirePermission(PERMISSIONS.USERS_READ),
   catchAsync(async (req, res) => {
     const {
       page = 1,
@@ -36,6 +109,8 @@ router.get(
       search = "",
       role = "",
       isActive = "",
+      accountType = "",
+      managerId = "",
     } = req.query;
 
     const offset = (page - 1) * limit;
@@ -57,6 +132,14 @@ router.get(
       where.isActive = isActive === "true";
     }
 
+    if (accountType) {
+      where.accountType = accountType;
+    }
+
+    if (managerId) {
+      where.managerId = managerId;
+    }
+
     const { count, rows: users } = await User.findAndCountAll({
       where,
       attributes: { exclude: ["password"] },
@@ -85,14 +168,37 @@ router.get(
 
 /**
  * @route   POST /api/admin/users
- * @desc    Create new user (Admin only)
- * @access  Private (Admin)
+ * @desc    Create new user
+ * @access  Private (users:manage)
  */
 router.post(
   "/users",
-  validate(schemas.register),
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(schemas.createUser),
   catchAsync(async (req, res) => {
-    const { name, email, password, role = "user" } = req.body;
+    const {
+      name,
+      email,
+      password,
+      role = "user",
+      managerId,
+      timezone,
+    } = req.body;
+
+    if (!(await Role.exists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Role "${role}" does not exist`,
+      });
+    }
+
+    const roleError = await checkRoleAssignment(req, role);
+    if (roleError) {
+      return res.status(403).json({
+        success: false,
+        message: roleError,
+      });
+    }
 
     // Check if user exists
     const existingUser = await User.findOne({ where: { email } });
@@ -103,13 +209,25 @@ router.post(
       });
     }
 
+    const managerError = await checkManagerAssignment(managerId);
+    if (managerError) {
+      return res.status(400).json({
+        success: false,
+        message: managerError,
+      });
+    }
+
     // Create user
     const user = await User.create({
       name,
       email,
       password,
       role,
+      managerId: managerId || null,
+      timezone: timezone || null,
       isActive: true,
+      // The admin vouches for the address, no confirmation email needed
+      emailVerifiedAt: new Date(),
     });
 
     logger.info("User created by admin", {
@@ -128,6 +246,8 @@ router.post(
           name: user.name,
           email: user.email,
           role: user.role,
+          managerId: user.managerId,
+          timezone: user.timezone,
           isActive: user.isActive,
           createdAt: user.createdAt,
         },
@@ -138,16 +258,24 @@ router.post(
 
 /**
  * @route   PUT /api/admin/users/:id
- * @desc    Update user (Admin only)
- * @access  Private (Admin)
+ * @desc    Update user
+ * @access  Private (users:manage)
  */
 router.put(
   "/users/:id",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   validate(schemas.uuidParam, "params"),
   validate(schemas.updateUser),
   catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { name, email, role, isActive } = req.body;
+    const { name, email, role, managerId, timezone, isActive } = req.body;
+
+    if (role !== undefined && !(await Role.exists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Role "${role}" does not exist`,
+      });
+    }
 
     const user = await User.findByPk(id);
     if (!user) {
@@ -165,15 +293,45 @@ router.put(
       });
     }
 
+    // Taking a role away needs the same rights as giving it
+    if (role !== undefined && role !== user.role) {
+      const roleError =
+        (await checkRoleAssignment(req, role, id)) ||
+        (await checkRoleAssignment(req, user.role, id));
+      if (roleError) {
+        return res.status(403).json({
+          success: false,
+          message: roleError,
+        });
+      }
+    }
+
+    const managerError = await checkManagerAssignment(managerId, id);
+    if (managerError) {
+      return res.status(400).json({
+        success: false,
+        message: managerError,
+      });
+    }
+
     // Update user
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (email !== undefined) updates.email = email;
     if (role !== undefined) updates.role = role;
+    if (managerId !== undefined) updates.managerId = managerId;
+    if (timezone !== undefined) updates.timezone = timezone;
     if (isActive !== undefined) updates.isActive = isActive;
 
     await user.update(updates);
 
+    // Deactivated accounts should not keep any live session around
+    if (isActive === false) {
+      await sequelize.transaction((transaction) =>
+        Session.revokeAllForUser(id, "deactivated", { transaction })
+      );
+    }
+
     logger.info("User updated by admin", {
       updatedBy: req.user.id,
       targetUser: id,
@@ -190,11 +348,12 @@ router.put(
 
 /**
  * @route   DELETE /api/admin/users/:id
- * @desc    Delete user (Admin only)
- * @access  Private (Admin)
+ * @desc    Delete user
+ * @access  Private (users:manage)
  */
 router.delete(
   "/users/:id",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   validate(schemas.uuidParam, "params"),
   catchAsync(async (req, res) => {
     const { id } = req.params;
@@ -246,15 +405,496 @@ router.delete(
     });
   })
 );
+
+/**
+ * @route   GET /api/admin/users/:id/sessions
+ * @desc    List a user's active sessions
+ * @access  Private (users:read)
+ */
+router.get(
+  "/users/:id/sessions",
+  requirePermission(PERMISSIONS.USERS_READ),
+  validate(schemas.uuidParam, "params"),
+  catchAsync(async (req, res) => {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(user.id);
+
+    res.json({
+      success: true,
+      data: { sessions },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id/sessions/:sessionId
+ * @desc    Sign a user out of a single session
+ * @access  Private (users:manage)
+ */
+router.delete(
+  "/users/:id/sessions/:sessionId",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(schemas.sessionParams, "params"),
+  catchAsync(async (req, res) => {
+    const { id, sessionId } = req.params;
+
+    const session = await Session.findOne({
+      where: { id: sessionId, userId: id },
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await sequelize.transaction((transaction) =>
+      session.revoke("admin", { transaction })
+    );
+
+    logger.info("User session revoked by admin", {
+      revokedBy: req.user.id,
+      targetUser: id,
+      sessionId,
+    });
+
+    res.json({
+      success: true,
+      message: "Session signed out successfully",
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id/sessions
+ * @desc    Log a user out of all devices
+ * @access  Private (users:manage)
+ */
+router.delete(
+  "/users/:id/sessions",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(schemas.uuidParam, "params"),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const revokedCount = await sequelize.transaction((transaction) =>
+      Session.revokeAllForUser(id, "admin", { transaction })
+    );
+
+    logger.info("User sessions revoked by admin", {
+      revokedBy: req.user.id,
+      targetUser: id,
+      revokedSessions: revokedCount,
+    });
+
+    res.json({
+      success: true,
+      message: "User has been logged out from all devices",
+      data: { revokedSessions: revokedCount },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/users/:id/2fa/reset
+ * @desc    Remove a user's two-factor enrollment
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/users/:id/2fa/reset",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(schemas.uuidParam, "params"),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // The user has lost their device, so existing sessions are suspect too
+    await sequelize.transaction(async (transaction) => {
+      await user.resetTwoFactor({ transaction });
+      await Session.revokeAllForUser(id, "two_factor_reset", { transaction });
+    });
+
+    logger.warn("User two-factor reset by admin", {
+      resetBy: req.user.id,
+      targetUser: id,
+      targetUserEmail: user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication has been reset for this user",
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/users/:id/verify-email
+ * @desc    Mark a user's email address as verified
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/users/:id/verify-email",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(schemas.uuidParam, "params"),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!user.emailVerifiedAt) {
+      await user.update({ emailVerifiedAt: new Date() });
+    }
+
+    logger.info("User email verified by admin", {
+      verifiedBy: req.user.id,
+      targetUser: id,
+      targetUserEmail: user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Email address marked as verified",
+      data: { emailVerifiedAt: user.emailVerifiedAt },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/settings/email-verification
+ * @desc    Get whether self-registered users must verify their email
+ * @access  Private (settings:manage)
+ */
+router.get(
+  "/settings/email-verification",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  catchAsync(async (req, res) => {
+    const required = await Setting.getValue(
+      Setting.KEYS.EMAIL_VERIFICATION_REQUIRED,
+      config.emailVerification.required
+    );
+
+    res.json({
+      success: true,
+      data: { required },
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/settings/email-verification
+ * @desc    Turn the email verification requirement on or off
+ * @access  Private (settings:manage)
+ */
+router.put(
+  "/settings/email-verification",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validate(schemas.emailVerificationSettings),
+  catchAsync(async (req, res) => {
+    const { required } = req.body;
+
+    await Setting.setValue(
+      Setting.KEYS.EMAIL_VERIFICATION_REQUIRED,
+      required,
+      req.user.id
+    );
+
+    logger.info("Email verification requirement updated by admin", {
+      updatedBy: req.user.id,
+      required,
+    });
+
+    res.json({
+      success: true,
+      message: "Email verification settings updated successfully",
+      data: { required },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/settings/two-factor
+ * @desc    Get which roles must use two-factor authentication
+ * @access  Private (settings:manage)
+ */
+router.get(
+  "/settings/two-factor",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  catchAsync(async (req, res) => {
+    const requiredRoles = await Setting.getValue(
+      Setting.KEYS.TWO_FACTOR_REQUIRED_ROLES,
+      []
+    );
+
+    res.json({
+      success: true,
+      data: { requiredRoles },
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/settings/two-factor
+ * @desc    Require two-factor authentication for the given roles
+ * @access  Private (settings:manage)
+ */
+router.put(
+  "/settings/two-factor",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validate(schemas.twoFactorSettings),
+  catchAsync(async (req, res) => {
+    const { requiredRoles } = req.body;
+
+    const knownRoles = await Role.count({ where: { name: requiredRoles } });
+    if (knownRoles !== requiredRoles.length) {
+      return res.status(400).json({
+        success: false,
+        message: "One or more roles do not exist",
+      });
+    }
+
+    await Setting.setValue(
+      Setting.KEYS.TWO_FACTOR_REQUIRED_ROLES,
+      requiredRoles,
+      req.user.id
+    );
+
+    logger.info("Two-factor requirement updated by admin", {
+      updatedBy: req.user.id,
+      requiredRoles,
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor settings updated successfully",
+      data: { requiredRoles },
+    });
+  })
+);
+
+/**
+ * Load a service account by id or send a 404
+ */
+const findServiceAccount = async (id, res) => {
+  const account = await User.findOne({
+    where: { id, accountType: "service" },
+  });
+
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      message: "Service account not found",
+    });
+    return null;
+  }
+
+  return account;
+};
+
+/**
+ * @route   GET /api/admin/service-accounts
+ * @desc    List service accounts with their API tokens
+ * @access  Private (users:manage)
+ */
+router.get(
+  "/service-accounts",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  catchAsync(async (req, res) => {
+    const serviceAccounts = await User.findAll({
+      where: { accountType: "service" },
+      include: [
+        {
+          model: ApiToken,
+          as: "apiTokens",
+          required: false,
+        },
+      ],
+      order: [["name", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { serviceAccounts },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/service-accounts
+ * @desc    Create a non-human account for integrations
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/service-accounts",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(schemas.createServiceAccount),
+  catchAsync(async (req, res) => {
+    const { name, role } = req.body;
+
+    if (!(await Role.exists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Role "${role}" does not exist`,
+      });
+    }
+
+    const roleError = await checkRoleAssignment(req, role);
+    if (roleError) {
+      return res.status(403).json({
+        success: false,
+        message: roleError,
+      });
+    }
+
+    const slug =
+      name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "service";
+
+    const serviceAccount = await User.create({
+      name,
+      // Placeholder address, service accounts never receive email
+      email: `${slug}.${crypto.randomBytes(4).toString("hex")}@service-accounts.local`,
+      // Random password nobody knows; password login is refused anyway
+      password: generateRandomToken(),
+      role,
+      accountType: "service",
+      isActive: true,
+      emailVerifiedAt: new Date(),
+    });
+
+    logger.info("Service account created by admin", {
+      createdBy: req.user.id,
+      serviceAccountId: serviceAccount.id,
+      role,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Service account created successfully",
+      data: { serviceAccount },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/service-accounts/:id/tokens
+ * @desc    Issue an API token for a service account
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/service-accounts/:id/tokens",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(schemas.uuidParam, "params"),
+  validate(schemas.createApiToken),
+  catchAsync(async (req, res) => {
+    const serviceAccount = await findServiceAccount(req.params.id, res);
+    if (!serviceAccount) return;
+
+    const { name, scopes, expiresAt } = req.body;
+
+    const { apiToken, token } = await ApiToken.issue(serviceAccount.id, {
+      name,
+      scopes,
+      expiresAt,
+      createdBy: req.user.id,
+    });
+
+    logger.info("Service account token created by admin", {
+      createdBy: req.user.id,
+      serviceAccountId: serviceAccount.id,
+      apiTokenId: apiToken.id,
+      scopes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API token created. Copy it now, it will not be shown again.",
+      data: { apiToken, token },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/service-accounts/:id/tokens/:tokenId
+ * @desc    Revoke a service account token
+ * @access  Private (users:manage)
+ */
+router.delete(
+  "/service-accounts/:id/tokens/:tokenId",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(schemas.apiTokenParams, "params"),
+  catchAsync(async (req, res) => {
+    const serviceAccount = await findServiceAccount(req.params.id, res);
+    if (!serviceAccount) return;
+
+    const apiToken = await ApiToken.findOne({
+      where: { id: req.params.tokenId, userId: serviceAccount.id },
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: "API token not found",
+      });
+    }
+
+    if (!apiToken.revokedAt) {
+      await apiToken.update({ revokedAt: new Date() });
+    }
+
+    logger.info("Service account token revoked by admin", {
+      revokedBy: req.user.id,
+      serviceAccountId: serviceAccount.id,
+      apiTokenId: apiToken.id,
+    });
+
+    res.json({
+      success: true,
+      message: "API token revoked successfully",
+    });
+  })
+);
+
 // Add this endpoint to routes/admin.js (after the GET /api/admin/users route)
 
 /**
  * @route   GET /api/admin/users/:id
- * @desc    Get specific user by ID (Admin only)
- * @access  Private (Admin)
+ * @desc    Get specific user by ID
+ * @access  Private (users:read)
  */
 router.get(
   "/users/:id",
+  requirePermission(PERMISSIONS.USERS_READ),
   validate(schemas.uuidParam, "params"),
   catchAsync(async (req, res) => {
     const { id } = req.params;
@@ -262,6 +902,16 @@ router.get(
     const user = await User.findByPk(id, {
       attributes: { exclude: ["password"] }, // Don't return password
       include: [
+        {
+          model: User,
+          as: "manager",
+          attributes: ["id", "name", "email"],
+        },
+        {
+          model: User,
+          as: "directReports",
+          attributes: ["id", "name", "email", "role"],
+        },
         {
           model: TimeEntry,
           as: "timeEntries",
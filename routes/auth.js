@@ -1,14 +1,152 @@
 // routes/auth.js
 const express = require("express");
-const { User, DailyLoginTracker } = require("../models");
-const { authenticate } = require("../middleware/auth");
+const jwt = require("jsonwebtoken");
+const rateLimit = require("express-rate-limit");
+const {
+  User,
+  DailyLoginTracker,
+  Session,
+  RefreshToken,
+  UserToken,
+  Organization,
+  UserOrganization,
+  sequelize,
+} = require("../models");
+const { authenticateWith } = require("../middleware/auth");
 const { validate, schemas } = require("../middleware/validation");
 const { catchAsync } = require("../middleware/errorHandler");
 const config = require("../config");
 const logger = require("../utils/logger");
+const { hashToken, generateRandomToken } = require("../utils/tokens");
+const { sendMail } = require("../utils/mailer");
+const emailTemplates = require("../utils/emailTemplates");
+const {
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+  mapGroups,
+} = require("../utils/oidc");
 
 const router = express.Router();
 
+// Endpoints a user who still has to enroll in 2FA or confirm their email
+// address must be able to reach
+const authenticate = authenticateWith({
+  allowPendingTwoFactor: true,
+  allowUnverifiedEmail: true,
+});
+
+// Stricter rate limit for endpoints that send email or accept secrets
+const authLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.authMax,
+  message: {
+    success: false,
+    message: "Too many attempts, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Issue an email verification token and mail the confirmation link
+ */
+const sendVerificationEmail = async (user, req) => {
+  const { token } = await UserToken.issue(user.id, "email_verification", {
+    expiresIn: config.emailVerification.tokenExpiry,
+    requestedIp: req.ip,
+  });
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...emailTemplates.emailVerification({
+        name: user.name,
+        token,
+        expiresInHours: Math.round(
+          config.emailVerification.tokenExpiry / (60 * 60 * 1000)
+        ),
+      }),
+    });
+  } catch (error) {
+    logger.error("Failed to send verification email:", error);
+  }
+};
+
+/**
+ * Create a session for a fully authenticated user and send the login response
+ */
+const completeLogin = async (
+  req,
+  res,
+  user,
+  extraData = {},
+  authMethod = "password"
+) => {
+  // Generate tokens
+  const { tokens } = await Session.start(user, {
+    ipAddress: req.ip,
+    userAgent: req.get("User-Agent"),
+    authMethod,
+  });
+
+  // Update last login
+  const loginTime = new Date();
+  await user.update({ lastLogin: loginTime });
+
+  // Track first daily login
+  const { isFirstLogin, tracker } = await DailyLoginTracker.trackFirstLogin(
+    user.id,
+    loginTime,
+    req.ip || req.connection.remoteAddress,
+    req.get("User-Agent"),
+    req.body.location || null, // Optional location from client
+    await user.getTimeZone()
+  );
+
+  const twoFactorSetupRequired =
+    authMethod !== "oidc" &&
+    !user.twoFactorEnabled &&
+    (await user.isTwoFactorRequired());
+  const emailVerificationRequired = await user.needsEmailVerification();
+
+  logger.info("User logged in successfully", {
+    userId: user.id,
+    email: user.email,
+    ip: req.ip,
+    authMethod,
+    isFirstLoginToday: isFirstLogin,
+    dailyTrackerId: tracker.id,
+  });
+
+  res.json({
+    success: true,
+    message: `Welcome back, ${user.name}!`,
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isActive: user.isActive,
+        twoFactorEnabled: user.twoFactorEnabled,
+        emailVerifiedAt: user.emailVerifiedAt,
+      },
+      tokens,
+      twoFactorSetupRequired,
+      emailVerificationRequired,
+      dailyLogin: {
+        isFirstLoginToday: isFirstLogin,
+        firstLoginTime: tracker.firstLoginTime,
+        loginDate: tracker.loginDate,
+      },
+      ...extraData,
+    },
+  });
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -18,7 +156,7 @@ router.post(
   "/register",
   validate(schemas.register),
   catchAsync(async (req, res) => {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ where: { email } });
@@ -34,15 +172,21 @@ router.post(
       name,
       email,
       password,
-      role: role || "user",
+      role: "user",
+      selfRegistered: true,
     });
 
     // Generate tokens
-    const { accessToken, refreshToken } = user.generateTokens();
+    const { tokens } = await Session.start(user, {
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
 
     // Update last login
     await user.update({ lastLogin: new Date() });
 
+    await sendVerificationEmail(user, req);
+
     logger.info("User registered successfully", {
       userId: user.id,
       email: user.email,
@@ -59,8 +203,10 @@ router.post(
           email: user.email,
           role: user.role,
           isActive: user.isActive,
+          emailVerifiedAt: user.emailVerifiedAt,
         },
-        tokens: { accessToken, refreshToken },
+        tokens,
+        emailVerificationRequired: await user.needsEmailVerification(),
       },
     });
   })
@@ -107,6 +253,14 @@ router.post(
       });
     }
 
+    // Service accounts have no interactive login, only API tokens
+    if (user.isServiceAccount()) {
+      return res.status(403).json({
+        success: false,
+        message: "Service accounts cannot log in. Use an API token instead.",
+      });
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
@@ -128,54 +282,730 @@ router.post(
       });
     }
 
+    // Accounts with 2FA need a second step before any session is created.
+    // Failed attempts are only reset once that step succeeds, so that wrong
+    // codes count towards the same lockout as wrong passwords.
+    if (user.twoFactorEnabled) {
+      const twoFactorToken = jwt.sign(
+        { id: user.id, type: "2fa_pending" },
+        config.jwt.secret,
+        {
+          expiresIn: config.security.twoFactorLoginExpiry,
+          issuer: config.jwt.issuer,
+          audience: config.jwt.audience,
+        }
+      );
+
+      return res.json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        data: {
+          requiresTwoFactor: true,
+          twoFactorToken,
+        },
+      });
+    }
+
     // Reset login attempts on successful login
     if (user.loginAttempts > 0) {
       await user.resetLoginAttempts();
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = user.generateTokens();
+    await completeLogin(req, res, user);
+  })
+);
 
-    // Update last login
-    const loginTime = new Date();
-    await user.update({ lastLogin: loginTime });
-
-    // Track first daily login
-    const { isFirstLogin, tracker } = await DailyLoginTracker.trackFirstLogin(
-      user.id,
-      loginTime,
-      req.ip || req.connection.remoteAddress,
-      req.get("User-Agent"),
-      req.body.location || null // Optional location from client
-    );
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step for accounts with two-factor authentication
+ * @access  Public
+ */
+router.post(
+  "/login/2fa",
+  authLimiter,
+  validate(schemas.loginTwoFactor),
+  catchAsync(async (req, res) => {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(twoFactorToken, config.jwt.secret, {
+        issuer: config.jwt.issuer,
+        audience: config.jwt.audience,
+      });
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Two-factor login has expired. Please log in again.",
+      });
+    }
+
+    if (decoded.type !== "2fa_pending") {
+      return res.status(401).json({
+        success: false,
+        message: "Two-factor login has expired. Please log in again.",
+      });
+    }
+
+    const user = await User.findByPk(decoded.id);
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Two-factor login has expired. Please log in again.",
+      });
+    }
+
+    if (user.isLocked()) {
+      const lockTimeRemaining = Math.ceil(
+        (user.lockUntil - Date.now()) / (1000 * 60)
+      );
+      return res.status(423).json({
+        success: false,
+        message: `Account locked. Try again in ${lockTimeRemaining} minutes.`,
+        lockTimeRemaining,
+      });
+    }
+
+    const isCodeValid = code
+      ? await user.verifyTwoFactorCode(code)
+      : await user.useRecoveryCode(recoveryCode);
+
+    if (!isCodeValid) {
+      await user.incLoginAttempts();
+
+      logger.warn("Failed two-factor attempt", {
+        userId: user.id,
+        email: user.email,
+        ip: req.ip,
+        attempts: user.loginAttempts + 1,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    const extraData = {};
+    if (recoveryCode) {
+      extraData.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+
+      logger.warn("Recovery code used for login", {
+        userId: user.id,
+        email: user.email,
+        recoveryCodesRemaining: extraData.recoveryCodesRemaining,
+      });
+    }
+
+    await completeLogin(req, res, user, extraData);
+  })
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair (rotating)
+ * @access  Public
+ */
+router.post(
+  "/refresh",
+  validate(schemas.refreshToken),
+  catchAsync(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, config.jwt.secret, {
+        issuer: config.jwt.issuer,
+        audience: config.jwt.audience,
+      });
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    if (decoded.type !== "refresh" || !decoded.jti) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      // Lock the row so two concurrent refreshes cannot both rotate it
+      const storedToken = await RefreshToken.findOne({
+        where: { id: decoded.jti, tokenHash: hashToken(refreshToken) },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (!storedToken || storedToken.isExpired()) {
+        return { status: "invalid" };
+      }
+
+      const session = await Session.findByPk(storedToken.sessionId, {
+        transaction,
+      });
+
+      // A token that was already rotated or revoked is being replayed:
+      // assume it was stolen and end the whole session it belongs to
+      if (storedToken.revokedAt) {
+        if (session) {
+          await session.revoke("reuse_detected", { transaction });
+        }
+        return { status: "reused", storedToken };
+      }
+
+      if (!session || !session.isActive()) {
+        return { status: "invalid" };
+      }
+
+      const user = await User.findByPk(storedToken.userId, { transaction });
+      if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+        await session.revoke("user_inactive", { transaction });
+        return { status: "invalid" };
+      }
+
+      const { tokens, record } = await RefreshToken.issue(
+        user,
+        {
+          sessionId: session.id,
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        },
+        { transaction }
+      );
+
+      await storedToken.update(
+        {
+          revokedAt: new Date(),
+          revokedReason: "rotated",
+          replacedById: record.id,
+        },
+        { transaction }
+      );
+
+      await session.update({ expiresAt: record.expiresAt }, { transaction });
+      await session.touch(req.ip, { transaction });
+
+      return { status: "rotated", user, tokens };
+    });
+
+    if (result.status === "reused") {
+      logger.warn("Refresh token reuse detected, session revoked", {
+        userId: result.storedToken.userId,
+        sessionId: result.storedToken.sessionId,
+        ip: req.ip,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has already been used. Please log in again.",
+      });
+    }
+
+    if (result.status !== "rotated") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    logger.info("Tokens refreshed", {
+      userId: result.user.id,
+      email: result.user.email,
+    });
+
+    res.json({
+      success: true,
+      data: { tokens: result.tokens },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address using the emailed token
+ * @access  Public
+ */
+router.post(
+  "/verify-email",
+  authLimiter,
+  validate(schemas.verifyEmail),
+  catchAsync(async (req, res) => {
+    const user = await sequelize.transaction(async (transaction) => {
+      const verificationToken = await UserToken.consume(
+        req.body.token,
+        "email_verification",
+        { transaction }
+      );
+      if (!verificationToken) return null;
+
+      const tokenUser = await User.findByPk(verificationToken.userId, {
+        transaction,
+      });
+      if (!tokenUser) return null;
+
+      if (!tokenUser.emailVerifiedAt) {
+        await tokenUser.update(
+          { emailVerifiedAt: new Date() },
+          { transaction }
+        );
+      }
+
+      return tokenUser;
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    logger.info("Email address verified", {
+      userId: user.id,
+      email: user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Email address verified successfully",
+      data: { emailVerifiedAt: user.emailVerifiedAt },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send a new verification email to the current user
+ * @access  Private
+ */
+router.post(
+  "/verify-email/resend",
+  authLimiter,
+  authenticate,
+  catchAsync(async (req, res) => {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Email address is already verified",
+      });
+    }
+
+    // One email per cooldown window, regardless of how many IPs ask
+    const lastToken = await UserToken.findOne({
+      where: { userId: req.user.id, purpose: "email_verification" },
+      order: [["createdAt", "DESC"]],
+    });
+
+    if (lastToken) {
+      const retryAfterMs =
+        lastToken.createdAt.getTime() +
+        config.emailVerification.resendCooldown -
+        Date.now();
+
+      if (retryAfterMs > 0) {
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another email.`,
+          retryAfter,
+        });
+      }
+    }
+
+    await sendVerificationEmail(req.user, req);
+
+    logger.info("Verification email resent", {
+      userId: req.user.id,
+      email: req.user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post(
+  "/forgot-password",
+  authLimiter,
+  validate(schemas.forgotPassword),
+  catchAsync(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findOne({ where: { email } });
+
+    if (user && user.isActive && !user.isServiceAccount()) {
+      const { token } = await UserToken.issue(user.id, "password_reset", {
+        expiresIn: config.passwordReset.tokenExpiry,
+        requestedIp: req.ip,
+      });
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...emailTemplates.passwordReset({
+            name: user.name,
+            token,
+            expiresInMinutes: Math.round(
+              config.passwordReset.tokenExpiry / (60 * 1000)
+            ),
+          }),
+        });
+      } catch (error) {
+        logger.error("Failed to send password reset email:", error);
+      }
+
+      logger.info("Password reset requested", {
+        userId: user.id,
+        email: user.email,
+        ip: req.ip,
+      });
+    } else {
+      logger.warn("Password reset requested for unknown or inactive account", {
+        email,
+        ip: req.ip,
+      });
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe emails
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent.",
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post(
+  "/reset-password",
+  authLimiter,
+  validate(schemas.resetPassword),
+  catchAsync(async (req, res) => {
+    const { token, password } = req.body;
+
+    const user = await sequelize.transaction(async (transaction) => {
+      const resetToken = await UserToken.consume(token, "password_reset", {
+        transaction,
+      });
+      if (!resetToken) return null;
+
+      const tokenUser = await User.findByPk(resetToken.userId, {
+        transaction,
+      });
+      if (!tokenUser || !tokenUser.isActive) return null;
+
+      tokenUser.password = password;
+      tokenUser.loginAttempts = 0;
+      tokenUser.lockUntil = null;
+      // Receiving the reset link proves the address belongs to the user
+      if (!tokenUser.emailVerifiedAt) {
+        tokenUser.emailVerifiedAt = new Date();
+      }
+      await tokenUser.save({ transaction });
+
+      // Whoever knew the old password must not stay signed in
+      await Session.revokeAllForUser(tokenUser.id, "password_reset", {
+        transaction,
+      });
+
+      return tokenUser;
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Password reset link is invalid or has expired",
+      });
+    }
 
-    logger.info("User logged in successfully", {
+    logger.info("Password reset completed", {
       userId: user.id,
       email: user.email,
       ip: req.ip,
-      isFirstLoginToday: isFirstLogin,
-      dailyTrackerId: tracker.id,
     });
 
     res.json({
       success: true,
-      message: `Welcome back, ${user.name}!`,
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          isActive: user.isActive,
-        },
-        tokens: { accessToken, refreshToken },
-        dailyLogin: {
-          isFirstLoginToday: isFirstLogin,
-          firstLoginTime: tracker.firstLoginTime,
-          loginDate: tracker.loginDate,
+      message: "Password has been reset. You can now log in.",
+    });
+  })
+);
+
+// Cookie carrying the pending single sign-on request between redirects
+const OIDC_STATE_COOKIE = "oidc_state";
+
+const requireOidc = (req, res, next) => {
+  if (!config.oidc.enabled) {
+    return res.status(404).json({
+      success: false,
+      message: "Single sign-on is not enabled",
+    });
+  }
+  next();
+};
+
+// Browser-facing SSO endpoints report errors back to the frontend
+const redirectToSsoCallback = (res, params) =>
+  res.redirect(emailTemplates.frontendLink("/auth/sso/callback", params));
+
+/**
+ * Find or create the local account for verified ID token claims and apply
+ * the role and organization memberships mapped from the user's IdP groups.
+ * Returns { user } or { error } with a short error code for the frontend.
+ */
+const syncOidcUser = async (claims) => {
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  const groups = [].concat(claims[config.oidc.groupsClaim] || []);
+  const { role, organizationIds } = mapGroups(groups);
+
+  return sequelize.transaction(async (transaction) => {
+    let user = await User.findOne({
+      where: { oidcSubject: claims.sub },
+      transaction,
+    });
+
+    if (!user && email) {
+      // Matching by email is only safe when the IdP vouches for the address;
+      // a missing email_verified claim does not count as a yes
+      if (claims.email_verified !== true) {
+        return { error: "email_not_verified" };
+      }
+
+      user = await User.findOne({ where: { email }, transaction });
+
+      if (user && user.oidcSubject) {
+        return { error: "account_already_linked" };
+      }
+    }
+
+    if (!user) {
+      if (!config.oidc.autoProvision) return { error: "account_not_found" };
+      if (!email) return { error: "email_missing" };
+
+      user = await User.create(
+        {
+          name: claims.name || claims.preferred_username || email,
+          email,
+          // Random password: SSO users sign in through the IdP
+          password: generateRandomToken(),
+          role: role || "user",
+          oidcSubject: claims.sub,
+          emailVerifiedAt: new Date(),
         },
+        { transaction }
+      );
+
+      logger.info("User provisioned via single sign-on", {
+        userId: user.id,
+        email: user.email,
+      });
+    } else {
+      // Disabled and service accounts are refused before anything changes
+      if (!user.isActive) return { error: "account_disabled" };
+      if (user.isServiceAccount()) return { error: "service_account" };
+
+      const updates = {};
+      if (!user.oidcSubject) updates.oidcSubject = claims.sub;
+      if (!user.emailVerifiedAt) updates.emailVerifiedAt = new Date();
+      if (role && role !== user.role) updates.role = role;
+
+      if (Object.keys(updates).length > 0) {
+        await user.update(updates, { transaction });
+      }
+    }
+
+    // Only memberships that SSO created are removed again; manual ones stay
+    if (Object.keys(config.oidc.organizationMapping).length > 0) {
+      const organizations = await Organization.findAll({
+        where: { id: organizationIds },
+        attributes: ["id"],
+        transaction,
+      });
+      const targetIds = organizations.map((org) => org.id);
+
+      const memberships = await UserOrganization.findAll({
+        where: { userId: user.id },
+        transaction,
+      });
+      const currentIds = memberships.map((m) => m.organizationId);
+
+      const toAdd = targetIds.filter((id) => !currentIds.includes(id));
+      const toRemove = memberships.filter(
+        (m) => m.source === "oidc" && !targetIds.includes(m.organizationId)
+      );
+
+      if (toAdd.length > 0) {
+        await UserOrganization.bulkCreate(
+          toAdd.map((organizationId) => ({
+            userId: user.id,
+            organizationId,
+            source: "oidc",
+          })),
+          { transaction }
+        );
+      }
+
+      if (toRemove.length > 0) {
+        await UserOrganization.destroy({
+          where: { id: toRemove.map((m) => m.id) },
+          transaction,
+        });
+      }
+    }
+
+    return { user };
+  });
+};
+
+/**
+ * @route   GET /api/auth/oidc/login
+ * @desc    Start single sign-on by redirecting to the identity provider
+ * @access  Public
+ */
+router.get(
+  "/oidc/login",
+  requireOidc,
+  authLimiter,
+  catchAsync(async (req, res) => {
+    const authRequest = createAuthorizationRequest();
+
+    // state, nonce and PKCE verifier travel in a short-lived signed cookie
+    const stateToken = jwt.sign(
+      {
+        type: "oidc_state",
+        state: authRequest.state,
+        nonce: authRequest.nonce,
+        codeVerifier: authRequest.codeVerifier,
       },
+      config.jwt.secret,
+      { expiresIn: Math.floor(config.oidc.stateExpiry / 1000) }
+    );
+
+    res.cookie(OIDC_STATE_COOKIE, stateToken, {
+      httpOnly: true,
+      secure: config.server.env === "production",
+      sameSite: "lax",
+      maxAge: config.oidc.stateExpiry,
+      path: "/api/auth/oidc",
     });
+
+    res.redirect(await buildAuthorizationUrl(authRequest));
+  })
+);
+
+/**
+ * @route   GET /api/auth/oidc/callback
+ * @desc    Handle the identity provider redirect and hand the frontend a
+ *          one-time login code
+ * @access  Public
+ */
+router.get("/oidc/callback", requireOidc, async (req, res) => {
+  const stateToken = req.cookies[OIDC_STATE_COOKIE];
+  res.clearCookie(OIDC_STATE_COOKIE, { path: "/api/auth/oidc" });
+
+  if (req.query.error) {
+    logger.warn("Identity provider returned an error", {
+      error: req.query.error,
+      description: req.query.error_description,
+    });
+    return redirectToSsoCallback(res, { error: "provider_error" });
+  }
+
+  let pending;
+  try {
+    pending = jwt.verify(stateToken, config.jwt.secret);
+  } catch (error) {
+    pending = null;
+  }
+
+  if (
+    !pending ||
+    pending.type !== "oidc_state" ||
+    !req.query.code ||
+    pending.state !== req.query.state
+  ) {
+    return redirectToSsoCallback(res, { error: "invalid_state" });
+  }
+
+  try {
+    const tokenSet = await exchangeCode(req.query.code, pending.codeVerifier);
+    let claims = await verifyIdToken(tokenSet.id_token, pending.nonce);
+
+    // Some providers only expose groups through the userinfo endpoint
+    if (!claims[config.oidc.groupsClaim] && tokenSet.access_token) {
+      const userInfo = await fetchUserInfo(tokenSet.access_token);
+      if (userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims };
+      }
+    }
+
+    const { user, error } = await syncOidcUser(claims);
+
+    if (error) {
+      logger.warn("Single sign-on rejected", {
+        error,
+        subject: claims.sub,
+        email: claims.email,
+        ip: req.ip,
+      });
+      return redirectToSsoCallback(res, { error });
+    }
+
+    const { token } = await UserToken.issue(user.id, "sso_login", {
+      expiresIn: config.oidc.loginCodeExpiry,
+      requestedIp: req.ip,
+    });
+
+    redirectToSsoCallback(res, { code: token });
+  } catch (error) {
+    logger.error("Single sign-on failed:", error);
+    redirectToSsoCallback(res, { error: "sso_failed" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/oidc/exchange
+ * @desc    Exchange the one-time login code for a session and tokens
+ * @access  Public
+ */
+router.post(
+  "/oidc/exchange",
+  requireOidc,
+  authLimiter,
+  validate(schemas.oidcExchange),
+  catchAsync(async (req, res) => {
+    const loginCode = await UserToken.consume(req.body.code, "sso_login");
+    const user = loginCode && (await User.findByPk(loginCode.userId));
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Login code is invalid or has expired",
+      });
+    }
+
+    await completeLogin(req, res, user, {}, "oidc");
   })
 );
 
@@ -208,16 +1038,19 @@ router.get(
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user by revoking the current session
  * @access  Private
  */
 router.post(
   "/logout",
   authenticate,
   catchAsync(async (req, res) => {
+    await req.authSession.revoke("logout");
+
     logger.info("User logged out", {
       userId: req.user.id,
       email: req.user.email,
+      sessionId: req.authSession.id,
     });
 
     res.json({
@@ -227,4 +1060,31 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout user from all devices by revoking every session
+ * @access  Private
+ */
+router.post(
+  "/logout-all",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const revokedCount = await sequelize.transaction((transaction) =>
+      Session.revokeAllForUser(req.user.id, "logout_all", { transaction })
+    );
+
+    logger.info("User logged out from all devices", {
+      userId: req.user.id,
+      email: req.user.email,
+      revokedSessions: revokedCount,
+    });
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices successfully",
+      data: { revokedSessions: revokedCount },
+    });
+  })
+);
+
 module.exports = router;
@@ -3,7 +3,11 @@ const express = require("express");
 const { Op } = require("sequelize");
 const { Customer, Organization, Project } = require("../models");
 const { authenticate } = require("../middleware/auth");
-const { requireUser } = require("../middleware/rbac");
+const { requireUser, ORG_ROLES } = require("../middleware/rbac");
+const {
+  getAccessibleOrganizationIds,
+  ensureOrgRole,
+} = require("../middleware/orgAccess");
 const { validate, schemas } = require("../middleware/validation");
 const { catchAsync } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
@@ -16,7 +20,7 @@ router.use(requireUser); // Changed to user access
 
 /**
  * @route   GET /api/customers
- * @desc    Get all customers
+ * @desc    Get the customers of the user's organizations
  * @access  Private
  */
 router.get(
@@ -38,7 +42,14 @@ router.get(
     if (isActive !== "all") {
       where.isActive = isActive === "true";
     }
-    if (organizationId) {
+
+    // Only customers of organizations the user belongs to
+    const organizationIds = await getAccessibleOrganizationIds(req.user);
+    if (organizationIds) {
+      where.organizationId = organizationId
+        ? organizationIds.filter((id) => id === organizationId)
+        : organizationIds;
+    } else if (organizationId) {
       where.organizationId = organizationId;
     }
 
@@ -79,12 +90,20 @@ router.get(
 /**
  * @route   POST /api/customers
  * @desc    Create new customer
- * @access  Private
+ * @access  Private (Organization admin)
  */
 router.post(
   "/",
   validate(schemas.createCustomer),
   catchAsync(async (req, res) => {
+    const orgRole = await ensureOrgRole(
+      req,
+      res,
+      req.body.organizationId,
+      ORG_ROLES.ADMIN
+    );
+    if (!orgRole) return;
+
     const customer = await Customer.create(req.body);
 
     logger.info("Customer created", {
@@ -104,7 +123,7 @@ router.post(
 /**
  * @route   GET /api/customers/:id
  * @desc    Get customer by ID
- * @access  Private (Admin)
+ * @access  Private (Organization viewer)
  */
 router.get(
   "/:id",
@@ -141,6 +160,15 @@ router.get(
       });
     }
 
+    const orgRole = await ensureOrgRole(
+      req,
+      res,
+      customer.organizationId,
+      ORG_ROLES.VIEWER,
+      { notFoundMessage: "Customer not found" }
+    );
+    if (!orgRole) return;
+
     res.json({
       success: true,
       data: { customer },
@@ -151,7 +179,7 @@ router.get(
 /**
  * @route   PUT /api/customers/:id
  * @desc    Update customer
- * @access  Private (Admin)
+ * @access  Private (Organization admin)
  */
 router.put(
   "/:id",
@@ -167,6 +195,29 @@ router.put(
       });
     }
 
+    const orgRole = await ensureOrgRole(
+      req,
+      res,
+      customer.organizationId,
+      ORG_ROLES.ADMIN,
+      { notFoundMessage: "Customer not found" }
+    );
+    if (!orgRole) return;
+
+    // Moving a customer needs admin rights in the target organization too
+    if (
+      req.body.organizationId !== undefined &&
+      req.body.organizationId !== customer.organizationId
+    ) {
+      const targetRole = await ensureOrgRole(
+        req,
+        res,
+        req.body.organizationId,
+        ORG_ROLES.ADMIN
+      );
+      if (!targetRole) return;
+    }
+
     await customer.update(req.body);
 
     logger.info("Customer updated", {
@@ -186,7 +237,7 @@ router.put(
 /**
  * @route   DELETE /api/customers/:id
  * @desc    Delete customer
- * @access  Private (Admin)
+ * @access  Private (Organization admin)
  */
 router.delete(
   "/:id",
@@ -201,6 +252,15 @@ router.delete(
       });
     }
 
+    const orgRole = await ensureOrgRole(
+      req,
+      res,
+      customer.organizationId,
+      ORG_ROLES.ADMIN,
+      { notFoundMessage: "Customer not found" }
+    );
+    if (!orgRole) return;
+
     // Check if customer has active time entries
     const activeTimeEntries = await customer.countTimeEntries();
     if (activeTimeEntries > 0) {
@@ -2,9 +2,15 @@
 const express = require("express");
 const { DailyLoginTracker, User } = require("../models");
 const { authenticate } = require("../middleware/auth");
-const { requireUser, requireManager } = require("../middleware/rbac");
+const {
+  requireUser,
+  requirePermission,
+  can,
+  PERMISSIONS,
+} = require("../middleware/rbac");
 const { catchAsync } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
+const { getZonedDay } = require("../utils/timezone");
 const { Op } = require("sequelize");
 
 const router = express.Router();
@@ -24,7 +30,11 @@ router.get(
     const userId = req.user.id;
     const today = new Date();
 
-    const tracker = await DailyLoginTracker.getTodayTracker(userId, today);
+    const tracker = await DailyLoginTracker.getTodayTracker(
+      userId,
+      today,
+      await req.user.getTimeZone()
+    );
 
     res.json({
       success: true,
@@ -40,18 +50,18 @@ router.get(
 /**
  * @route   GET /api/daily-login/user/:userId/today
  * @desc    Get today's login tracker for specific user (managers/admins only)
- * @access  Private (Manager/Admin)
+ * @access  Private (team:read or users:read)
  */
 router.get(
   "/user/:userId/today",
-  requireManager,
+  requirePermission(PERMISSIONS.TEAM_READ, PERMISSIONS.USERS_READ),
   catchAsync(async (req, res) => {
     const { userId } = req.params;
     const today = new Date();
 
     // Verify user exists
     const user = await User.findByPk(userId, {
-      attributes: ["id", "name", "email"],
+      attributes: ["id", "name", "email", "managerId", "timezone"],
     });
 
     if (!user) {
@@ -61,7 +71,20 @@ router.get(
       });
     }
 
-    const tracker = await DailyLoginTracker.getTodayTracker(userId, today);
+    // Managers only see their own direct reports
+    if (!(await can(req.user, PERMISSIONS.USERS_READ, user))) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only view members of your own team",
+      });
+    }
+
+    // "Today" as seen by that user
+    const tracker = await DailyLoginTracker.getTodayTracker(
+      userId,
+      today,
+      await user.getTimeZone()
+    );
 
     res.json({
       success: true,
@@ -92,7 +115,11 @@ router.post(
     const endTime = new Date();
 
     // Get today's tracker
-    const tracker = await DailyLoginTracker.getTodayTracker(userId);
+    const tracker = await DailyLoginTracker.getTodayTracker(
+      userId,
+      endTime,
+      await req.user.getTimeZone()
+    );
 
     if (!tracker) {
       return res.status(400).json({
@@ -202,11 +229,11 @@ router.get(
 /**
  * @route   GET /api/daily-login/users/:userId/history
  * @desc    Get login history for specific user (managers/admins only)
- * @access  Private (Manager/Admin)
+ * @access  Private (team:read or users:read)
  */
 router.get(
   "/users/:userId/history",
-  requireManager,
+  requirePermission(PERMISSIONS.TEAM_READ, PERMISSIONS.USERS_READ),
   catchAsync(async (req, res) => {
     const { userId } = req.params;
     const { page = 1, limit = 30, startDate, endDate } = req.query;
@@ -215,7 +242,7 @@ router.get(
 
     // Verify user exists
     const user = await User.findByPk(userId, {
-      attributes: ["id", "name", "email"],
+      attributes: ["id", "name", "email", "managerId"],
     });
 
     if (!user) {
@@ -225,6 +252,14 @@ router.get(
       });
     }
 
+    // Managers only see their own direct reports
+    if (!(await can(req.user, PERMISSIONS.USERS_READ, user))) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only view members of your own team",
+      });
+    }
+
     const options = {
       limit: parseInt(limit),
       offset: parseInt(offset),
@@ -270,20 +305,27 @@ router.get(
 
 /**
  * @route   GET /api/daily-login/team-overview
- * @desc    Get daily login overview for all team members (managers/admins only)
- * @access  Private (Manager/Admin)
+ * @desc    Get daily login overview for the team (direct reports for managers)
+ * @access  Private (team:read or users:read)
  */
 router.get(
   "/team-overview",
-  requireManager,
+  requirePermission(PERMISSIONS.TEAM_READ, PERMISSIONS.USERS_READ),
   catchAsync(async (req, res) => {
     const { date } = req.query;
-    const targetDate = date ? new Date(date) : new Date();
-    const loginDate = targetDate.toISOString().split("T")[0];
+    const loginDate = date
+      ? new Date(date).toISOString().split("T")[0]
+      : getZonedDay(await req.user.getTimeZone());
+
+    // users:read sees every active user, team:read only direct reports
+    const where = { isActive: true };
+    if (!(await can(req.user, PERMISSIONS.USERS_READ))) {
+      where.managerId = req.user.id;
+    }
 
     // Get all users with their today's tracker (if any)
     const users = await User.findAll({
-      where: { isActive: true },
+      where,
       attributes: ["id", "name", "email", "role"],
       include: [
         {
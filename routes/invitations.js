@@ -0,0 +1,439 @@
+// routes/invitations.js - Invite people into organizations by email
+const express = require("express");
+const { Op } = require("sequelize");
+const {
+  Invitation,
+  Organization,
+  User,
+  UserOrganization,
+  Session,
+  Role,
+  sequelize,
+} = require("../models");
+const { authenticate } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  canAssignRole,
+  requirePermission,
+} = require("../middleware/rbac");
+const { validate, schemas } = require("../middleware/validation");
+const { catchAsync } = require("../middleware/errorHandler");
+const config = require("../config");
+const logger = require("../utils/logger");
+const { sendMail } = require("../utils/mailer");
+const emailTemplates = require("../utils/emailTemplates");
+
+const router = express.Router();
+
+/**
+ * Email the invitation link for a freshly issued or renewed token
+ */
+const sendInvitationEmail = async (invitation, token, inviter) => {
+  const organizations = await Organization.findAll({
+    where: { id: invitation.organizationIds },
+    attributes: ["name"],
+    order: [["name", "ASC"]],
+  });
+
+  try {
+    await sendMail({
+      to: invitation.email,
+      ...emailTemplates.invitation({
+        inviterName: inviter.name,
+        token,
+        organizationNames: organizations.map((org) => org.name),
+        expiresInDays: Math.round(
+          config.invitations.tokenExpiry / (24 * 60 * 60 * 1000)
+        ),
+      }),
+    });
+  } catch (error) {
+    logger.error("Failed to send invitation email:", error);
+  }
+};
+
+/**
+ * @route   GET /api/invitations/lookup
+ * @desc    Show what an invitation token is for (used by the accept page)
+ * @access  Public
+ */
+router.get(
+  "/lookup",
+  validate(schemas.invitationToken, "query"),
+  catchAsync(async (req, res) => {
+    const invitation = await Invitation.findByToken(req.query.token);
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation is invalid, expired or has already been used",
+      });
+    }
+
+    const organizations = await Organization.findAll({
+      where: { id: invitation.organizationIds },
+      attributes: ["id", "name"],
+      order: [["name", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invitation: {
+          email: invitation.email,
+          name: invitation.name,
+          expiresAt: invitation.expiresAt,
+          organizations,
+        },
+      },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/invitations/accept
+ * @desc    Accept an invitation: create the account and memberships
+ * @access  Public
+ */
+router.post(
+  "/accept",
+  validate(schemas.acceptInvitation),
+  catchAsync(async (req, res) => {
+    const { token, name, password } = req.body;
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const invitation = await Invitation.findByToken(token, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (!invitation || !invitation.isPending()) {
+        return { status: "invalid" };
+      }
+
+      const existingUser = await User.findOne({
+        where: { email: invitation.email },
+        transaction,
+      });
+      if (existingUser) {
+        return { status: "exists" };
+      }
+
+      const user = await User.create(
+        {
+          name,
+          email: invitation.email,
+          password,
+          role: invitation.role,
+          isActive: true,
+          // The invitation link was delivered to this address
+          emailVerifiedAt: new Date(),
+        },
+        { transaction }
+      );
+
+      // Organizations deleted since the invite was sent are skipped
+      const organizations = await Organization.findAll({
+        where: { id: invitation.organizationIds },
+        attributes: ["id"],
+        transaction,
+      });
+
+      await UserOrganization.bulkCreate(
+        organizations.map((org) => ({
+          userId: user.id,
+          organizationId: org.id,
+        })),
+        { transaction }
+      );
+
+      await invitation.update(
+        { acceptedAt: new Date(), acceptedUserId: user.id },
+        { transaction }
+      );
+
+      const { tokens } = await Session.start(
+        user,
+        { ipAddress: req.ip, userAgent: req.get("User-Agent") },
+        { transaction }
+      );
+
+      return { status: "accepted", invitation, user, tokens, organizations };
+    });
+
+    if (result.status === "invalid") {
+      return res.status(400).json({
+        success: false,
+        message: "Invitation is invalid, expired or has already been used",
+      });
+    }
+
+    if (result.status === "exists") {
+      return res.status(400).json({
+        success: false,
+        message: "An account with this email already exists. Please log in.",
+      });
+    }
+
+    const { user, tokens, organizations, invitation } = result;
+
+    logger.info("Invitation accepted", {
+      userId: user.id,
+      email: user.email,
+      invitationId: invitation.id,
+      organizationIds: organizations.map((org) => org.id),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation accepted. Your account is ready.",
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          isActive: user.isActive,
+        },
+        tokens,
+      },
+    });
+  })
+);
+
+// Everything below is for admins managing invitations
+router.use(authenticate);
+router.use(requirePermission(PERMISSIONS.USERS_MANAGE));
+
+/**
+ * @route   GET /api/invitations
+ * @desc    List invitations
+ * @access  Private (users:manage)
+ */
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, search = "", status = "" } = req.query;
+    const offset = (page - 1) * limit;
+    const now = new Date();
+
+    const where = {};
+    if (search) {
+      where.email = { [Op.iLike]: `%${search}%` };
+    }
+
+    switch (status) {
+      case "pending":
+        Object.assign(where, {
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { [Op.gt]: now },
+        });
+        break;
+      case "accepted":
+        where.acceptedAt = { [Op.ne]: null };
+        break;
+      case "revoked":
+        Object.assign(where, {
+          acceptedAt: null,
+          revokedAt: { [Op.ne]: null },
+        });
+        break;
+      case "expired":
+        Object.assign(where, {
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { [Op.lte]: now },
+        });
+        break;
+    }
+
+    const { count, rows: invitations } = await Invitation.findAndCountAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: "inviter",
+          attributes: ["id", "name", "email"],
+        },
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit),
+        },
+      },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/invitations
+ * @desc    Invite an email address into one or more organizations
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/",
+  validate(schemas.createInvitation),
+  catchAsync(async (req, res) => {
+    const { email, name, role, organizationIds } = req.body;
+
+    if (!(await Role.exists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Role "${role}" does not exist`,
+      });
+    }
+
+    if (!(await canAssignRole(req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot invite users with the "${role}" role because it grants permissions you do not hold`,
+      });
+    }
+
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "User with this email already exists. Add them to the organization instead.",
+      });
+    }
+
+    const organizationCount = await Organization.count({
+      where: { id: organizationIds },
+    });
+    if (organizationCount !== organizationIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more organizations were not found",
+      });
+    }
+
+    const { invitation, token } = await sequelize.transaction(
+      async (transaction) => {
+        // Only the latest invitation for an address stays usable
+        await Invitation.revokePendingForEmail(email, { transaction });
+
+        return Invitation.issue(
+          { email, name, role, organizationIds, invitedBy: req.user.id },
+          config.invitations.tokenExpiry,
+          { transaction }
+        );
+      }
+    );
+
+    await sendInvitationEmail(invitation, token, req.user);
+
+    logger.info("Invitation created", {
+      userId: req.user.id,
+      invitationId: invitation.id,
+      email,
+      organizationIds,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent successfully",
+      data: { invitation },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/invitations/:id/resend
+ * @desc    Issue a new link and extend the expiry
+ * @access  Private (users:manage)
+ */
+router.post(
+  "/:id/resend",
+  validate(schemas.uuidParam, "params"),
+  catchAsync(async (req, res) => {
+    const invitation = await Invitation.findByPk(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    const status = invitation.getStatus();
+    if (status === "accepted" || status === "revoked") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot resend an invitation that has been ${status}`,
+      });
+    }
+
+    const token = await invitation.renewToken(config.invitations.tokenExpiry);
+    await sendInvitationEmail(invitation, token, req.user);
+
+    logger.info("Invitation resent", {
+      userId: req.user.id,
+      invitationId: invitation.id,
+      email: invitation.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation resent successfully",
+      data: { invitation },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (users:manage)
+ */
+router.delete(
+  "/:id",
+  validate(schemas.uuidParam, "params"),
+  catchAsync(async (req, res) => {
+    const invitation = await Invitation.findByPk(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Invitation has already been accepted",
+      });
+    }
+
+    if (!invitation.revokedAt) {
+      await invitation.update({ revokedAt: new Date() });
+    }
+
+    logger.info("Invitation revoked", {
+      userId: req.user.id,
+      invitationId: invitation.id,
+      email: invitation.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+    });
+  })
+);
+
+module.exports = router;
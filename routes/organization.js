@@ -1,11 +1,33 @@
 // routes/organization.js - Clean organization management routes
 const express = require("express");
-const { Organization, Customer, UserOrganization, User } = require("../models");
+const {
+  Organization,
+  Customer,
+  UserOrganization,
+  User,
+  LockedPeriod,
+  LockOverride,
+  Holiday,
+  RateCard,
+  Project,
+  Activity,
+  sequelize,
+} = require("../models");
 const { authenticate } = require("../middleware/auth");
-const { requireUser, requireAdmin } = require("../middleware/rbac");
-const { validate, schemas } = require("../middleware/validation");
+const {
+  requireUser,
+  requirePermission,
+  ORG_ROLES,
+  PERMISSIONS,
+} = require("../middleware/rbac");
+const {
+  getAccessibleOrganizationIds,
+  requireOrgRole,
+} = require("../middleware/orgAccess");
+const { validate, schemas, patterns } = require("../middleware/validation");
 const { catchAsync } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
+const { addDays, getZonedDay, resolveTimeZone } = require("../utils/timezone");
 const { Op } = require("sequelize");
 
 const router = express.Router();
@@ -22,20 +44,24 @@ router.use(requireUser);
 router.get(
   "/",
   catchAsync(async (req, res) => {
-    // Removed user-organization association check
-    const allOrganizations = await Organization.findAll({
+    // Global admins see every organization, everyone else their own
+    const organizationIds = await getAccessibleOrganizationIds(req.user);
+
+    const organizations = await Organization.findAll({
+      where: organizationIds ? { id: organizationIds } : {},
       include: [
         {
           model: User,
           as: "users",
-          through: { attributes: [] },
+          attributes: ["id", "name", "email"],
+          through: { attributes: ["role"] },
         },
       ],
     });
 
     res.json({
       success: true,
-      data: allOrganizations,
+      data: organizations,
     });
   })
 );
@@ -78,11 +104,12 @@ router.get(
 /**
  * @route   GET /api/organizations/:id
  * @desc    Get a specific organization with its customers
- * @access  Private
+ * @access  Private (Organization viewer)
  */
 router.get(
   "/:id",
   validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.VIEWER),
   catchAsync(async (req, res) => {
     const { id } = req.params;
 
@@ -120,10 +147,12 @@ router.get(
 /**
  * @route   GET /api/organizations/:id/customers
  * @desc    Get all customers for a specific organization
- * @access  Private
+ * @access  Private (Organization viewer)
  */
 router.get(
   "/:id/customers",
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.VIEWER),
   catchAsync(async (req, res) => {
     const { id } = req.params;
 
@@ -149,20 +178,32 @@ router.get(
 
 /**
  * @route   POST /api/organizations
- * @desc    Create a new organization (Admin only)
- * @access  Private (Admin)
+ * @desc    Create a new organization
+ * @access  Private (organizations:manage)
  */
 router.post(
   "/",
-  requireAdmin,
+  requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE),
   validate(schemas.createOrganization),
   catchAsync(async (req, res) => {
-    const { name, workLocation, address } = req.body;
+    const {
+      name,
+      workLocation,
+      address,
+      overlapPolicy,
+      timezone,
+      breakRules,
+      breakPolicy,
+    } = req.body;
 
     const organization = await Organization.create({
       name,
       workLocation,
       address,
+      overlapPolicy,
+      timezone,
+      breakRules,
+      breakPolicy,
     });
 
     logger.info("Organization created", {
@@ -181,17 +222,25 @@ router.post(
 
 /**
  * @route   PUT /api/organizations/:id
- * @desc    Update an organization (Admin only)
- * @access  Private (Admin)
+ * @desc    Update an organization
+ * @access  Private (Organization admin)
  */
 router.put(
   "/:id",
-  requireAdmin,
   validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
   validate(schemas.updateOrganization),
   catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { name, workLocation, address } = req.body;
+    const {
+      name,
+      workLocation,
+      address,
+      overlapPolicy,
+      timezone,
+      breakRules,
+      breakPolicy,
+    } = req.body;
 
     const organization = await Organization.findByPk(id);
 
@@ -207,6 +256,15 @@ router.put(
       workLocation:
         workLocation !== undefined ? workLocation : organization.workLocation,
       address: address !== undefined ? address : organization.address,
+      overlapPolicy:
+        overlapPolicy !== undefined
+          ? overlapPolicy
+          : organization.overlapPolicy,
+      timezone: timezone !== undefined ? timezone : organization.timezone,
+      breakRules:
+        breakRules !== undefined ? breakRules : organization.breakRules,
+      breakPolicy:
+        breakPolicy !== undefined ? breakPolicy : organization.breakPolicy,
     });
 
     logger.info("Organization updated", {
@@ -225,13 +283,13 @@ router.put(
 
 /**
  * @route   DELETE /api/organizations/:id
- * @desc    Delete an organization (Admin only)
- * @access  Private (Admin)
+ * @desc    Delete an organization
+ * @access  Private (Organization owner)
  */
 router.delete(
   "/:id",
-  requireAdmin,
   validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.OWNER),
   catchAsync(async (req, res) => {
     const { id } = req.params;
 
@@ -277,31 +335,72 @@ router.delete(
   })
 );
 
+/**
+ * Whether removing or demoting this membership would leave the
+ * organization without an owner
+ */
+const isLastOwner = async (membership) => {
+  if (membership.role !== ORG_ROLES.OWNER) return false;
+
+  const ownerCount = await UserOrganization.count({
+    where: {
+      organizationId: membership.organizationId,
+      role: ORG_ROLES.OWNER,
+    },
+  });
+
+  return ownerCount <= 1;
+};
+
+/**
+ * @route   GET /api/organizations/:id/users
+ * @desc    List the members of an organization with their roles
+ * @access  Private (Organization admin)
+ */
+router.get(
+  "/:id/users",
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  catchAsync(async (req, res) => {
+    const members = await UserOrganization.findAll({
+      where: { organizationId: req.params.id },
+      attributes: ["userId", "role", "source", "createdAt"],
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "name", "email", "isActive"],
+        },
+      ],
+      order: [["createdAt", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { members },
+    });
+  })
+);
+
 /**
  * @route   POST /api/organizations/:id/users
- * @desc    Add a user to an organization (Admin only)
- * @access  Private (Admin)
+ * @desc    Add a user to an organization with a role
+ * @access  Private (Organization admin)
  */
 router.post(
   "/:id/users",
-  requireAdmin,
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  validate(schemas.addOrganizationMember),
   catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { userId } = req.body;
+    const { userId, role } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({
+    // Only owners can hand out ownership
+    if (role === ORG_ROLES.OWNER && req.orgRole !== ORG_ROLES.OWNER) {
+      return res.status(403).json({
         success: false,
-        message: "User ID is required",
-      });
-    }
-
-    // Check if organization exists
-    const organization = await Organization.findByPk(id);
-    if (!organization) {
-      return res.status(404).json({
-        success: false,
-        message: "Organization not found",
+        message: "Only organization owners can add owners",
       });
     }
 
@@ -330,12 +429,14 @@ router.post(
     await UserOrganization.create({
       userId,
       organizationId: id,
+      role,
     });
 
     logger.info(`User added to organization`, {
       adminUserId: req.user.id,
       userId,
       organizationId: id,
+      role,
     });
 
     res.status(201).json({
@@ -345,14 +446,77 @@ router.post(
   })
 );
 
+/**
+ * @route   PUT /api/organizations/:id/users/:userId
+ * @desc    Change a member's role in an organization
+ * @access  Private (Organization admin)
+ */
+router.put(
+  "/:id/users/:userId",
+  validate(schemas.organizationMemberParams, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  validate(schemas.updateOrganizationMember),
+  catchAsync(async (req, res) => {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+
+    const userOrg = await UserOrganization.findOne({
+      where: { userId, organizationId: id },
+    });
+
+    if (!userOrg) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not assigned to this organization",
+      });
+    }
+
+    // Owners are the only ones who can grant or take away ownership
+    if (
+      (role === ORG_ROLES.OWNER || userOrg.role === ORG_ROLES.OWNER) &&
+      req.orgRole !== ORG_ROLES.OWNER
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only organization owners can change ownership",
+      });
+    }
+
+    if (role !== ORG_ROLES.OWNER && (await isLastOwner(userOrg))) {
+      return res.status(400).json({
+        success: false,
+        message: "An organization must keep at least one owner",
+      });
+    }
+
+    const previousRole = userOrg.role;
+    await userOrg.update({ role });
+
+    logger.info(`Organization member role changed`, {
+      adminUserId: req.user.id,
+      userId,
+      organizationId: id,
+      previousRole,
+      role,
+    });
+
+    res.json({
+      success: true,
+      message: "Member role updated successfully",
+      data: { membership: userOrg },
+    });
+  })
+);
+
 /**
  * @route   DELETE /api/organizations/:id/users/:userId
- * @desc    Remove a user from an organization (Admin only)
- * @access  Private (Admin)
+ * @desc    Remove a user from an organization
+ * @access  Private (Organization admin)
  */
 router.delete(
   "/:id/users/:userId",
-  requireAdmin,
+  validate(schemas.organizationMemberParams, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
   catchAsync(async (req, res) => {
     const { id, userId } = req.params;
 
@@ -367,6 +531,20 @@ router.delete(
       });
     }
 
+    if (userOrg.role === ORG_ROLES.OWNER && req.orgRole !== ORG_ROLES.OWNER) {
+      return res.status(403).json({
+        success: false,
+        message: "Only organization owners can remove owners",
+      });
+    }
+
+    if (await isLastOwner(userOrg)) {
+      return res.status(400).json({
+        success: false,
+        message: "An organization must keep at least one owner",
+      });
+    }
+
     await userOrg.destroy();
 
     logger.info(`User removed from organization`, {
@@ -382,4 +560,495 @@ router.delete(
   })
 );
 
+/**
+ * @route   GET /api/organizations/:id/holidays
+ * @desc    List the organization's holidays, optionally for one year
+ * @access  Private (Organization viewer)
+ */
+router.get(
+  "/:id/holidays",
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.VIEWER),
+  catchAsync(async (req, res) => {
+    const { year } = req.query;
+
+    const where = { organizationId: req.params.id };
+    if (/^\d{4}$/.test(year)) {
+      where.date = { [Op.between]: [`${year}-01-01`, `${year}-12-31`] };
+    }
+
+    const holidays = await Holiday.findAll({
+      where,
+      order: [["date", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { holidays },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/organizations/:id/holidays
+ * @desc    Add a holiday; recurring entries are not generated on it
+ * @access  Private (Organization admin)
+ */
+router.post(
+  "/:id/holidays",
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  validate(schemas.createHoliday),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { date, name } = req.body;
+
+    const existing = await Holiday.findOne({
+      where: { organizationId: id, date },
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "There is already a holiday on this date",
+      });
+    }
+
+    const holiday = await Holiday.create({ organizationId: id, date, name });
+
+    logger.info(`Holiday added`, {
+      adminUserId: req.user.id,
+      organizationId: id,
+      holidayId: holiday.id,
+      date: holiday.date,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Holiday added successfully",
+      data: { holiday },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/organizations/:id/holidays/:holidayId
+ * @desc    Remove a holiday
+ * @access  Private (Organization admin)
+ */
+router.delete(
+  "/:id/holidays/:holidayId",
+  validate(schemas.holidayParams, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  catchAsync(async (req, res) => {
+    const { id, holidayId } = req.params;
+
+    const deleted = await Holiday.destroy({
+      where: { id: holidayId, organizationId: id },
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    logger.info(`Holiday removed`, {
+      adminUserId: req.user.id,
+      organizationId: id,
+      holidayId,
+    });
+
+    res.json({
+      success: true,
+      message: "Holiday removed successfully",
+    });
+  })
+);
+
+/**
+ * @route   GET /api/organizations/:id/locked-periods
+ * @desc    List the organization's closed accounting periods
+ * @access  Private (Organization viewer)
+ */
+router.get(
+  "/:id/locked-periods",
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.VIEWER),
+  catchAsync(async (req, res) => {
+    const lockedPeriods = await LockedPeriod.findAll({
+      where: { organizationId: req.params.id },
+      include: [
+        {
+          model: User,
+          as: "locker",
+          attributes: ["id", "name", "email"],
+        },
+      ],
+      order: [["startDate", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { lockedPeriods },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/organizations/:id/locked-periods
+ * @desc    Close an accounting period so its entries can no longer change
+ * @access  Private (Organization admin)
+ */
+router.post(
+  "/:id/locked-periods",
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  validate(schemas.createLockedPeriod),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { startDate, endDate, reason } = req.body;
+
+    const lockedPeriod = await LockedPeriod.create({
+      organizationId: id,
+      startDate,
+      endDate,
+      reason: reason || null,
+      lockedBy: req.user.id,
+    });
+
+    logger.info(`Accounting period locked`, {
+      adminUserId: req.user.id,
+      organizationId: id,
+      lockedPeriodId: lockedPeriod.id,
+      startDate: lockedPeriod.startDate,
+      endDate: lockedPeriod.endDate,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Period locked successfully",
+      data: { lockedPeriod },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/organizations/:id/locked-periods/:lockId
+ * @desc    Reopen a closed accounting period
+ * @access  Private (Organization admin)
+ */
+router.delete(
+  "/:id/locked-periods/:lockId",
+  validate(schemas.lockedPeriodParams, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  catchAsync(async (req, res) => {
+    const { id, lockId } = req.params;
+
+    const lockedPeriod = await LockedPeriod.findOne({
+      where: { id: lockId, organizationId: id },
+    });
+
+    if (!lockedPeriod) {
+      return res.status(404).json({
+        success: false,
+        message: "Locked period not found",
+      });
+    }
+
+    await lockedPeriod.destroy();
+
+    logger.info(`Accounting period unlocked`, {
+      adminUserId: req.user.id,
+      organizationId: id,
+      lockedPeriodId: lockId,
+      startDate: lockedPeriod.startDate,
+      endDate: lockedPeriod.endDate,
+    });
+
+    res.json({
+      success: true,
+      message: "Period unlocked successfully",
+    });
+  })
+);
+
+/**
+ * @route   GET /api/organizations/:id/lock-overrides
+ * @desc    Changes made to entries inside locked periods, with their reasons
+ * @access  Private (Organization admin)
+ */
+router.get(
+  "/:id/lock-overrides",
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  catchAsync(async (req, res) => {
+    const { lockedPeriodId } = req.query;
+
+    const where = { organizationId: req.params.id };
+    if (lockedPeriodId) where.lockedPeriodId = lockedPeriodId;
+
+    const overrides = await LockOverride.findAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "name", "email"],
+        },
+        {
+          model: LockedPeriod,
+          as: "lockedPeriod",
+          attributes: ["id", "startDate", "endDate", "reason"],
+        },
+      ],
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { overrides },
+    });
+  })
+);
+
+const rateCardInclude = [
+  { model: User, as: "user", attributes: ["id", "name", "email"] },
+  { model: Project, as: "project", attributes: ["id", "name"] },
+  { model: Customer, as: "customer", attributes: ["id", "name"] },
+  { model: Activity, as: "activity", attributes: ["id", "name"] },
+];
+
+/**
+ * Why the card's user, project, customer or activity cannot be used in its
+ * organization, null when they can
+ */
+const findRateCardReferenceProblem = async (rateCard) => {
+  const { organizationId, userId, projectId, customerId, activityId } =
+    rateCard;
+
+  if (
+    userId &&
+    !(await UserOrganization.findOne({ where: { userId, organizationId } }))
+  ) {
+    return "User is not a member of this organization";
+  }
+
+  if (projectId) {
+    const project = await Project.findByPk(projectId, {
+      include: [
+        { model: Customer, as: "customer", attributes: ["organizationId"] },
+      ],
+    });
+    if (!project || project.customer?.organizationId !== organizationId) {
+      return "Project not found";
+    }
+  }
+
+  if (
+    customerId &&
+    !(await Customer.findOne({ where: { id: customerId, organizationId } }))
+  ) {
+    return "Customer not found";
+  }
+
+  if (activityId && !(await Activity.findByPk(activityId))) {
+    return "Activity not found";
+  }
+
+  return null;
+};
+
+/**
+ * @route   GET /api/organizations/:id/rate-cards
+ * @desc    List the organization's rate cards, only those in effect on
+ *          ?date=YYYY-MM-DD if given
+ * @access  Private (Organization admin)
+ */
+router.get(
+  "/:id/rate-cards",
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  catchAsync(async (req, res) => {
+    const { date } = req.query;
+
+    const where = { organizationId: req.params.id };
+    if (date) {
+      if (!patterns.day.test(date)) {
+        return res.status(400).json({
+          success: false,
+          message: "date must be given as YYYY-MM-DD",
+        });
+      }
+
+      where.effectiveFrom = { [Op.lte]: date };
+      where[Op.or] = [
+        { effectiveTo: null },
+        { effectiveTo: { [Op.gte]: date } },
+      ];
+    }
+
+    const rateCards = await RateCard.findAll({
+      where,
+      include: rateCardInclude,
+      order: [["effectiveFrom", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { rateCards },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/organizations/:id/rate-cards
+ * @desc    Add a rate from a given day on. The current rate of the same scope
+ *          ends the day before, so earlier entries keep their rate.
+ * @access  Private (Organization admin)
+ */
+router.post(
+  "/:id/rate-cards",
+  validate(schemas.uuidParam, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  validate(schemas.createRateCard),
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const rateCard = RateCard.build({
+      ...req.body,
+      organizationId: id,
+      createdBy: req.user.id,
+    });
+
+    if (!rateCard.getScope()) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "A rate card applies to a user on a project, a project, a customer, an activity or the whole organization",
+      });
+    }
+
+    const referenceProblem = await findRateCardReferenceProblem(rateCard);
+    if (referenceProblem) {
+      return res.status(404).json({
+        success: false,
+        message: referenceProblem,
+      });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const sameScope = await RateCard.findSameScopeFrom(
+        rateCard,
+        rateCard.effectiveFrom,
+        { transaction }
+      );
+
+      const later = sameScope.find(
+        (card) => card.effectiveFrom >= rateCard.effectiveFrom
+      );
+      if (later) return { conflict: later };
+
+      for (const card of sameScope) {
+        await card.update(
+          { effectiveTo: addDays(rateCard.effectiveFrom, -1) },
+          { transaction }
+        );
+      }
+      await rateCard.save({ transaction });
+
+      return { replaced: sameScope };
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `A rate for this scope already takes effect on ${result.conflict.effectiveFrom}; new rates have to start after the latest one`,
+      });
+    }
+
+    logger.info("Rate card created", {
+      adminUserId: req.user.id,
+      organizationId: id,
+      rateCardId: rateCard.id,
+      scope: rateCard.getScope(),
+      effectiveFrom: rateCard.effectiveFrom,
+      replacedRateCardIds: result.replaced.map((card) => card.id),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Rate card created successfully",
+      data: {
+        rateCard,
+        replacedRateCards: result.replaced,
+      },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/organizations/:id/rate-cards/:rateCardId
+ * @desc    Withdraw a rate that has not taken effect yet; the rate it was to
+ *          replace applies again
+ * @access  Private (Organization admin)
+ */
+router.delete(
+  "/:id/rate-cards/:rateCardId",
+  validate(schemas.rateCardParams, "params"),
+  requireOrgRole(ORG_ROLES.ADMIN),
+  catchAsync(async (req, res) => {
+    const { id, rateCardId } = req.params;
+
+    const rateCard = await RateCard.findOne({
+      where: { id: rateCardId, organizationId: id },
+    });
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: "Rate card not found",
+      });
+    }
+
+    // Entries already priced at the rate keep it
+    const organization = await Organization.findByPk(id, {
+      attributes: ["id", "timezone"],
+    });
+    if (rateCard.effectiveFrom <= getZonedDay(resolveTimeZone(organization))) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Rates already in effect cannot be deleted; add a new rate from the day it should change",
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const dayBefore = addDays(rateCard.effectiveFrom, -1);
+      const previous = (
+        await RateCard.findSameScopeFrom(rateCard, dayBefore, { transaction })
+      ).find((card) => card.effectiveTo === dayBefore);
+
+      if (previous) {
+        await previous.update(
+          { effectiveTo: rateCard.effectiveTo },
+          { transaction }
+        );
+      }
+      await rateCard.destroy({ transaction });
+    });
+
+    logger.info("Rate card deleted", {
+      adminUserId: req.user.id,
+      organizationId: id,
+      rateCardId,
+    });
+
+    res.json({
+      success: true,
+      message: "Rate card deleted successfully",
+    });
+  })
+);
+
 module.exports = router;
@@ -2,7 +2,11 @@
 const express = require("express");
 const { Process, Activity } = require("../models");
 const { authenticate } = require("../middleware/auth");
-const { requireUser, requireAdmin } = require("../middleware/rbac");
+const {
+  requireUser,
+  requirePermission,
+  PERMISSIONS,
+} = require("../middleware/rbac");
 const { catchAsync } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
 const { Op } = require("sequelize");
@@ -159,12 +163,12 @@ router.get(
 
 /**
  * @route   POST /api/processes
- * @desc    Create a new process (Admin only)
- * @access  Private (Admin)
+ * @desc    Create a new process
+ * @access  Private (processes:manage)
  */
 router.post(
   "/",
-  requireAdmin,
+  requirePermission(PERMISSIONS.PROCESSES_MANAGE),
   catchAsync(async (req, res) => {
     const { name, description } = req.body;
 
@@ -195,15 +199,15 @@ router.post(
 
 /**
  * @route   POST /api/processes/:id/activities
- * @desc    Create a new activity for a process (Admin only)
- * @access  Private (Admin)
+ * @desc    Create a new activity for a process
+ * @access  Private (processes:manage)
  */
 router.post(
   "/:id/activities",
-  requireAdmin,
+  requirePermission(PERMISSIONS.PROCESSES_MANAGE),
   catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { name, description } = req.body;
+    const { name, description, billable } = req.body;
 
     if (!name) {
       return res.status(400).json({
@@ -225,6 +229,7 @@ router.post(
       processId: id,
       name,
       description,
+      billable: typeof billable === "boolean" ? billable : null,
     });
 
     logger.info(
@@ -246,12 +251,12 @@ router.post(
 
 /**
  * @route   PUT /api/processes/:id
- * @desc    Update a process (Admin only)
- * @access  Private (Admin)
+ * @desc    Update a process
+ * @access  Private (processes:manage)
  */
 router.put(
   "/:id",
-  requireAdmin,
+  requirePermission(PERMISSIONS.PROCESSES_MANAGE),
   catchAsync(async (req, res) => {
     const { id } = req.params;
     const { name, description } = req.body;
@@ -285,12 +290,12 @@ router.put(
 
 /**
  * @route   DELETE /api/processes/:id
- * @desc    Delete a process (Admin only)
- * @access  Private (Admin)
+ * @desc    Delete a process
+ * @access  Private (processes:manage)
  */
 router.delete(
   "/:id",
-  requireAdmin,
+  requirePermission(PERMISSIONS.PROCESSES_MANAGE),
   catchAsync(async (req, res) => {
     const { id } = req.params;
 
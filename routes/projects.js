@@ -1,25 +1,54 @@
 // routes/projects.js - Project management routes
 const express = require("express");
+const { Op } = require("sequelize");
 const { Project, Customer, User, TimeEntry } = require("../models");
-const { authenticate } = require("../middleware/auth");
-const { requireAdmin, requireUser } = require("../middleware/rbac");
+const { authenticateWith } = require("../middleware/auth");
+const { requireUser, ORG_ROLES, API_SCOPES } = require("../middleware/rbac");
+const {
+  getAccessibleOrganizationIds,
+  ensureOrgRole,
+} = require("../middleware/orgAccess");
 const { catchAsync } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(authenticate);
+// Apply authentication to all routes; API tokens may only read (reports)
+router.use(
+  authenticateWith({
+    apiTokenScope: (req) =>
+      req.method === "GET" ? API_SCOPES.REPORTS_READ : null,
+  })
+);
 router.use(requireUser);
 
+/**
+ * Check the user's role in the organization that owns the project (through
+ * its customer). Sends the error response and returns false when denied.
+ */
+const ensureProjectAccess = async (req, res, project, minRole) => {
+  const customer = await Customer.findByPk(project.customerId, {
+    attributes: ["organizationId"],
+  });
+
+  const orgRole = await ensureOrgRole(
+    req,
+    res,
+    customer && customer.organizationId,
+    minRole,
+    { notFoundMessage: "Project not found" }
+  );
+
+  return !!orgRole;
+};
+
 /**
  * @route   GET /api/projects
- * @desc    Get all projects (Admin only)
- * @access  Private (Admin)
+ * @desc    Get the projects of the user's organizations
+ * @access  Private
  */
 router.get(
   "/",
-  requireAdmin,
   catchAsync(async (req, res) => {
     const { customerId, status, isActive } = req.query;
 
@@ -28,6 +57,9 @@ router.get(
     if (status) where.status = status;
     if (isActive !== undefined) where.isActive = isActive === "true";
 
+    // Only projects whose customer belongs to one of the user's organizations
+    const organizationIds = await getAccessibleOrganizationIds(req.user);
+
     const projects = await Project.findAll({
       where,
       include: [
@@ -35,6 +67,7 @@ router.get(
           model: Customer,
           as: "customer",
           attributes: ["id", "name", "organizationId"],
+          where: organizationIds ? { organizationId: organizationIds } : {},
         },
       ],
       order: [["name", "ASC"]],
@@ -50,7 +83,7 @@ router.get(
 /**
  * @route   GET /api/projects/:id
  * @desc    Get project by ID
- * @access  Private
+ * @access  Private (Organization viewer)
  */
 router.get(
   "/:id",
@@ -87,6 +120,10 @@ router.get(
       });
     }
 
+    if (!(await ensureProjectAccess(req, res, project, ORG_ROLES.VIEWER))) {
+      return;
+    }
+
     res.json({
       success: true,
       data: { project },
@@ -97,7 +134,7 @@ router.get(
 /**
  * @route   GET /api/projects/customer/:customerId
  * @desc    Get projects for a specific customer
- * @access  Private
+ * @access  Private (Organization viewer)
  */
 router.get(
   "/customer/:customerId",
@@ -114,6 +151,15 @@ router.get(
       });
     }
 
+    const orgRole = await ensureOrgRole(
+      req,
+      res,
+      customer.organizationId,
+      ORG_ROLES.VIEWER,
+      { notFoundMessage: "Customer not found" }
+    );
+    if (!orgRole) return;
+
     const where = { customerId };
     if (status) where.status = status;
     if (isActive !== undefined) where.isActive = isActive === "true";
@@ -140,11 +186,10 @@ router.get(
 /**
  * @route   POST /api/projects
  * @desc    Create a new project
- * @access  Private (Admin)
+ * @access  Private (Organization admin)
  */
 router.post(
   "/",
-  requireAdmin,
   catchAsync(async (req, res) => {
     const {
       name,
@@ -154,6 +199,7 @@ router.post(
       endDate,
       budget,
       status = "planning",
+      billable,
     } = req.body;
 
     // Validate required fields
@@ -173,6 +219,15 @@ router.post(
       });
     }
 
+    const orgRole = await ensureOrgRole(
+      req,
+      res,
+      customer.organizationId,
+      ORG_ROLES.ADMIN,
+      { notFoundMessage: "Customer not found" }
+    );
+    if (!orgRole) return;
+
     // Validate dates if provided
     if (startDate && endDate && new Date(endDate) <= new Date(startDate)) {
       return res.status(400).json({
@@ -189,6 +244,7 @@ router.post(
       endDate,
       budget,
       status,
+      billable: typeof billable === "boolean" ? billable : null,
     });
 
     // Fetch complete project with associations
@@ -219,15 +275,22 @@ router.post(
 /**
  * @route   PUT /api/projects/:id
  * @desc    Update a project
- * @access  Private (Admin)
+ * @access  Private (Organization admin)
  */
 router.put(
   "/:id",
-  requireAdmin,
   catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { name, description, startDate, endDate, budget, status, isActive } =
-      req.body;
+    const {
+      name,
+      description,
+      startDate,
+      endDate,
+      budget,
+      status,
+      isActive,
+      billable,
+    } = req.body;
 
     const project = await Project.findByPk(id);
     if (!project) {
@@ -237,6 +300,10 @@ router.put(
       });
     }
 
+    if (!(await ensureProjectAccess(req, res, project, ORG_ROLES.ADMIN))) {
+      return;
+    }
+
     // Validate dates if provided
     if (startDate && endDate && new Date(endDate) <= new Date(startDate)) {
       return res.status(400).json({
@@ -253,6 +320,9 @@ router.put(
     if (budget !== undefined) updates.budget = budget;
     if (status !== undefined) updates.status = status;
     if (isActive !== undefined) updates.isActive = isActive;
+    if (billable === null || typeof billable === "boolean") {
+      updates.billable = billable;
+    }
 
     await project.update(updates);
 
@@ -284,11 +354,10 @@ router.put(
 /**
  * @route   DELETE /api/projects/:id
  * @desc    Delete a project
- * @access  Private (Admin)
+ * @access  Private (Organization admin)
  */
 router.delete(
   "/:id",
-  requireAdmin,
   catchAsync(async (req, res) => {
     const { id } = req.params;
 
@@ -303,6 +372,10 @@ router.delete(
       });
     }
 
+    if (!(await ensureProjectAccess(req, res, project, ORG_ROLES.ADMIN))) {
+      return;
+    }
+
     // Check if project has associated time entries
     if (project.timeEntries && project.timeEntries.length > 0) {
       return res.status(400).json({
@@ -329,7 +402,7 @@ router.delete(
 /**
  * @route   GET /api/projects/:id/time-entries
  * @desc    Get time entries for a specific project
- * @access  Private
+ * @access  Private (Organization viewer)
  */
 router.get(
   "/:id/time-entries",
@@ -345,6 +418,10 @@ router.get(
       });
     }
 
+    if (!(await ensureProjectAccess(req, res, project, ORG_ROLES.VIEWER))) {
+      return;
+    }
+
     const where = { projectId: id };
 
     // Date filtering
@@ -391,7 +468,7 @@ router.get(
 /**
  * @route   GET /api/projects/:id/stats
  * @desc    Get project statistics
- * @access  Private
+ * @access  Private (Organization viewer)
  */
 router.get(
   "/:id/stats",
@@ -406,6 +483,10 @@ router.get(
       });
     }
 
+    if (!(await ensureProjectAccess(req, res, project, ORG_ROLES.VIEWER))) {
+      return;
+    }
+
     // Get time entry statistics
     const timeEntries = await TimeEntry.findAll({
       where: { projectId: id },
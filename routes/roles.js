@@ -0,0 +1,201 @@
+// routes/roles.js - Custom roles and their permissions
+const express = require("express");
+const { Role, User, Invitation, sequelize } = require("../models");
+const { authenticate } = require("../middleware/auth");
+const { ROLES, PERMISSIONS, requirePermission } = require("../middleware/rbac");
+const { validate, schemas } = require("../middleware/validation");
+const { catchAsync } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+const { ALL_PERMISSIONS } = require("../utils/permissions");
+
+const router = express.Router();
+
+// Apply authentication and permission check to all routes
+router.use(authenticate);
+router.use(requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List all roles with their permissions and member count
+ * @access  Private (roles:manage)
+ */
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const roles = await Role.findAll({ order: [["name", "ASC"]] });
+
+    const counts = await User.findAll({
+      attributes: [
+        "role",
+        [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+      ],
+      group: ["role"],
+      raw: true,
+    });
+    const userCounts = Object.fromEntries(
+      counts.map((row) => [row.role, parseInt(row.count)])
+    );
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map((role) => ({
+          ...role.toJSON(),
+          userCount: userCounts[role.name] || 0,
+        })),
+      },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/roles/permissions
+ * @desc    List the permissions that can be assigned to roles
+ * @access  Private (roles:manage)
+ */
+router.get(
+  "/permissions",
+  catchAsync(async (req, res) => {
+    res.json({
+      success: true,
+      data: { permissions: [...Object.values(PERMISSIONS), ALL_PERMISSIONS] },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a custom role
+ * @access  Private (roles:manage)
+ */
+router.post(
+  "/",
+  validate(schemas.createRole),
+  catchAsync(async (req, res) => {
+    const { name, description, permissions } = req.body;
+
+    if (await Role.exists(name)) {
+      return res.status(400).json({
+        success: false,
+        message: "A role with this name already exists",
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+
+    logger.info("Role created", {
+      createdBy: req.user.id,
+      role: role.name,
+      permissions,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: { role },
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/roles/:name
+ * @desc    Update a role's description or permissions
+ * @access  Private (roles:manage)
+ */
+router.put(
+  "/:name",
+  validate(schemas.roleNameParam, "params"),
+  validate(schemas.updateRole),
+  catchAsync(async (req, res) => {
+    const { description, permissions } = req.body;
+
+    const role = await Role.findByPk(req.params.name);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    // Keeps at least one role able to manage everything
+    if (permissions !== undefined && role.name === ROLES.ADMIN) {
+      return res.status(400).json({
+        success: false,
+        message: "The permissions of the admin role cannot be changed",
+      });
+    }
+
+    const updates = {};
+    if (description !== undefined) updates.description = description;
+    if (permissions !== undefined) updates.permissions = permissions;
+
+    await role.update(updates);
+
+    logger.info("Role updated", {
+      updatedBy: req.user.id,
+      role: role.name,
+      updatedFields: Object.keys(updates),
+    });
+
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      data: { role },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/roles/:name
+ * @desc    Delete a custom role that nobody holds
+ * @access  Private (roles:manage)
+ */
+router.delete(
+  "/:name",
+  validate(schemas.roleNameParam, "params"),
+  catchAsync(async (req, res) => {
+    const role = await Role.findByPk(req.params.name);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: "Built-in roles cannot be deleted",
+      });
+    }
+
+    const [userCount, invitationCount] = await Promise.all([
+      User.count({ where: { role: role.name } }),
+      Invitation.count({
+        where: { role: role.name, acceptedAt: null, revokedAt: null },
+      }),
+    ]);
+
+    if (userCount > 0 || invitationCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Cannot delete a role that is assigned to users or pending invitations. Reassign them first.",
+      });
+    }
+
+    await role.destroy();
+
+    logger.info("Role deleted", {
+      deletedBy: req.user.id,
+      role: role.name,
+    });
+
+    res.json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,444 @@
+// routes/timesheetPeriods.js - Weekly timesheet submission and approval
+const express = require("express");
+const {
+  TimesheetPeriod,
+  TimesheetPeriodTransition,
+  TimeEntry,
+  User,
+  UserOrganization,
+  sequelize,
+} = require("../models");
+const { authenticateWith } = require("../middleware/auth");
+const {
+  requireUser,
+  can,
+  ORG_ROLES,
+  API_SCOPES,
+  PERMISSIONS,
+} = require("../middleware/rbac");
+const {
+  hasOrgRole,
+  getOrgRole,
+  getAccessibleOrganizationIds,
+} = require("../middleware/orgAccess");
+const { validate, schemas } = require("../middleware/validation");
+const { catchAsync } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+const { Op } = require("sequelize");
+
+const router = express.Router();
+
+// Apply authentication to all routes; API tokens need the matching scope
+router.use(
+  authenticateWith({
+    apiTokenScope: (req) =>
+      req.method === "GET"
+        ? API_SCOPES.TIMESHEETS_READ
+        : API_SCOPES.TIMESHEETS_WRITE,
+  })
+);
+router.use(requireUser);
+
+const userAttributes = ["id", "name", "email"];
+
+/**
+ * The user's entries in the week a period covers
+ */
+const findPeriodEntries = (userId, weekStart, weekEnd) =>
+  TimeEntry.findAll({
+    where: {
+      userId,
+      date: { [Op.between]: [weekStart, weekEnd] },
+    },
+    order: [
+      ["date", "ASC"],
+      ["startTime", "ASC"],
+    ],
+  });
+
+const periodSummary = (entries) => ({
+  entryCount: entries.length,
+  totalMinutes: entries.reduce((sum, entry) => sum + (entry.duration || 0), 0),
+});
+
+/**
+ * Whether the user may approve, reject or reopen the period: the owner's
+ * manager (or anyone with timesheets:approve), or an admin of every
+ * organization the week's time was logged in. Never the owner.
+ */
+const canReviewPeriod = async (user, period) => {
+  if (period.userId === user.id) return false;
+
+  const owner = await User.findByPk(period.userId, {
+    attributes: ["id", "managerId"],
+  });
+  if (!owner) return false;
+
+  if (await can(user, PERMISSIONS.TIMESHEETS_APPROVE, owner)) return true;
+
+  const entries = await TimeEntry.findAll({
+    where: {
+      userId: period.userId,
+      date: { [Op.between]: [period.weekStart, period.getWeekEnd()] },
+    },
+    attributes: ["organizationId"],
+    group: ["organizationId"],
+    raw: true,
+  });
+  if (entries.length === 0) return false;
+
+  for (const { organizationId } of entries) {
+    const role = await getOrgRole(user, organizationId);
+    if (!role || !hasOrgRole(role, ORG_ROLES.ADMIN)) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Load a period the current user owns or reviews. Sends the error response
+ * and returns null otherwise.
+ */
+const findAccessiblePeriod = async (req, res) => {
+  const period = await TimesheetPeriod.findByPk(req.params.id);
+
+  if (
+    !period ||
+    (period.userId !== req.user.id &&
+      !(await canReviewPeriod(req.user, period)))
+  ) {
+    res.status(404).json({
+      success: false,
+      message: "Timesheet period not found",
+    });
+    return null;
+  }
+
+  return period;
+};
+
+/**
+ * Apply a reviewer action (approve, reject, reopen) to a period
+ */
+const reviewPeriod = (action, message) =>
+  catchAsync(async (req, res) => {
+    const period = await findAccessiblePeriod(req, res);
+    if (!period) return;
+
+    if (!(await canReviewPeriod(req.user, period))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to review this timesheet.",
+      });
+    }
+
+    if (!period.canTransition(action)) {
+      return res.status(409).json({
+        success: false,
+        message: `This timesheet is ${period.status} and cannot be ${TimesheetPeriod.TRANSITIONS[action].to}`,
+      });
+    }
+
+    await sequelize.transaction((transaction) =>
+      period.transition(action, req.user.id, req.body.comments, {
+        transaction,
+      })
+    );
+
+    logger.info(`Timesheet period ${period.id} ${period.status}`, {
+      periodId: period.id,
+      userId: period.userId,
+      weekStart: period.weekStart,
+      reviewerId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message,
+      data: { period },
+    });
+  });
+
+/**
+ * @route   GET /api/timesheets/periods
+ * @desc    List the current user's timesheet periods
+ * @access  Private
+ */
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const { status } = req.query;
+
+    const where = { userId: req.user.id };
+    if (status) where.status = status;
+
+    const periods = await TimesheetPeriod.findAll({
+      where,
+      include: [{ model: User, as: "reviewer", attributes: userAttributes }],
+      order: [["weekStart", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { periods },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/timesheets/periods/pending
+ * @desc    Submitted timesheets the current user can approve or reject
+ * @access  Private
+ */
+router.get(
+  "/pending",
+  catchAsync(async (req, res) => {
+    const where = { status: "submitted", userId: { [Op.ne]: req.user.id } };
+
+    // Narrow the candidates down to direct reports and members of the
+    // organizations the user administers, canReviewPeriod has the final say
+    if (!(await can(req.user, PERMISSIONS.TIMESHEETS_APPROVE))) {
+      const adminOrganizationIds = await getAccessibleOrganizationIds(
+        req.user,
+        ORG_ROLES.ADMIN
+      );
+
+      if (adminOrganizationIds !== null) {
+        const [reports, members] = await Promise.all([
+          User.findAll({
+            where: { managerId: req.user.id },
+            attributes: ["id"],
+          }),
+          UserOrganization.findAll({
+            where: { organizationId: adminOrganizationIds },
+            attributes: ["userId"],
+          }),
+        ]);
+
+        where.userId = {
+          [Op.ne]: req.user.id,
+          [Op.in]: [
+            ...reports.map((user) => user.id),
+            ...members.map((membership) => membership.userId),
+          ],
+        };
+      }
+    }
+
+    const candidates = await TimesheetPeriod.findAll({
+      where,
+      include: [{ model: User, as: "user", attributes: userAttributes }],
+      order: [
+        ["submittedAt", "ASC"],
+        ["weekStart", "ASC"],
+      ],
+    });
+
+    const periods = [];
+    for (const period of candidates) {
+      if (await canReviewPeriod(req.user, period)) periods.push(period);
+    }
+
+    res.json({
+      success: true,
+      data: { periods },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/timesheets/periods/week/:date
+ * @desc    The current user's period for the week containing the date, with
+ *          its entries (a draft when nothing was submitted yet)
+ * @access  Private
+ */
+router.get(
+  "/week/:date",
+  validate(schemas.periodWeekParam, "params"),
+  catchAsync(async (req, res) => {
+    const weekStart = TimesheetPeriod.weekStartFor(req.params.date);
+
+    const period =
+      (await TimesheetPeriod.findOne({
+        where: { userId: req.user.id, weekStart },
+        include: [{ model: User, as: "reviewer", attributes: userAttributes }],
+      })) || TimesheetPeriod.build({ userId: req.user.id, weekStart });
+
+    const entries = await findPeriodEntries(
+      req.user.id,
+      weekStart,
+      period.getWeekEnd()
+    );
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        weekEnd: period.getWeekEnd(),
+        entries,
+        ...periodSummary(entries),
+      },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/timesheets/periods/week/:date/submit
+ * @desc    Submit the current user's week for approval
+ * @access  Private
+ */
+router.post(
+  "/week/:date/submit",
+  validate(schemas.periodWeekParam, "params"),
+  validate(schemas.submitTimesheetPeriod),
+  catchAsync(async (req, res) => {
+    const userId = req.user.id;
+    const weekStart = TimesheetPeriod.weekStartFor(req.params.date);
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const [period] = await TimesheetPeriod.findOrCreate({
+        where: { userId, weekStart },
+        defaults: { userId, weekStart },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      if (!period.canTransition("submit")) {
+        return {
+          status: 409,
+          message: `This week's timesheet is already ${period.status}`,
+        };
+      }
+
+      const runningTimer = await TimeEntry.findOne({
+        where: {
+          userId,
+          endTime: null,
+          date: { [Op.between]: [weekStart, period.getWeekEnd()] },
+        },
+        transaction,
+      });
+      if (runningTimer) {
+        return {
+          status: 409,
+          message: "Stop the running timer before submitting this week",
+        };
+      }
+
+      const drafts = await TimeEntry.count({
+        where: {
+          userId,
+          isDraft: true,
+          date: { [Op.between]: [weekStart, period.getWeekEnd()] },
+        },
+        transaction,
+      });
+      if (drafts > 0) {
+        return {
+          status: 409,
+          message:
+            "Confirm or delete the generated draft entries before submitting this week",
+        };
+      }
+
+      await period.transition("submit", userId, req.body.comment, {
+        transaction,
+      });
+      return { period };
+    });
+
+    if (!result.period) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    logger.info(`Timesheet period ${result.period.id} submitted`, {
+      periodId: result.period.id,
+      userId,
+      weekStart,
+    });
+
+    res.json({
+      success: true,
+      message: "Timesheet submitted for approval",
+      data: { period: result.period },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/timesheets/periods/:id
+ * @desc    A period with its entries and state history
+ * @access  Private (owner or reviewer)
+ */
+router.get(
+  "/:id",
+  validate(schemas.uuidParam, "params"),
+  catchAsync(async (req, res) => {
+    const period = await findAccessiblePeriod(req, res);
+    if (!period) return;
+
+    const [transitions, entries, user] = await Promise.all([
+      TimesheetPeriodTransition.findAll({
+        where: { periodId: period.id },
+        include: [{ model: User, as: "actor", attributes: userAttributes }],
+        order: [["createdAt", "ASC"]],
+      }),
+      findPeriodEntries(period.userId, period.weekStart, period.getWeekEnd()),
+      User.findByPk(period.userId, { attributes: userAttributes }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        user,
+        weekEnd: period.getWeekEnd(),
+        entries,
+        ...periodSummary(entries),
+        transitions,
+        canReview: await canReviewPeriod(req.user, period),
+      },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/timesheets/periods/:id/approve
+ * @desc    Approve a submitted timesheet
+ * @access  Private (manager or organization admin)
+ */
+router.post(
+  "/:id/approve",
+  validate(schemas.uuidParam, "params"),
+  validate(schemas.reviewTimesheetPeriod),
+  reviewPeriod("approve", "Timesheet approved")
+);
+
+/**
+ * @route   POST /api/timesheets/periods/:id/reject
+ * @desc    Reject a submitted timesheet with comments
+ * @access  Private (manager or organization admin)
+ */
+router.post(
+  "/:id/reject",
+  validate(schemas.uuidParam, "params"),
+  validate(schemas.rejectTimesheetPeriod),
+  reviewPeriod("reject", "Timesheet rejected")
+);
+
+/**
+ * @route   POST /api/timesheets/periods/:id/reopen
+ * @desc    Reopen a submitted or approved timesheet so it can be edited again
+ * @access  Private (manager or organization admin)
+ */
+router.post(
+  "/:id/reopen",
+  validate(schemas.uuidParam, "params"),
+  validate(schemas.reviewTimesheetPeriod),
+  reviewPeriod("reopen", "Timesheet reopened")
+);
+
+module.exports = router;
@@ -8,198 +8,1232 @@ const {
   Activity,
   User,
   UserOrganization,
+  Project,
+  TimesheetPeriod,
+  LockedPeriod,
+  LockOverride,
+  EntryTemplate,
+  Holiday,
+  RateCard,
+  sequelize,
 } = require("../models");
-const { authenticate } = require("../middleware/auth");
-const { requireUser } = require("../middleware/rbac");
-const { catchAsync } = require("../middleware/errorHandler");
+const { authenticateWith } = require("../middleware/auth");
+const {
+  requireUser,
+  can,
+  ORG_ROLES,
+  API_SCOPES,
+  PERMISSIONS,
+} = require("../middleware/rbac");
+const { assertOrgRole, getOrgRole } = require("../middleware/orgAccess");
+const { validate, schemas, patterns } = require("../middleware/validation");
+const { AppError, catchAsync } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
+const {
+  addDays,
+  resolveTimeZone,
+  getZonedDay,
+  getZonedParts,
+  zonedTimeToUtc,
+} = require("../utils/timezone");
 const { Op } = require("sequelize");
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(authenticate);
+// Apply authentication to all routes; API tokens need the matching scope
+router.use(
+  authenticateWith({
+    apiTokenScope: (req) =>
+      req.method === "GET"
+        ? API_SCOPES.TIMESHEETS_READ
+        : API_SCOPES.TIMESHEETS_WRITE,
+  })
+);
 router.use(requireUser);
 
+// Associations returned with a single time entry
+const entryDetailsInclude = [
+  {
+    model: Organization,
+    as: "organization",
+    attributes: ["id", "name", "address", "workLocation"],
+  },
+  {
+    model: Customer,
+    as: "customer",
+    attributes: ["id", "name", "address", "workLocation"],
+  },
+  {
+    model: Process,
+    as: "process",
+    attributes: ["id", "name", "description"],
+  },
+  {
+    model: Activity,
+    as: "activity",
+    attributes: ["id", "name", "description"],
+  },
+  {
+    model: Project,
+    as: "workProject",
+    attributes: ["id", "name", "status"],
+  },
+];
+
 /**
- * @route   POST /api/timesheets/entries
- * @desc    Create a new timesheet entry
- * @access  Private
+ * Look up a project time is being logged against. It has to belong to the
+ * entry's customer and be active.
  */
-router.post(
-  "/entries",
-  catchAsync(async (req, res) => {
-    const {
-      organizationId,
-      customerId,
-      processId,
-      activityId,
-      workPlaceType, // Updated to match frontend
-      workLocationAddress,
-      taskName,
-      description,
-      date,
-      startTime,
-      endTime,
-      notes,
-    } = req.body;
-    const userId = req.user.id;
+const loadEntryProject = async (projectId, customerId) => {
+  const project = await Project.findOne({
+    where: { id: projectId, customerId },
+  });
 
-    // Validate required fields
-    if (
-      !organizationId ||
-      !customerId ||
-      !processId ||
-      !activityId ||
-      !workPlaceType ||
-      !taskName ||
-      !date ||
-      !startTime ||
-      !endTime
-    ) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "All required fields must be provided: organizationId, customerId, processId, activityId, workPlaceType, taskName, date, startTime, endTime",
-      });
+  if (!project) {
+    throw new AppError(
+      "Project not found or doesn't belong to the customer",
+      404
+    );
+  }
+
+  if (project.status !== "active" || !project.isActive) {
+    throw new AppError("Time can only be logged against active projects", 400);
+  }
+
+  return project;
+};
+
+/**
+ * Check that the user may log time in the organization and that customer,
+ * process and activity exist and belong together
+ */
+const loadEntryReferences = async (req, body) => {
+  const { organizationId, customerId, processId, activityId } = body;
+
+  // Logging time needs at least member rights in the organization
+  await assertOrgRole(req, organizationId, ORG_ROLES.MEMBER);
+
+  // Verify all entities exist and are related correctly
+  const [organization, customer, process, activity] = await Promise.all([
+    Organization.findByPk(organizationId),
+    Customer.findOne({ where: { id: customerId, organizationId } }),
+    Process.findByPk(processId),
+    Activity.findOne({ where: { id: activityId, processId } }),
+  ]);
+
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  if (!customer) {
+    throw new AppError(
+      "Customer not found or doesn't belong to the organization",
+      404
+    );
+  }
+
+  if (!process) {
+    throw new AppError("Process not found", 404);
+  }
+
+  if (!activity) {
+    throw new AppError(
+      "Activity not found or doesn't belong to the process",
+      404
+    );
+  }
+
+  const project = body.projectId
+    ? await loadEntryProject(body.projectId, customerId)
+    : null;
+
+  return { organization, customer, process, activity, project };
+};
+
+// Entries are billable unless their activity, project or customer (checked
+// in that order) sets another default
+const defaultBillable = ({ activity, project, customer }) =>
+  [activity, project, customer]
+    .map((reference) => reference?.billable)
+    .find((billable) => typeof billable === "boolean") ?? true;
+
+// Entries as JSON with the revenue and cost their rate cards give them
+const withEarnings = async (entries) => {
+  const rateCards = await RateCard.findForEntries(entries);
+
+  return entries.map((entry) => ({
+    ...entry.toJSON(),
+    earnings: entry.getEarnings(rateCards.get(entry.id)),
+  }));
+};
+
+// Short description of a clashing entry for conflict payloads
+const summarizeEntry = (entry) => ({
+  id: entry.id,
+  taskName: entry.taskName,
+  organizationId: entry.organizationId,
+  date: entry.date,
+  startTime: entry.startTime,
+  endTime: entry.endTime,
+  isRunning: entry.isRunning(),
+});
+
+/**
+ * Check [start, end) against the user's other entries under the
+ * organization's overlap policy. With `trim` the existing entries are
+ * trimmed or split to make room instead, which their weeks and accounting
+ * periods have to allow like any other change to them.
+ * Throws a 409 listing the conflicts when the entry must be rejected,
+ * otherwise returns { warnings, adjustedEntries } (both optional).
+ */
+const resolveOverlaps = async ({
+  req,
+  body,
+  userId,
+  organization,
+  start,
+  end,
+  excludeId,
+  trim,
+  transaction,
+}) => {
+  if (organization.overlapPolicy === "allow" && !trim) return {};
+
+  const overlaps = await TimeEntry.findOverlapping(userId, start, end, {
+    excludeId,
+    transaction,
+  });
+  if (overlaps.length === 0) return {};
+
+  if (trim) {
+    // Running timers cannot be trimmed, they have to be stopped first
+    const running = overlaps.filter((entry) => entry.isRunning());
+    if (running.length > 0) {
+      throw overlapConflict(running);
     }
 
-    // Verify all entities exist and are related correctly
-    const [organization, customer, process, activity] = await Promise.all([
-      Organization.findByPk(organizationId),
-      Customer.findOne({ where: { id: customerId, organizationId } }),
-      Process.findByPk(processId),
-      Activity.findOne({ where: { id: activityId, processId } }),
-    ]);
+    const lockedPeriods = new Map();
+    for (const entry of overlaps) {
+      await ensureDateEditable(
+        userId,
+        entry.date,
+        transaction,
+        "Trimming would change entries in a week that has been submitted or approved"
+      );
+      lockedPeriods.set(
+        entry.id,
+        await checkAccountingLocks(
+          req,
+          body,
+          entry.organizationId,
+          [entry.date],
+          transaction
+        )
+      );
+    }
 
-    if (!organization) {
-      return res.status(404).json({
-        success: false,
-        message: "Organization not found",
-      });
+    const adjustedEntries = await TimeEntry.carveOut(userId, start, end, {
+      excludeId,
+      transaction,
+    });
+
+    for (const entry of overlaps) {
+      await recordLockOverrides(
+        req,
+        lockedPeriods.get(entry.id),
+        adjustedEntries.removed.includes(entry.id) ? "delete" : "update",
+        entry,
+        body.lockOverrideReason,
+        transaction
+      );
     }
 
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        message: "Customer not found or doesn't belong to the organization",
+    return { adjustedEntries };
+  }
+
+  if (organization.overlapPolicy === "forbid") {
+    throw overlapConflict(overlaps);
+  }
+
+  return { warnings: { overlappingEntries: overlaps.map(summarizeEntry) } };
+};
+
+const overlapConflict = (entries) =>
+  new AppError("This entry overlaps existing time entries", 409, {
+    conflicts: entries.map(summarizeEntry),
+    hint: 'Send onOverlap: "trim" to trim or split the existing entries',
+  });
+
+/**
+ * Default the work location address from the chosen work place type
+ */
+const resolveWorkPlaceAddress = async (
+  userId,
+  workPlaceType,
+  { organization, customer }
+) => {
+  switch (workPlaceType) {
+    case "organization":
+      return organization.address || organization.workLocation;
+    case "customer":
+      return customer.address || customer.workLocation;
+    case "home": {
+      const user = await User.findByPk(userId, {
+        attributes: ["homeAddress"],
       });
+      return user.homeAddress;
     }
+    default:
+      return null;
+  }
+};
 
-    if (!process) {
-      return res.status(404).json({
-        success: false,
-        message: "Process not found",
-      });
+/**
+ * Entries in a submitted or approved week are read-only until the period is
+ * rejected or reopened
+ */
+const ensureDateEditable = async (
+  userId,
+  date,
+  transaction,
+  message = "The timesheet for this week has been submitted or approved and can no longer be changed"
+) => {
+  if (await TimesheetPeriod.isDateLocked(userId, date, { transaction })) {
+    throw new AppError(message, 409);
+  }
+};
+
+/**
+ * Dates inside a closed accounting period of the organization can only be
+ * changed by holders of timesheets:override_lock who give a
+ * `lockOverrideReason`. Returns the locked periods being overridden.
+ */
+const checkAccountingLocks = async (
+  req,
+  body,
+  organizationId,
+  dates,
+  transaction
+) => {
+  const lockedPeriods = [];
+  for (const date of dates) {
+    const lockedPeriod = await LockedPeriod.findCovering(organizationId, date, {
+      transaction,
+    });
+    if (
+      lockedPeriod &&
+      !lockedPeriods.some((locked) => locked.id === lockedPeriod.id)
+    ) {
+      lockedPeriods.push(lockedPeriod);
     }
+  }
+  if (lockedPeriods.length === 0) return lockedPeriods;
 
-    if (!activity) {
-      return res.status(404).json({
-        success: false,
-        message: "Activity not found or doesn't belong to the process",
+  if (!(await can(req.user, PERMISSIONS.TIMESHEETS_OVERRIDE_LOCK))) {
+    const [lockedPeriod] = lockedPeriods;
+    throw new AppError(
+      `Time from ${lockedPeriod.startDate} to ${lockedPeriod.endDate} is locked and can no longer be changed`,
+      409
+    );
+  }
+
+  if (!body.lockOverrideReason) {
+    throw new AppError(
+      "A lockOverrideReason is required to change entries in a locked period",
+      400
+    );
+  }
+
+  return lockedPeriods;
+};
+
+const recordLockOverrides = async (
+  req,
+  lockedPeriods,
+  action,
+  timeEntry,
+  reason,
+  transaction
+) => {
+  if (lockedPeriods.length === 0) return;
+
+  await LockOverride.bulkCreate(
+    lockedPeriods.map((lockedPeriod) => ({
+      lockedPeriodId: lockedPeriod.id,
+      organizationId: lockedPeriod.organizationId,
+      timeEntryId: timeEntry.id,
+      userId: req.user.id,
+      action,
+      reason,
+    })),
+    { transaction }
+  );
+
+  logger.warn("Locked period overridden", {
+    userId: req.user.id,
+    timeEntryId: timeEntry.id,
+    action,
+    lockedPeriodIds: lockedPeriods.map((lockedPeriod) => lockedPeriod.id),
+    reason,
+  });
+};
+
+// Longest span a single entry may cover
+const MAX_ENTRY_DAYS = 7;
+
+/**
+ * Instants of an entry starting at `startTime` on `date` and ending at
+ * `endTime` on `endDate`. Without an endDate an end at or before the start
+ * falls on the next day, so 22:00 - 02:00 is a night shift.
+ */
+const entryInterval = (timeZone, { date, startTime, endTime, endDate }) => {
+  const start = zonedTimeToUtc(date, startTime, timeZone);
+  let end = zonedTimeToUtc(endDate || date, endTime, timeZone);
+
+  if (!endDate && end <= start) {
+    end = zonedTimeToUtc(addDays(date, 1), endTime, timeZone);
+  }
+
+  return { start, end };
+};
+
+/**
+ * Turn the wall-clock `date` + `startTime`/`endTime` (+ `endDate`) input of
+ * an entry into instants, in the user's zone or else the organization's
+ */
+const parseEntryTimes = (user, organization, body) => {
+  const timeZone = resolveTimeZone(user, organization);
+  const { start: startDateTime, end: endDateTime } = entryInterval(
+    timeZone,
+    body
+  );
+
+  if (isNaN(startDateTime) || isNaN(endDateTime)) {
+    throw new AppError(
+      "Dates must be given as YYYY-MM-DD and times as HH:mm",
+      400
+    );
+  }
+
+  // Validate times
+  if (endDateTime <= startDateTime) {
+    throw new AppError("End time must be after start time", 400);
+  }
+
+  if (endDateTime - startDateTime > MAX_ENTRY_DAYS * 24 * 60 * 60 * 1000) {
+    throw new AppError(
+      `An entry cannot span more than ${MAX_ENTRY_DAYS} days`,
+      400
+    );
+  }
+
+  return { entryDate: body.date, startDateTime, endDateTime };
+};
+
+/**
+ * Turn the `breaks` input of an entry ([{ date, startTime, endTime, reason }]
+ * with wall-clock HH:mm times) into stored breaks. A break without a date is
+ * placed where its start time first occurs within the entry. Throws a 400
+ * when a break is invalid or does not fit.
+ */
+const parseEntryBreaks = (timeZone, start, end, breaks) => {
+  if (!Array.isArray(breaks)) {
+    throw new AppError("Breaks must be given as a list", 400);
+  }
+
+  const entryBreaks = [];
+  for (const { date, startTime, endTime, reason } of breaks.map(
+    (entryBreak) => entryBreak || {}
+  )) {
+    if (
+      !patterns.time.test(startTime || "") ||
+      !patterns.time.test(endTime || "") ||
+      (date && !patterns.day.test(date))
+    ) {
+      throw new AppError(
+        "Breaks need a startTime and endTime as HH:mm and optionally a date as YYYY-MM-DD",
+        400
+      );
+    }
+
+    const firstDay = date || getZonedDay(timeZone, start);
+    let interval = entryInterval(timeZone, {
+      date: firstDay,
+      startTime,
+      endTime,
+    });
+    if (!date && interval.start < start) {
+      interval = entryInterval(timeZone, {
+        date: addDays(firstDay, 1),
+        startTime,
+        endTime,
       });
     }
 
-    // Parse date and time
-    const entryDate = new Date(date);
-    const startDateTime = new Date(`${date}T${startTime}`);
-    const endDateTime = new Date(`${date}T${endTime}`);
+    entryBreaks.push(
+      TimeEntry.buildBreak(
+        interval.start,
+        interval.end,
+        reason ? String(reason).slice(0, 200) : undefined
+      )
+    );
+  }
 
-    // Validate times
-    if (endDateTime <= startDateTime) {
-      return res.status(400).json({
-        success: false,
-        message: "End time must be after start time",
-      });
+  const problem = TimeEntry.findBreakProblem(entryBreaks, start, end);
+  if (problem) throw new AppError(problem, 400);
+
+  return entryBreaks.sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Set a finished entry's gross and net duration under its organization's
+ * break policy. Returns the warnings to send with the entry; under the
+ * reject policy an entry that lacks the mandatory break is refused.
+ */
+const checkBreakPolicy = (organization, timeEntry) => {
+  const missingBreakMinutes = timeEntry.applyBreakPolicy(organization);
+
+  if (missingBreakMinutes > 0 && organization.breakPolicy === "reject") {
+    throw new AppError(
+      `The organization's break rules require ${missingBreakMinutes} more minutes of break for this entry`,
+      400,
+      { missingBreakMinutes }
+    );
+  }
+
+  return breakPolicyWarnings(organization, missingBreakMinutes);
+};
+
+const breakPolicyWarnings = (organization, missingBreakMinutes) => {
+  if (missingBreakMinutes === 0) return {};
+
+  return organization.breakPolicy === "deduct"
+    ? { deductedBreakMinutes: missingBreakMinutes }
+    : { missingBreakMinutes };
+};
+
+// Combine the warnings of several checks, undefined when there are none
+const collectWarnings = (...sources) => {
+  const warnings = Object.assign({}, ...sources);
+  return Object.keys(warnings).length > 0 ? warnings : undefined;
+};
+
+/*
+ * The entry helpers below are shared by the single-entry routes and the batch
+ * endpoint. They throw an AppError when the operation is rejected and return
+ * { timeEntry, warnings, adjustedEntries } otherwise. `attributes` are set on
+ * the new entry as-is (e.g. the draft flag for entries generated from
+ * templates).
+ */
+
+/**
+ * The part of createEntry that only checks: the entry is built but neither
+ * it nor anything else is saved, so previews can run it too. The overlap
+ * policy is left to the caller.
+ * Returns { timeEntry, references, lockedPeriods, breakWarnings }.
+ */
+const buildEntry = async (req, body, transaction, attributes = {}) => {
+  const {
+    organizationId,
+    customerId,
+    projectId,
+    processId,
+    activityId,
+    workPlaceType, // Updated to match frontend
+    workLocationAddress,
+    taskName,
+    description,
+    date,
+    startTime,
+    endTime,
+    breaks,
+    billable,
+    notes,
+  } = body;
+  const userId = req.user.id;
+
+  // Validate required fields
+  if (
+    !organizationId ||
+    !customerId ||
+    !processId ||
+    !activityId ||
+    !workPlaceType ||
+    !taskName ||
+    !date ||
+    !startTime ||
+    !endTime
+  ) {
+    throw new AppError(
+      "All required fields must be provided: organizationId, customerId, processId, activityId, workPlaceType, taskName, date, startTime, endTime",
+      400
+    );
+  }
+
+  const references = await loadEntryReferences(req, body);
+
+  // Parse date and time
+  const { entryDate, startDateTime, endDateTime } = parseEntryTimes(
+    req.user,
+    references.organization,
+    body
+  );
+
+  await ensureDateEditable(userId, entryDate, transaction);
+
+  const lockedPeriods = await checkAccountingLocks(
+    req,
+    body,
+    organizationId,
+    [entryDate],
+    transaction
+  );
+
+  const entryBreaks =
+    breaks === undefined
+      ? []
+      : parseEntryBreaks(
+          resolveTimeZone(req.user, references.organization),
+          startDateTime,
+          endDateTime,
+          breaks
+        );
+
+  // Determine work location address based on type
+  const finalWorkLocationAddress =
+    workLocationAddress ||
+    (await resolveWorkPlaceAddress(userId, workPlaceType, references));
+
+  const timeEntry = TimeEntry.build({
+    userId,
+    organizationId,
+    customerId,
+    projectId: projectId || null,
+    processId,
+    activityId,
+    workPlaceType: workPlaceType,
+    workPlaceAddress: finalWorkLocationAddress,
+    taskName,
+    description,
+    date: entryDate,
+    startTime: startDateTime,
+    endTime: endDateTime,
+    breaks: entryBreaks,
+    billable:
+      typeof billable === "boolean" ? billable : defaultBillable(references),
+    notes,
+    isManual: true,
+    ...attributes,
+  });
+
+  const breakWarnings = checkBreakPolicy(references.organization, timeEntry);
+
+  return { timeEntry, references, lockedPeriods, breakWarnings };
+};
+
+const createEntry = async (req, body, transaction, attributes = {}) => {
+  const { timeEntry, references, lockedPeriods, breakWarnings } =
+    await buildEntry(req, body, transaction, attributes);
+  const userId = req.user.id;
+
+  const overlap = await resolveOverlaps({
+    req,
+    body,
+    userId,
+    organization: references.organization,
+    start: timeEntry.startTime,
+    end: timeEntry.endTime,
+    trim: body.onOverlap === "trim",
+    transaction,
+  });
+
+  // Create timesheet entry
+  await timeEntry.save({ transaction });
+
+  await recordLockOverrides(
+    req,
+    lockedPeriods,
+    "create",
+    timeEntry,
+    body.lockOverrideReason,
+    transaction
+  );
+
+  logger.info(
+    `Timesheet entry created by user ${userId} for ${references.activity.name}`,
+    {
+      userId,
+      organizationId: timeEntry.organizationId,
+      customerId: timeEntry.customerId,
+      projectId: timeEntry.projectId,
+      processId: timeEntry.processId,
+      activityId: timeEntry.activityId,
+      duration: timeEntry.duration,
     }
+  );
 
-    // Calculate duration in minutes
-    const durationMs = endDateTime - startDateTime;
-    const duration = Math.round(durationMs / (1000 * 60));
-
-    // Determine work location address based on type
-    let finalWorkLocationAddress = workLocationAddress;
-    if (!finalWorkLocationAddress) {
-      switch (workPlaceType) {
-        case "organization":
-          finalWorkLocationAddress =
-            organization.address || organization.workLocation;
-          break;
-        case "customer":
-          finalWorkLocationAddress = customer.address || customer.workLocation;
-          break;
-        case "home":
-          const user = await User.findByPk(userId);
-          finalWorkLocationAddress = user.homeAddress;
-          break;
-      }
+  return {
+    ...overlap,
+    warnings: collectWarnings(overlap.warnings, breakWarnings),
+    timeEntry,
+  };
+};
+
+/*
+ * `editBreaks(timeEntry, timeZone)` lets the break routes change the breaks
+ * through the same checks; it returns the new list.
+ */
+const updateEntry = async (req, id, body, transaction, editBreaks) => {
+  const {
+    taskName,
+    description,
+    date,
+    startTime,
+    endTime,
+    breaks,
+    billable,
+    notes,
+    workPlaceType,
+    workLocationAddress,
+    projectId,
+    onOverlap,
+  } = body;
+  const userId = req.user.id;
+
+  // Find the time entry
+  const timeEntry = await TimeEntry.findOne({
+    where: { id, userId },
+    transaction,
+  });
+
+  const notFoundMessage =
+    "Timesheet entry not found or you don't have permission to update it";
+  if (!timeEntry) {
+    throw new AppError(notFoundMessage, 404);
+  }
+
+  // Former members and viewers can no longer change the organization's data
+  await assertOrgRole(req, timeEntry.organizationId, ORG_ROLES.MEMBER, {
+    notFoundMessage,
+  });
+
+  await ensureDateEditable(userId, timeEntry.date, transaction);
+
+  const updates = {};
+
+  // Basic field updates
+  if (taskName) updates.taskName = taskName;
+  if (description !== undefined) updates.description = description;
+  if (notes !== undefined) updates.notes = notes;
+  if (typeof billable === "boolean") updates.billable = billable;
+  if (workPlaceType) updates.workPlaceType = workPlaceType;
+  if (workLocationAddress !== undefined)
+    updates.workPlaceAddress = workLocationAddress;
+
+  // Link to another project of the same customer, null unlinks
+  if (projectId !== undefined) {
+    if (projectId) {
+      await loadEntryProject(projectId, timeEntry.customerId);
     }
+    updates.projectId = projectId || null;
+  }
+
+  const organization = await Organization.findByPk(timeEntry.organizationId, {
+    transaction,
+  });
+  const originalDate = timeEntry.date;
 
-    // Create timesheet entry
-    const timeEntry = await TimeEntry.create({
+  // Handle date and time updates
+  const timesChanged = Boolean(date && startTime && endTime);
+  if (timesChanged) {
+    const { entryDate, startDateTime, endDateTime } = parseEntryTimes(
+      req.user,
+      organization,
+      body
+    );
+
+    // Moving the entry into a locked week is not allowed either
+    await ensureDateEditable(userId, entryDate, transaction);
+
+    updates.date = entryDate;
+    updates.startTime = startDateTime;
+    updates.endTime = endDateTime;
+  }
+
+  timeEntry.set(updates);
+
+  // Breaks are replaced by the given list or changed by a break route,
+  // otherwise cut down to the entry's new times
+  if (breaks !== undefined || editBreaks) {
+    const timeZone = resolveTimeZone(req.user, organization);
+    timeEntry.breaks =
+      breaks !== undefined
+        ? parseEntryBreaks(
+            timeZone,
+            timeEntry.startTime,
+            timeEntry.endTime,
+            breaks
+          )
+        : editBreaks(timeEntry, timeZone);
+  } else if (timesChanged) {
+    timeEntry.breaks = TimeEntry.clipBreaks(
+      timeEntry.breaks,
+      timeEntry.startTime,
+      timeEntry.endTime
+    );
+  }
+
+  const breakWarnings = timeEntry.isRunning()
+    ? {}
+    : checkBreakPolicy(organization, timeEntry);
+
+  const lockedPeriods = await checkAccountingLocks(
+    req,
+    body,
+    timeEntry.organizationId,
+    [...new Set([originalDate, timeEntry.date])],
+    transaction
+  );
+
+  let overlap = {};
+  if (timesChanged) {
+    overlap = await resolveOverlaps({
+      req,
+      body,
       userId,
-      organizationId,
-      customerId,
-      processId,
-      activityId,
-      workPlaceType: workPlaceType,
-      workPlaceAddress: finalWorkLocationAddress,
-      taskName,
-      description,
-      date: entryDate,
-      startTime: startDateTime,
-      endTime: endDateTime,
-      duration,
-      notes,
-      isManual: true,
+      organization,
+      start: timeEntry.startTime,
+      end: timeEntry.endTime,
+      excludeId: timeEntry.id,
+      trim: onOverlap === "trim",
+      transaction,
     });
+  }
+
+  // Update the time entry
+  await timeEntry.save({ transaction });
+
+  await recordLockOverrides(
+    req,
+    lockedPeriods,
+    "update",
+    timeEntry,
+    body.lockOverrideReason,
+    transaction
+  );
+
+  logger.info(`Timesheet entry ${id} updated by user ${userId}`);
+
+  return {
+    ...overlap,
+    warnings: collectWarnings(overlap.warnings, breakWarnings),
+    timeEntry,
+  };
+};
+
+const deleteEntry = async (req, id, body, transaction) => {
+  const userId = req.user.id;
+
+  // Find the time entry
+  const timeEntry = await TimeEntry.findOne({
+    where: { id, userId },
+    transaction,
+  });
+
+  const notFoundMessage =
+    "Timesheet entry not found or you don't have permission to delete it";
+  if (!timeEntry) {
+    throw new AppError(notFoundMessage, 404);
+  }
+
+  // Former members and viewers can no longer change the organization's data
+  await assertOrgRole(req, timeEntry.organizationId, ORG_ROLES.MEMBER, {
+    notFoundMessage,
+  });
+
+  await ensureDateEditable(userId, timeEntry.date, transaction);
+
+  const lockedPeriods = await checkAccountingLocks(
+    req,
+    body,
+    timeEntry.organizationId,
+    [timeEntry.date],
+    transaction
+  );
+
+  // Delete the time entry
+  await timeEntry.destroy({ transaction });
+
+  await recordLockOverrides(
+    req,
+    lockedPeriods,
+    "delete",
+    timeEntry,
+    body.lockOverrideReason,
+    transaction
+  );
+
+  logger.info(`Timesheet entry ${id} deleted by user ${userId}`);
+
+  return { timeEntry };
+};
+
+/**
+ * @route   POST /api/timesheets/entries
+ * @desc    Create a new timesheet entry
+ * @access  Private
+ */
+router.post(
+  "/entries",
+  validate(schemas.createTimeEntry),
+  catchAsync(async (req, res) => {
+    const { timeEntry, warnings, adjustedEntries } =
+      await sequelize.transaction((transaction) =>
+        createEntry(req, req.body, transaction)
+      );
 
     // Fetch the complete time entry with associations for response
     const completeTimeEntry = await TimeEntry.findByPk(timeEntry.id, {
-      include: [
-        {
-          model: Organization,
-          as: "organization",
-          attributes: ["id", "name", "address", "workLocation"],
-        },
-        {
-          model: Customer,
-          as: "customer",
-          attributes: ["id", "name", "address", "workLocation"],
-        },
-        {
-          model: Process,
-          as: "process",
-          attributes: ["id", "name", "description"],
-        },
-        {
-          model: Activity,
-          as: "activity",
-          attributes: ["id", "name", "description"],
-        },
-      ],
+      include: entryDetailsInclude,
     });
 
-    logger.info(
-      `Timesheet entry created by user ${userId} for ${activity.name}`,
-      {
-        userId,
-        organizationId,
-        customerId,
-        processId,
-        activityId,
-        duration,
+    res.status(201).json({
+      success: true,
+      message: "Timesheet entry created successfully",
+      data: { timeEntry: completeTimeEntry, warnings, adjustedEntries },
+    });
+  })
+);
+
+// Every YYYY-MM-DD from `from` to `to`, both included
+const dayRange = (from, to) => {
+  const days = [];
+  for (
+    const day = new Date(from);
+    day <= new Date(to);
+    day.setUTCDate(day.getUTCDate() + 1)
+  ) {
+    days.push(day.toISOString().slice(0, 10));
+  }
+  return days;
+};
+
+const batchOperations = {
+  create: (req, { data }, transaction) => createEntry(req, data, transaction),
+  update: (req, { id, data }, transaction) =>
+    updateEntry(req, id, data, transaction),
+  delete: (req, { id, data = {} }, transaction) =>
+    deleteEntry(req, id, data, transaction),
+};
+
+/**
+ * @route   POST /api/timesheets/entries/batch
+ * @desc    Apply a list of create, update and delete operations to the
+ *          user's entries, all of them or none
+ * @access  Private
+ */
+router.post(
+  "/entries/batch",
+  validate(schemas.batchTimeEntries),
+  catchAsync(async (req, res) => {
+    const { operations } = req.body;
+    const results = [];
+
+    const transaction = await sequelize.transaction();
+    try {
+      for (const [index, operation] of operations.entries()) {
+        const { action } = operation;
+
+        try {
+          // A savepoint per operation undoes a rejected operation and keeps
+          // the transaction usable so the remaining ones are still checked
+          const result = await sequelize.transaction(
+            { transaction },
+            (savepoint) => batchOperations[action](req, operation, savepoint)
+          );
+          results.push({
+            index,
+            action,
+            id: result.timeEntry.id,
+            success: true,
+            data: result,
+          });
+        } catch (error) {
+          let failure = error;
+          if (!(error instanceof AppError)) {
+            logger.error("Batch time entry operation failed", {
+              userId: req.user.id,
+              index,
+              action,
+              error: error.message,
+            });
+            failure = new AppError("The operation could not be applied", 500);
+          }
+
+          results.push({
+            index,
+            action,
+            id: operation.id,
+            status: failure.statusCode,
+            success: false,
+            message: failure.message,
+            ...failure.details,
+          });
+        }
       }
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    const failed = results.filter((result) => !result.success).length;
+    if (failed > 0) {
+      await transaction.rollback();
+
+      return res.status(400).json({
+        success: false,
+        message: `${failed} of ${operations.length} operations failed, no changes were applied`,
+        data: { results },
+      });
+    }
+
+    await transaction.commit();
+
+    logger.info(`Batch of ${operations.length} time entry operations applied`, {
+      userId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message: "All operations applied successfully",
+      data: { results },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/timesheets/entries/copy
+ * @desc    Copy the user's entries of a source day or week onto a target
+ *          range (the source days repeat until the range is filled). In
+ *          preview mode nothing is saved.
+ * @access  Private
+ */
+router.post(
+  "/entries/copy",
+  validate(schemas.copyEntries),
+  catchAsync(async (req, res) => {
+    const { sourceStart, targetStart, keepNotes, mode } = req.body;
+    const sourceEnd = req.body.sourceEnd || sourceStart;
+    const sourceDays = dayRange(sourceStart, sourceEnd);
+    const targetEnd =
+      req.body.targetEnd || addDays(targetStart, sourceDays.length - 1);
+    const userId = req.user.id;
+
+    const sourceEntries = await TimeEntry.findAll({
+      where: {
+        userId,
+        date: { [Op.between]: [sourceStart, sourceEnd] },
+        endTime: { [Op.ne]: null },
+        isDraft: false,
+      },
+      order: [
+        ["date", "ASC"],
+        ["startTime", "ASC"],
+      ],
+    });
+
+    const organizations = new Map(
+      (
+        await Organization.findAll({
+          where: {
+            id: [
+              ...new Set(sourceEntries.map((entry) => entry.organizationId)),
+            ],
+          },
+          attributes: ["id", "timezone"],
+        })
+      ).map((organization) => [organization.id, organization])
     );
 
-    res.status(201).json({
+    const results = [];
+    const transaction = await sequelize.transaction();
+
+    try {
+      for (const [index, targetDay] of dayRange(
+        targetStart,
+        targetEnd
+      ).entries()) {
+        const sourceDay = sourceDays[index % sourceDays.length];
+
+        for (const entry of sourceEntries) {
+          if (entry.date !== sourceDay) continue;
+
+          // Same wall-clock times on the target day, whatever DST does;
+          // entries past midnight end as many days later as the original
+          const timeZone = resolveTimeZone(
+            req.user,
+            organizations.get(entry.organizationId)
+          );
+          const startTime = getZonedParts(entry.startTime, timeZone).time;
+          const endParts = getZonedParts(entry.endTime, timeZone);
+          const endTime = endParts.time;
+          const endDate = addDays(
+            targetDay,
+            dayRange(entry.date, endParts.day).length - 1
+          );
+          const { start, end } = entryInterval(timeZone, {
+            date: targetDay,
+            startTime,
+            endTime,
+            endDate,
+          });
+
+          const result = {
+            sourceEntryId: entry.id,
+            date: targetDay,
+            startTime: start,
+            endTime: end,
+            taskName: entry.taskName,
+          };
+          results.push(result);
+
+          const skip = (reason) =>
+            Object.assign(result, { status: "skipped", reason });
+
+          if (
+            (await TimesheetPeriod.isDateLocked(userId, targetDay, {
+              transaction,
+            })) ||
+            (await LockedPeriod.findCovering(entry.organizationId, targetDay, {
+              transaction,
+            }))
+          ) {
+            skip("The date is locked");
+            continue;
+          }
+
+          // Previews save nothing, so earlier results count as entries too
+          const overlaps = await TimeEntry.findOverlapping(userId, start, end, {
+            transaction,
+          });
+          const overlapsCopy = results.some(
+            (other) =>
+              other !== result &&
+              other.status !== "skipped" &&
+              other.startTime < end &&
+              other.endTime > start
+          );
+          if (overlaps.length > 0 || overlapsCopy) {
+            skip("Overlaps an existing entry");
+            continue;
+          }
+
+          const entryData = {
+            organizationId: entry.organizationId,
+            customerId: entry.customerId,
+            projectId: entry.projectId,
+            processId: entry.processId,
+            activityId: entry.activityId,
+            workPlaceType: entry.workPlaceType,
+            workLocationAddress: entry.workPlaceAddress,
+            taskName: entry.taskName,
+            description: entry.description,
+            notes: keepNotes ? entry.notes : null,
+            billable: entry.billable,
+            date: targetDay,
+            startTime,
+            endTime,
+            endDate,
+          };
+
+          try {
+            if (mode === "commit") {
+              const { timeEntry } = await sequelize.transaction(
+                { transaction },
+                (savepoint) => createEntry(req, entryData, savepoint)
+              );
+              Object.assign(result, { status: "created", timeEntry });
+            } else {
+              // Only the checks of createEntry, without saving or logging
+              await buildEntry(req, entryData, transaction);
+              result.status = "would_create";
+            }
+          } catch (error) {
+            if (!(error instanceof AppError)) throw error;
+            skip(error.message);
+          }
+        }
+      }
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    if (mode === "commit") {
+      await transaction.commit();
+    } else {
+      await transaction.rollback();
+    }
+
+    const copied = results.filter((result) => result.status !== "skipped");
+
+    if (mode === "commit") {
+      logger.info(`Copied ${copied.length} time entries`, {
+        userId,
+        sourceStart,
+        sourceEnd,
+        targetStart,
+        targetEnd,
+        skipped: results.length - copied.length,
+      });
+    }
+
+    res.status(mode === "commit" ? 201 : 200).json({
       success: true,
-      message: "Timesheet entry created successfully",
-      data: { timeEntry: completeTimeEntry },
+      message:
+        mode === "commit"
+          ? `${copied.length} entries copied`
+          : `${copied.length} entries would be copied`,
+      data: {
+        mode,
+        targetStart,
+        targetEnd,
+        copied: copied.length,
+        skipped: results.length - copied.length,
+        results,
+      },
     });
   })
 );
 
+/**
+ * Whose entries a read covers: the current user's unless `requestedUserId`
+ * is given. timesheets:read_all (e.g. payroll service accounts) reads
+ * anyone's entries, "all" for everyone; managers read their reports.
+ * Returns { userId } with no userId for everyone.
+ */
+const resolveEntryOwner = async (req, requestedUserId) => {
+  if (!requestedUserId) return { userId: req.user.id };
+
+  const target =
+    requestedUserId === "all"
+      ? null
+      : await User.findByPk(requestedUserId, {
+          attributes: ["id", "managerId"],
+        });
+
+  if (!(await can(req.user, PERMISSIONS.TIMESHEETS_READ_ALL, target))) {
+    throw new AppError(
+      "You do not have permission to view these entries.",
+      403
+    );
+  }
+
+  if (target) return { userId: target.id };
+  if (requestedUserId === "all") return {};
+  return { userId: requestedUserId };
+};
+
 /**
  * @route   GET /api/timesheets/entries
  * @desc    Get user's timesheet entries
@@ -207,6 +1241,7 @@ router.post(
  */
 router.get(
   "/entries",
+  validate(schemas.entryOwnerQuery, "query"),
   catchAsync(async (req, res) => {
     const {
       page = 1,
@@ -215,12 +1250,18 @@ router.get(
       endDate,
       organizationId,
       customerId,
+      projectId,
       processId,
+      draft,
+      billable,
+      userId: requestedUserId,
     } = req.query;
-    const userId = req.user.id;
     const offset = (page - 1) * limit;
 
-    const where = { userId };
+    const owner = await resolveEntryOwner(req, requestedUserId);
+
+    const where = {};
+    if (owner.userId) where.userId = owner.userId;
 
     // Date filtering
     if (startDate || endDate) {
@@ -236,11 +1277,19 @@ router.get(
     // Additional filtering
     if (organizationId) where.organizationId = organizationId;
     if (customerId) where.customerId = customerId;
+    if (projectId) where.projectId = projectId;
     if (processId) where.processId = processId;
+    if (draft !== undefined) where.isDraft = draft === "true";
+    if (billable !== undefined) where.billable = billable === "true";
 
     const { count, rows: entries } = await TimeEntry.findAndCountAll({
       where,
       include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "name", "email"],
+        },
         {
           model: Organization,
           as: "organization",
@@ -261,6 +1310,11 @@ router.get(
           as: "activity",
           attributes: ["id", "name"],
         },
+        {
+          model: Project,
+          as: "workProject",
+          attributes: ["id", "name"],
+        },
       ],
       limit: parseInt(limit),
       offset: parseInt(offset),
@@ -273,7 +1327,7 @@ router.get(
     res.json({
       success: true,
       data: {
-        timeEntries: entries,
+        timeEntries: await withEarnings(entries),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(count / limit),
@@ -286,195 +1340,667 @@ router.get(
 );
 
 /**
- * @route   GET /api/timesheets/entries/:id
- * @desc    Get a specific timesheet entry
+ * @route   GET /api/timesheets/reports/daily
+ * @desc    Worked minutes per calendar day. Entries running past midnight
+ *          are split across the days they cover (in the user's zone, else
+ *          the organization's) unless split=false.
+ * @access  Private
+ */
+router.get(
+  "/reports/daily",
+  validate(schemas.entryOwnerQuery, "query"),
+  catchAsync(async (req, res) => {
+    const {
+      startDate,
+      endDate,
+      organizationId,
+      split,
+      userId: requestedUserId,
+    } = req.query;
+
+    if (
+      !patterns.day.test(startDate || "") ||
+      !patterns.day.test(endDate || "") ||
+      endDate < startDate
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "startDate and endDate are required as YYYY-MM-DD, endDate not before startDate",
+      });
+    }
+
+    const reportDays = dayRange(startDate, endDate);
+    if (reportDays.length > 366) {
+      return res.status(400).json({
+        success: false,
+        message: "A report can cover at most 366 days",
+      });
+    }
+
+    const owner = await resolveEntryOwner(req, requestedUserId);
+
+    const splitEntries = split !== "false";
+
+    // Entries started up to MAX_ENTRY_DAYS earlier can reach into the range
+    const where = {
+      date: {
+        [Op.between]: [
+          splitEntries ? addDays(startDate, -MAX_ENTRY_DAYS) : startDate,
+          endDate,
+        ],
+      },
+      isDraft: false,
+    };
+    if (owner.userId) where.userId = owner.userId;
+    if (organizationId) where.organizationId = organizationId;
+
+    const entries = await TimeEntry.findAll({
+      where,
+      include: [
+        { model: User, as: "user", attributes: ["id", "timezone"] },
+        {
+          model: Organization,
+          as: "organization",
+          attributes: ["id", "timezone"],
+        },
+      ],
+      order: [["startTime", "ASC"]],
+    });
+
+    const days = new Map(
+      reportDays.map((day) => [day, { date: day, minutes: 0, entryCount: 0 }])
+    );
+    const now = new Date();
+
+    for (const entry of entries) {
+      const pieces = splitEntries
+        ? entry.splitByDay(resolveTimeZone(entry.user, entry.organization), now)
+        : [{ date: entry.date, minutes: entry.calculateDuration(now) }];
+
+      for (const piece of pieces) {
+        const day = days.get(piece.date);
+        if (!day) continue;
+
+        day.minutes += piece.minutes;
+        day.entryCount += 1;
+      }
+    }
+
+    const dailyTotals = [...days.values()];
+
+    res.json({
+      success: true,
+      data: {
+        startDate,
+        endDate,
+        split: splitEntries,
+        days: dailyTotals,
+        totalMinutes: dailyTotals.reduce((sum, day) => sum + day.minutes, 0),
+      },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/timesheets/entries/:id
+ * @desc    Get a specific timesheet entry
+ * @access  Private
+ */
+router.get(
+  "/entries/:id",
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const timeEntry = await TimeEntry.findOne({
+      where: { id, userId },
+      include: entryDetailsInclude,
+    });
+
+    if (!timeEntry) {
+      return res.status(404).json({
+        success: false,
+        message: "Timesheet entry not found",
+      });
+    }
+
+    const [entryWithEarnings] = await withEarnings([timeEntry]);
+
+    res.json({
+      success: true,
+      data: { timeEntry: entryWithEarnings },
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/timesheets/entries/:id
+ * @desc    Update a timesheet entry
+ * @access  Private
+ */
+router.put(
+  "/entries/:id",
+  validate(schemas.updateTimeEntry),
+  catchAsync(async (req, res) => {
+    const { timeEntry, warnings, adjustedEntries } =
+      await sequelize.transaction((transaction) =>
+        updateEntry(req, req.params.id, req.body, transaction)
+      );
+
+    // Fetch updated entry with associations
+    const updatedEntry = await TimeEntry.findByPk(timeEntry.id, {
+      include: entryDetailsInclude,
+    });
+
+    res.json({
+      success: true,
+      message: "Timesheet entry updated successfully",
+      data: { timeEntry: updatedEntry, warnings, adjustedEntries },
+    });
+  })
+);
+
+/**
+ * Handler for the break routes. `change(req, timeEntry, timeZone)` returns
+ * the finished entry's new breaks; the edit then goes through the same
+ * checks as any other update of the entry (locks, break rules).
+ */
+const entryBreakRoute = (status, message, change) =>
+  catchAsync(async (req, res) => {
+    const body = { lockOverrideReason: req.body?.lockOverrideReason };
+
+    const { timeEntry, warnings } = await sequelize.transaction((transaction) =>
+      updateEntry(
+        req,
+        req.params.id,
+        body,
+        transaction,
+        (timeEntry, timeZone) => {
+          if (timeEntry.isRunning()) {
+            throw new AppError(
+              "Pause and resume the running timer to take breaks",
+              409
+            );
+          }
+
+          const entryBreaks = change(req, timeEntry, timeZone);
+
+          const problem = TimeEntry.findBreakProblem(
+            entryBreaks,
+            timeEntry.startTime,
+            timeEntry.endTime
+          );
+          if (problem) throw new AppError(problem, 400);
+
+          return entryBreaks.sort(
+            (a, b) => new Date(a.startTime) - new Date(b.startTime)
+          );
+        }
+      )
+    );
+
+    const updatedEntry = await TimeEntry.findByPk(timeEntry.id, {
+      include: entryDetailsInclude,
+    });
+
+    res.status(status).json({
+      success: true,
+      message,
+      data: { timeEntry: updatedEntry, warnings },
+    });
+  });
+
+// Position of the break addressed by the route
+const findBreakIndex = (req, timeEntry) => {
+  const index = (timeEntry.breaks || []).findIndex(
+    (entryBreak) => entryBreak.id === req.params.breakId
+  );
+  if (index === -1) {
+    throw new AppError("Break not found", 404);
+  }
+  return index;
+};
+
+/**
+ * @route   POST /api/timesheets/entries/:id/breaks
+ * @desc    Add a break to a finished entry
+ * @access  Private
+ */
+router.post(
+  "/entries/:id/breaks",
+  validate(schemas.uuidParam, "params"),
+  validate(schemas.entryBreak),
+  entryBreakRoute(201, "Break added", (req, timeEntry, timeZone) => {
+    const added = parseEntryBreaks(
+      timeZone,
+      timeEntry.startTime,
+      timeEntry.endTime,
+      [req.body]
+    );
+    return [...(timeEntry.breaks || []), ...added];
+  })
+);
+
+/**
+ * @route   PUT /api/timesheets/entries/:id/breaks/:breakId
+ * @desc    Move a break of a finished entry or change its reason
+ * @access  Private
+ */
+router.put(
+  "/entries/:id/breaks/:breakId",
+  validate(schemas.entryBreakParams, "params"),
+  validate(schemas.entryBreak),
+  entryBreakRoute(200, "Break updated", (req, timeEntry, timeZone) => {
+    const index = findBreakIndex(req, timeEntry);
+
+    const current = timeEntry.breaks[index];
+    const changed = parseEntryBreaks(
+      timeZone,
+      timeEntry.startTime,
+      timeEntry.endTime,
+      [{ ...req.body, reason: req.body.reason || current.reason }]
+    );
+
+    const entryBreaks = [...timeEntry.breaks];
+    entryBreaks[index] = { ...changed[0], id: current.id };
+    return entryBreaks;
+  })
+);
+
+/**
+ * @route   DELETE /api/timesheets/entries/:id/breaks/:breakId
+ * @desc    Remove a break from a finished entry
+ * @access  Private
+ */
+router.delete(
+  "/entries/:id/breaks/:breakId",
+  validate(schemas.entryBreakParams, "params"),
+  entryBreakRoute(200, "Break removed", (req, timeEntry) => {
+    const index = findBreakIndex(req, timeEntry);
+
+    return timeEntry.breaks.filter(
+      (entryBreak, position) => position !== index
+    );
+  })
+);
+
+/**
+ * @route   DELETE /api/timesheets/entries/:id
+ * @desc    Delete a timesheet entry
+ * @access  Private
+ */
+router.delete(
+  "/entries/:id",
+  catchAsync(async (req, res) => {
+    await sequelize.transaction((transaction) =>
+      deleteEntry(req, req.params.id, req.body || {}, transaction)
+    );
+
+    res.json({
+      success: true,
+      message: "Timesheet entry deleted successfully",
+    });
+  })
+);
+
+/**
+ * Shape of the running-timer responses
+ */
+const timerState = (timeEntry) => ({
+  timeEntry,
+  isPaused: timeEntry.isPaused(),
+  elapsedMinutes: timeEntry.calculateDuration(),
+  breakMinutes: timeEntry.getBreakMinutes(),
+});
+
+/**
+ * Load the user's running timer, a 404 when there is none
+ */
+const findRunningTimer = async (req) => {
+  const timeEntry = await TimeEntry.findRunning(req.user.id);
+
+  if (!timeEntry) {
+    throw new AppError("No timer is running", 404);
+  }
+
+  return timeEntry;
+};
+
+/**
+ * @route   GET /api/timesheets/timer
+ * @desc    Get the current user's running timer (null when none)
+ * @access  Private
+ */
+router.get(
+  "/timer",
+  catchAsync(async (req, res) => {
+    const timeEntry = await TimeEntry.findRunning(req.user.id, {
+      include: entryDetailsInclude,
+    });
+
+    res.json({
+      success: true,
+      data: timeEntry ? timerState(timeEntry) : { timeEntry: null },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/timesheets/timer/start
+ * @desc    Start a live timer (only one may run per user)
+ * @access  Private
+ */
+router.post(
+  "/timer/start",
+  validate(schemas.startTimer),
+  catchAsync(async (req, res) => {
+    const {
+      organizationId,
+      customerId,
+      projectId,
+      processId,
+      activityId,
+      workPlaceType,
+      workLocationAddress,
+      taskName,
+      description,
+      notes,
+      billable,
+    } = req.body;
+    const userId = req.user.id;
+
+    const runningTimer = await TimeEntry.findRunning(userId);
+    if (runningTimer) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "A timer is already running. Stop it before starting a new one.",
+        data: { timeEntry: runningTimer },
+      });
+    }
+
+    const references = await loadEntryReferences(req, req.body);
+
+    // The entry belongs to the day the timer was started on locally
+    const now = new Date();
+    const today = getZonedDay(
+      resolveTimeZone(req.user, references.organization),
+      now
+    );
+
+    const { timeEntry, warnings } = await sequelize.transaction(
+      async (transaction) => {
+        await ensureDateEditable(userId, today, transaction);
+
+        const lockedPeriods = await checkAccountingLocks(
+          req,
+          req.body,
+          organizationId,
+          [today],
+          transaction
+        );
+
+        // Entries covering the moment the timer starts overlap it already
+        const overlap = await resolveOverlaps({
+          req,
+          body: req.body,
+          userId,
+          organization: references.organization,
+          start: now,
+          end: now,
+          transaction,
+        });
+
+        let timeEntry;
+        try {
+          timeEntry = await TimeEntry.create(
+            {
+              userId,
+              organizationId,
+              customerId,
+              projectId: projectId || null,
+              processId,
+              activityId,
+              workPlaceType,
+              workPlaceAddress:
+                workLocationAddress ||
+                (await resolveWorkPlaceAddress(
+                  userId,
+                  workPlaceType,
+                  references
+                )),
+              taskName,
+              description,
+              notes,
+              date: today,
+              startTime: now,
+              endTime: null,
+              billable:
+                typeof billable === "boolean"
+                  ? billable
+                  : defaultBillable(references),
+              isManual: false,
+              breaks: [],
+            },
+            { transaction }
+          );
+        } catch (error) {
+          // Lost a race against a concurrent start request
+          if (error.name === "SequelizeUniqueConstraintError") {
+            throw new AppError(
+              "A timer is already running. Stop it before starting a new one.",
+              409
+            );
+          }
+          throw error;
+        }
+
+        await recordLockOverrides(
+          req,
+          lockedPeriods,
+          "create",
+          timeEntry,
+          req.body.lockOverrideReason,
+          transaction
+        );
+
+        return { timeEntry, warnings: collectWarnings(overlap.warnings) };
+      }
+    );
+
+    const runningEntry = await TimeEntry.findByPk(timeEntry.id, {
+      include: entryDetailsInclude,
+    });
+
+    logger.info("Timer started", {
+      userId,
+      timeEntryId: timeEntry.id,
+      organizationId,
+      activityId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Timer started",
+      data: { ...timerState(runningEntry), warnings },
+    });
+  })
+);
+
+/**
+ * Run `change` on the running timer in a transaction after the lock checks
+ * that apply to every change of an entry, and record any lock override
+ */
+const changeRunningTimer = (req, timeEntry, change) =>
+  sequelize.transaction(async (transaction) => {
+    await ensureDateEditable(req.user.id, timeEntry.date, transaction);
+
+    const lockedPeriods = await checkAccountingLocks(
+      req,
+      req.body,
+      timeEntry.organizationId,
+      [timeEntry.date],
+      transaction
+    );
+
+    const result = await change(transaction);
+
+    await recordLockOverrides(
+      req,
+      lockedPeriods,
+      "update",
+      timeEntry,
+      req.body.lockOverrideReason,
+      transaction
+    );
+
+    return result;
+  });
+
+/**
+ * @route   POST /api/timesheets/timer/pause
+ * @desc    Pause the running timer by opening a break
  * @access  Private
  */
-router.get(
-  "/entries/:id",
+router.post(
+  "/timer/pause",
+  validate(schemas.pauseTimer),
   catchAsync(async (req, res) => {
-    const { id } = req.params;
-    const userId = req.user.id;
-
-    const timeEntry = await TimeEntry.findOne({
-      where: { id, userId },
-      include: [
-        {
-          model: Organization,
-          as: "organization",
-          attributes: ["id", "name", "address", "workLocation"],
-        },
-        {
-          model: Customer,
-          as: "customer",
-          attributes: ["id", "name", "address", "workLocation"],
-        },
-        {
-          model: Process,
-          as: "process",
-          attributes: ["id", "name", "description"],
-        },
-        {
-          model: Activity,
-          as: "activity",
-          attributes: ["id", "name", "description"],
-        },
-      ],
-    });
+    const timeEntry = await findRunningTimer(req);
 
-    if (!timeEntry) {
-      return res.status(404).json({
+    if (timeEntry.isPaused()) {
+      return res.status(409).json({
         success: false,
-        message: "Timesheet entry not found",
+        message: "Timer is already paused",
       });
     }
 
+    await changeRunningTimer(req, timeEntry, (transaction) =>
+      timeEntry.addBreak(req.body.reason, { transaction })
+    );
+
+    logger.info("Timer paused", {
+      userId: req.user.id,
+      timeEntryId: timeEntry.id,
+    });
+
     res.json({
       success: true,
-      data: { timeEntry },
+      message: "Timer paused",
+      data: timerState(timeEntry),
     });
   })
 );
 
 /**
- * @route   PUT /api/timesheets/entries/:id
- * @desc    Update a timesheet entry
+ * @route   POST /api/timesheets/timer/resume
+ * @desc    Resume a paused timer by closing the open break
  * @access  Private
  */
-router.put(
-  "/entries/:id",
+router.post(
+  "/timer/resume",
+  validate(schemas.resumeTimer),
   catchAsync(async (req, res) => {
-    const { id } = req.params;
-    const {
-      taskName,
-      description,
-      date,
-      startTime,
-      endTime,
-      notes,
-      workLocationtype,
-      workLocationAddress,
-    } = req.body;
-    const userId = req.user.id;
-
-    // Find the time entry
-    const timeEntry = await TimeEntry.findOne({
-      where: { id, userId },
-    });
+    const timeEntry = await findRunningTimer(req);
 
-    if (!timeEntry) {
-      return res.status(404).json({
+    if (!timeEntry.isPaused()) {
+      return res.status(409).json({
         success: false,
-        message:
-          "Timesheet entry not found or you don't have permission to update it",
+        message: "Timer is not paused",
       });
     }
 
-    const updates = {};
-
-    // Basic field updates
-    if (taskName) updates.taskName = taskName;
-    if (description !== undefined) updates.description = description;
-    if (notes !== undefined) updates.notes = notes;
-    if (workLocationtype) updates.workPlaceType = workLocationtype;
-    if (workLocationAddress !== undefined)
-      updates.workPlaceAddress = workLocationAddress;
-
-    // Handle date and time updates
-    if (date && startTime && endTime) {
-      const entryDate = new Date(date);
-      const startDateTime = new Date(`${date}T${startTime}`);
-      const endDateTime = new Date(`${date}T${endTime}`);
-
-      // Validate times
-      if (endDateTime <= startDateTime) {
-        return res.status(400).json({
-          success: false,
-          message: "End time must be after start time",
-        });
-      }
-
-      // Calculate duration in minutes
-      const durationMs = endDateTime - startDateTime;
-      const duration = Math.round(durationMs / (1000 * 60));
-
-      updates.date = entryDate;
-      updates.startTime = startDateTime;
-      updates.endTime = endDateTime;
-      updates.duration = duration;
-    }
-
-    // Update the time entry
-    await timeEntry.update(updates);
+    await changeRunningTimer(req, timeEntry, (transaction) =>
+      timeEntry.endBreak({ transaction })
+    );
 
-    // Fetch updated entry with associations
-    const updatedEntry = await TimeEntry.findByPk(timeEntry.id, {
-      include: [
-        {
-          model: Organization,
-          as: "organization",
-          attributes: ["id", "name", "address", "workLocation"],
-        },
-        {
-          model: Customer,
-          as: "customer",
-          attributes: ["id", "name", "address", "workLocation"],
-        },
-        {
-          model: Process,
-          as: "process",
-          attributes: ["id", "name", "description"],
-        },
-        {
-          model: Activity,
-          as: "activity",
-          attributes: ["id", "name", "description"],
-        },
-      ],
+    logger.info("Timer resumed", {
+      userId: req.user.id,
+      timeEntryId: timeEntry.id,
     });
 
-    logger.info(`Timesheet entry ${id} updated by user ${userId}`);
-
     res.json({
       success: true,
-      message: "Timesheet entry updated successfully",
-      data: { timeEntry: updatedEntry },
+      message: "Timer resumed",
+      data: timerState(timeEntry),
     });
   })
 );
 
 /**
- * @route   DELETE /api/timesheets/entries/:id
- * @desc    Delete a timesheet entry
+ * @route   POST /api/timesheets/timer/stop
+ * @desc    Stop the running timer and store the net duration
  * @access  Private
  */
-router.delete(
-  "/entries/:id",
+router.post(
+  "/timer/stop",
+  validate(schemas.stopTimer),
   catchAsync(async (req, res) => {
-    const { id } = req.params;
+    const { description, notes, onOverlap } = req.body;
     const userId = req.user.id;
 
-    // Find the time entry
-    const timeEntry = await TimeEntry.findOne({
-      where: { id, userId },
-    });
+    const timeEntry = await findRunningTimer(req);
 
-    if (!timeEntry) {
-      return res.status(404).json({
-        success: false,
-        message:
-          "Timesheet entry not found or you don't have permission to delete it",
-      });
-    }
+    if (notes !== undefined) timeEntry.notes = notes;
+
+    const organization = await Organization.findByPk(timeEntry.organizationId);
+
+    // The finished entry has to pass the same checks as a manual one
+    const overlap = await changeRunningTimer(
+      req,
+      timeEntry,
+      async (transaction) => {
+        const endTime = new Date();
+        const overlap = await resolveOverlaps({
+          req,
+          body: req.body,
+          userId,
+          organization,
+          start: timeEntry.startTime,
+          end: endTime,
+          excludeId: timeEntry.id,
+          trim: onOverlap === "trim",
+          transaction,
+        });
+
+        await timeEntry.complete(description, {
+          organization,
+          endTime,
+          transaction,
+        });
+
+        return overlap;
+      }
+    );
+
+    // A missing break is only reported, whatever the break policy
+    const warnings = collectWarnings(
+      overlap.warnings,
+      breakPolicyWarnings(
+        organization,
+        timeEntry.getMissingBreakMinutes(organization)
+      )
+    );
 
-    // Delete the time entry
-    await timeEntry.destroy();
+    const completedEntry = await TimeEntry.findByPk(timeEntry.id, {
+      include: entryDetailsInclude,
+    });
 
-    logger.info(`Timesheet entry ${id} deleted by user ${userId}`);
+    logger.info("Timer stopped", {
+      userId,
+      timeEntryId: timeEntry.id,
+      duration: timeEntry.duration,
+    });
 
     res.json({
       success: true,
-      message: "Timesheet entry deleted successfully",
+      message: "Timer stopped",
+      data: {
+        timeEntry: completedEntry,
+        warnings,
+        adjustedEntries: overlap.adjustedEntries,
+      },
     });
   })
 );
@@ -507,7 +2033,7 @@ router.get(
     }
 
     // Get organization work location if organizationId is provided
-    if (organizationId) {
+    if (organizationId && (await getOrgRole(req.user, organizationId))) {
       const organization = await Organization.findByPk(organizationId);
       if (organization && (organization.address || organization.workLocation)) {
         workLocations.push({
@@ -522,7 +2048,11 @@ router.get(
     // Get customer work location if customerId is provided
     if (customerId) {
       const customer = await Customer.findByPk(customerId);
-      if (customer && (customer.address || customer.workLocation)) {
+      if (
+        customer &&
+        (await getOrgRole(req.user, customer.organizationId)) &&
+        (customer.address || customer.workLocation)
+      ) {
         workLocations.push({
           type: "customer",
           address: customer.address || customer.workLocation,
@@ -539,4 +2069,360 @@ router.get(
   })
 );
 
+/**
+ * @route   POST /api/timesheets/entries/confirm
+ * @desc    Confirm draft entries generated from recurring templates. Drafts
+ *          in a submitted week or a locked period are skipped.
+ * @access  Private
+ */
+router.post(
+  "/entries/confirm",
+  validate(schemas.confirmDraftEntries),
+  catchAsync(async (req, res) => {
+    const userId = req.user.id;
+    const skipped = [];
+
+    const confirmed = await sequelize.transaction(async (transaction) => {
+      const drafts = await TimeEntry.findAll({
+        where: {
+          id: { [Op.in]: req.body.ids },
+          userId,
+          isDraft: true,
+        },
+        transaction,
+      });
+
+      let count = 0;
+      for (const timeEntry of drafts) {
+        try {
+          await sequelize.transaction({ transaction }, async (savepoint) => {
+            // Confirming changes the timesheet just like editing the entry
+            await ensureDateEditable(userId, timeEntry.date, savepoint);
+
+            const lockedPeriods = await checkAccountingLocks(
+              req,
+              req.body,
+              timeEntry.organizationId,
+              [timeEntry.date],
+              savepoint
+            );
+
+            await timeEntry.update(
+              { isDraft: false },
+              { transaction: savepoint }
+            );
+
+            await recordLockOverrides(
+              req,
+              lockedPeriods,
+              "update",
+              timeEntry,
+              req.body.lockOverrideReason,
+              savepoint
+            );
+          });
+          count++;
+        } catch (error) {
+          if (!(error instanceof AppError)) throw error;
+          skipped.push({ id: timeEntry.id, reason: error.message });
+        }
+      }
+
+      return count;
+    });
+
+    res.json({
+      success: true,
+      message: `${confirmed} draft entries confirmed`,
+      data: { confirmed, skipped },
+    });
+  })
+);
+
+const templateInclude = [
+  {
+    model: Organization,
+    as: "organization",
+    attributes: ["id", "name"],
+  },
+  {
+    model: Customer,
+    as: "customer",
+    attributes: ["id", "name"],
+  },
+  {
+    model: Project,
+    as: "workProject",
+    attributes: ["id", "name"],
+  },
+  {
+    model: Process,
+    as: "process",
+    attributes: ["id", "name"],
+  },
+  {
+    model: Activity,
+    as: "activity",
+    attributes: ["id", "name"],
+  },
+];
+
+/**
+ * Load one of the current user's templates, a 404 when it does not exist
+ */
+const findOwnTemplate = async (req) => {
+  const template = await EntryTemplate.findOne({
+    where: { id: req.params.id, userId: req.user.id },
+  });
+
+  if (!template) {
+    throw new AppError("Template not found", 404);
+  }
+
+  return template;
+};
+
+// Template fields as the entry helpers name them, see toEntryData()
+const templateAttributes = (body) => {
+  const { workLocationAddress, ...attributes } = body;
+  if (workLocationAddress !== undefined) {
+    attributes.workPlaceAddress = workLocationAddress;
+  }
+  return attributes;
+};
+
+/**
+ * @route   GET /api/timesheets/templates
+ * @desc    List the current user's entry templates
+ * @access  Private
+ */
+router.get(
+  "/templates",
+  catchAsync(async (req, res) => {
+    const templates = await EntryTemplate.findAll({
+      where: { userId: req.user.id },
+      include: templateInclude,
+      order: [["name", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { templates },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/timesheets/templates
+ * @desc    Save an entry template, optionally with a recurrence
+ * @access  Private
+ */
+router.post(
+  "/templates",
+  validate(schemas.createEntryTemplate),
+  catchAsync(async (req, res) => {
+    await loadEntryReferences(req, req.body);
+
+    const template = await EntryTemplate.create({
+      ...templateAttributes(req.body),
+      userId: req.user.id,
+    });
+
+    logger.info(`Entry template ${template.id} created`, {
+      userId: req.user.id,
+      recurring: template.isRecurring(),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Template created successfully",
+      data: { template },
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/timesheets/templates/:id
+ * @desc    Update an entry template
+ * @access  Private
+ */
+router.put(
+  "/templates/:id",
+  validate(schemas.uuidParam, "params"),
+  validate(schemas.updateEntryTemplate),
+  catchAsync(async (req, res) => {
+    const template = await findOwnTemplate(req);
+
+    await loadEntryReferences(req, {
+      ...template.toEntryData(),
+      ...req.body,
+    });
+
+    await template.update(templateAttributes(req.body));
+
+    res.json({
+      success: true,
+      message: "Template updated successfully",
+      data: { template },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/timesheets/templates/:id
+ * @desc    Delete an entry template (entries made from it are kept)
+ * @access  Private
+ */
+router.delete(
+  "/templates/:id",
+  validate(schemas.uuidParam, "params"),
+  catchAsync(async (req, res) => {
+    const template = await findOwnTemplate(req);
+
+    await template.destroy();
+
+    res.json({
+      success: true,
+      message: "Template deleted successfully",
+    });
+  })
+);
+
+/**
+ * @route   POST /api/timesheets/templates/:id/entries
+ * @desc    Create an entry from a template; the body overrides its fields
+ * @access  Private
+ */
+router.post(
+  "/templates/:id/entries",
+  validate(schemas.uuidParam, "params"),
+  validate(schemas.entryFromTemplate),
+  catchAsync(async (req, res) => {
+    const template = await findOwnTemplate(req);
+
+    const { timeEntry, warnings, adjustedEntries } =
+      await sequelize.transaction((transaction) =>
+        createEntry(
+          req,
+          { ...template.toEntryData(), ...req.body },
+          transaction,
+          { templateId: template.id }
+        )
+      );
+
+    const completeTimeEntry = await TimeEntry.findByPk(timeEntry.id, {
+      include: entryDetailsInclude,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Timesheet entry created successfully",
+      data: { timeEntry: completeTimeEntry, warnings, adjustedEntries },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/timesheets/templates/generate
+ * @desc    Generate draft entries from the user's recurring templates for a
+ *          date range, skipping holidays and times that are already taken
+ * @access  Private
+ */
+router.post(
+  "/templates/generate",
+  validate(schemas.generateTemplateEntries),
+  catchAsync(async (req, res) => {
+    const { from, to, templateIds } = req.body;
+    const userId = req.user.id;
+
+    const where = { userId };
+    if (templateIds) where.id = { [Op.in]: templateIds };
+
+    const templates = (
+      await EntryTemplate.findAll({
+        where,
+        include: [
+          {
+            model: Organization,
+            as: "organization",
+            attributes: ["id", "timezone"],
+          },
+        ],
+      })
+    ).filter((template) => template.isRecurring());
+
+    const dates = dayRange(from, to);
+
+    const holidays = await Holiday.findKeysBetween(
+      [...new Set(templates.map((template) => template.organizationId))],
+      dates[0],
+      dates[dates.length - 1]
+    );
+
+    const created = [];
+    const skipped = [];
+
+    await sequelize.transaction(async (transaction) => {
+      for (const date of dates) {
+        for (const template of templates) {
+          if (!template.recursOn(date)) continue;
+
+          const skip = (reason) =>
+            skipped.push({ templateId: template.id, date, reason });
+
+          if (holidays.has(`${template.organizationId}:${date}`)) {
+            skip("Holiday");
+            continue;
+          }
+
+          // Unlike manual entries, generated ones never overlap anything,
+          // whatever the organization's overlap policy
+          const timeZone = resolveTimeZone(req.user, template.organization);
+          const { start, end } = entryInterval(timeZone, {
+            ...template.toEntryData(),
+            date,
+          });
+          const overlaps = await TimeEntry.findOverlapping(userId, start, end, {
+            transaction,
+          });
+          if (overlaps.length > 0) {
+            skip("Overlaps an existing entry");
+            continue;
+          }
+
+          try {
+            const result = await sequelize.transaction(
+              { transaction },
+              (savepoint) =>
+                createEntry(
+                  req,
+                  { ...template.toEntryData(), date },
+                  savepoint,
+                  { isDraft: true, templateId: template.id }
+                )
+            );
+            created.push(result.timeEntry);
+          } catch (error) {
+            if (!(error instanceof AppError)) throw error;
+            skip(error.message);
+          }
+        }
+      }
+    });
+
+    logger.info(`Generated ${created.length} draft entries from templates`, {
+      userId,
+      from,
+      to,
+      skipped: skipped.length,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} draft entries generated`,
+      data: { timeEntries: created, skipped },
+    });
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,237 @@
+// routes/twoFactor.js - TOTP two-factor enrollment for the current user
+const express = require("express");
+const QRCode = require("qrcode");
+const { Session, sequelize } = require("../models");
+const { authenticateWith } = require("../middleware/auth");
+const { requireUser } = require("../middleware/rbac");
+const { validate, schemas } = require("../middleware/validation");
+const { catchAsync } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+const totp = require("../utils/totp");
+
+const router = express.Router();
+
+// Users whose role requires 2FA must be able to enroll from here
+router.use(authenticateWith({ allowPendingTwoFactor: true }));
+router.use(requireUser);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status for the current user
+ * @access  Private
+ */
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        enabled: req.user.twoFactorEnabled,
+        enabledAt: req.user.twoFactorEnabledAt,
+        required: await req.user.isTwoFactorRequired(),
+        recoveryCodesRemaining: (req.user.twoFactorRecoveryCodes || []).length,
+      },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrollment: generate a secret and otpauth URI / QR code
+ * @access  Private
+ */
+router.post(
+  "/setup",
+  catchAsync(async (req, res) => {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUri = totp.buildOtpauthUri({
+      secret,
+      accountName: req.user.email,
+    });
+
+    // Stored as pending until the user proves the app is set up
+    await req.user.update({
+      twoFactorSecret: totp.encryptSecret(secret),
+      twoFactorLastUsedStep: null,
+    });
+
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    logger.info("Two-factor enrollment started", {
+      userId: req.user.id,
+      email: req.user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Scan the QR code, then confirm with a code from the app",
+      data: { secret, otpauthUri, qrCode },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive recovery codes
+ * @access  Private
+ */
+router.post(
+  "/enable",
+  validate(schemas.twoFactorCode),
+  catchAsync(async (req, res) => {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!req.user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup before enabling it",
+      });
+    }
+
+    const isCodeValid = await req.user.verifyTwoFactorCode(req.body.code);
+    if (!isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+
+    await req.user.update({
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorRecoveryCodes: hashes,
+    });
+
+    logger.info("Two-factor authentication enabled", {
+      userId: req.user.id,
+      email: req.user.email,
+    });
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store the recovery codes somewhere safe.",
+      data: { recoveryCodes: codes },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes (requires a current code)
+ * @access  Private
+ */
+router.post(
+  "/recovery-codes",
+  validate(schemas.twoFactorCode),
+  catchAsync(async (req, res) => {
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const isCodeValid = await req.user.verifyTwoFactorCode(req.body.code);
+    if (!isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    await req.user.update({ twoFactorRecoveryCodes: hashes });
+
+    logger.info("Two-factor recovery codes regenerated", {
+      userId: req.user.id,
+      email: req.user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated. Previous codes no longer work.",
+      data: { recoveryCodes: codes },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post(
+  "/disable",
+  validate(schemas.disableTwoFactor),
+  catchAsync(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await req.user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for your role",
+      });
+    }
+
+    const isPasswordValid = await req.user.comparePassword(password);
+    const isCodeValid =
+      isPasswordValid &&
+      (code
+        ? await req.user.verifyTwoFactorCode(code)
+        : await req.user.useRecoveryCode(recoveryCode));
+
+    if (!isCodeValid) {
+      logger.warn("Two-factor disable rejected", {
+        userId: req.user.id,
+        ip: req.ip,
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: "Invalid password or authentication code",
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await req.user.resetTwoFactor({ transaction });
+      await Session.revokeAllForUser(req.user.id, "two_factor_disabled", {
+        exceptSessionId: req.authSession.id,
+        transaction,
+      });
+    });
+
+    logger.info("Two-factor authentication disabled", {
+      userId: req.user.id,
+      email: req.user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  })
+);
+
+module.exports = router;
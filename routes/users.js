@@ -1,8 +1,12 @@
 // routes/users.js
 const express = require("express");
-const { User } = require("../models");
+const { User, Session, ApiToken, sequelize } = require("../models");
 const { authenticate } = require("../middleware/auth");
-const { requireUser, requireAdmin } = require("../middleware/rbac");
+const {
+  requireUser,
+  requirePermission,
+  PERMISSIONS,
+} = require("../middleware/rbac");
 const { validate, schemas } = require("../middleware/validation");
 const { catchAsync } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
@@ -42,7 +46,7 @@ router.put(
   requireUser,
   validate(schemas.updateUser),
   catchAsync(async (req, res) => {
-    const allowedFields = ["name"];
+    const allowedFields = ["name", "timezone"];
     const updates = {};
 
     allowedFields.forEach((field) => {
@@ -73,4 +77,235 @@ router.put(
   })
 );
 
+/**
+ * @route   GET /api/users/me/reports
+ * @desc    List the current manager's direct reports
+ * @access  Private (team:read)
+ */
+router.get(
+  "/me/reports",
+  requirePermission(PERMISSIONS.TEAM_READ),
+  catchAsync(async (req, res) => {
+    const reports = await User.findAll({
+      where: { managerId: req.user.id },
+      attributes: ["id", "name", "email", "role", "isActive", "lastLogin"],
+      order: [["name", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { reports },
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/users/me/password
+ * @desc    Change current user's password
+ * @access  Private
+ */
+router.put(
+  "/me/password",
+  requireUser,
+  validate(schemas.changePassword),
+  catchAsync(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const isPasswordValid = await req.user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      logger.warn("Password change rejected: wrong current password", {
+        userId: req.user.id,
+        ip: req.ip,
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    const tokens = await sequelize.transaction(async (transaction) => {
+      req.user.password = newPassword;
+      await req.user.save({ transaction });
+
+      // Every token issued before the change is now rejected anyway, so end
+      // all sessions and hand this client a fresh one
+      await Session.revokeAllForUser(req.user.id, "password_changed", {
+        transaction,
+      });
+
+      const { tokens: newTokens } = await Session.start(
+        req.user,
+        { ipAddress: req.ip, userAgent: req.get("User-Agent") },
+        { transaction }
+      );
+
+      return newTokens;
+    });
+
+    logger.info("Password changed", {
+      userId: req.user.id,
+      email: req.user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      data: { tokens },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/users/me/tokens
+ * @desc    List current user's API tokens
+ * @access  Private
+ */
+router.get(
+  "/me/tokens",
+  requireUser,
+  catchAsync(async (req, res) => {
+    const apiTokens = await ApiToken.findAll({
+      where: { userId: req.user.id },
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      data: { apiTokens },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/users/me/tokens
+ * @desc    Create a personal API token (the value is only returned once)
+ * @access  Private
+ */
+router.post(
+  "/me/tokens",
+  requireUser,
+  validate(schemas.createApiToken),
+  catchAsync(async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { apiToken, token } = await ApiToken.issue(req.user.id, {
+      name,
+      scopes,
+      expiresAt,
+      createdBy: req.user.id,
+    });
+
+    logger.info("API token created", {
+      userId: req.user.id,
+      apiTokenId: apiToken.id,
+      scopes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API token created. Copy it now, it will not be shown again.",
+      data: { apiToken, token },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/users/me/tokens/:tokenId
+ * @desc    Revoke one of the current user's API tokens
+ * @access  Private
+ */
+router.delete(
+  "/me/tokens/:tokenId",
+  requireUser,
+  validate(schemas.tokenIdParam, "params"),
+  catchAsync(async (req, res) => {
+    const apiToken = await ApiToken.findOne({
+      where: { id: req.params.tokenId, userId: req.user.id },
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: "API token not found",
+      });
+    }
+
+    if (!apiToken.revokedAt) {
+      await apiToken.update({ revokedAt: new Date() });
+    }
+
+    logger.info("API token revoked", {
+      userId: req.user.id,
+      apiTokenId: apiToken.id,
+    });
+
+    res.json({
+      success: true,
+      message: "API token revoked successfully",
+    });
+  })
+);
+
+/**
+ * @route   GET /api/users/me/sessions
+ * @desc    List the current user's active sessions (devices)
+ * @access  Private
+ */
+router.get(
+  "/me/sessions",
+  requireUser,
+  catchAsync(async (req, res) => {
+    const sessions = await Session.findActiveForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session.toJSON(),
+          current: session.id === req.authSession.id,
+        })),
+      },
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/users/me/sessions/:sessionId
+ * @desc    Sign out one of the current user's sessions
+ * @access  Private
+ */
+router.delete(
+  "/me/sessions/:sessionId",
+  requireUser,
+  validate(schemas.sessionIdParam, "params"),
+  catchAsync(async (req, res) => {
+    const session = await Session.findOne({
+      where: { id: req.params.sessionId, userId: req.user.id },
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await sequelize.transaction((transaction) =>
+      session.revoke("user_revoked", { transaction })
+    );
+
+    logger.info("Session revoked by user", {
+      userId: req.user.id,
+      sessionId: session.id,
+      current: session.id === req.authSession.id,
+    });
+
+    res.json({
+      success: true,
+      message: "Session signed out successfully",
+    });
+  })
+);
+
 module.exports = router;
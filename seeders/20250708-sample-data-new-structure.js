@@ -2,11 +2,27 @@
 
 const { v4: uuidv4 } = require("uuid");
 const bcrypt = require("bcryptjs");
+const { DEFAULT_ROLES } = require("../utils/permissions");
 
 module.exports = {
   async up(queryInterface, Sequelize) {
+    // Built-in roles (normally created on server start) are referenced by users
+    await queryInterface.bulkInsert(
+      "roles",
+      Object.entries(DEFAULT_ROLES).map(([name, role]) => ({
+        name,
+        description: role.description,
+        permissions: JSON.stringify(role.permissions),
+        is_system: true,
+        created_at: new Date(),
+        updated_at: new Date(),
+      })),
+      { ignoreDuplicates: true }
+    );
+
     // Create users first
     const hashedPassword = await bcrypt.hash("TNmouheb1&?", 10);
+    const managerId = uuidv4();
 
     const users = [
       {
@@ -16,6 +32,7 @@ module.exports = {
         password: hashedPassword,
         role: "admin",
         is_active: true,
+        email_verified_at: new Date(),
         created_at: new Date(),
         updated_at: new Date(),
       },
@@ -25,7 +42,20 @@ module.exports = {
         email: "user@example.com",
         password: hashedPassword,
         role: "user",
+        manager_id: managerId,
+        is_active: true,
+        email_verified_at: new Date(),
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+      {
+        id: managerId,
+        name: "Team Manager",
+        email: "manager@example.com",
+        password: hashedPassword,
+        role: "manager",
         is_active: true,
+        email_verified_at: new Date(),
         created_at: new Date(),
         updated_at: new Date(),
       },
@@ -61,6 +91,7 @@ module.exports = {
         id: uuidv4(),
         user_id: users[0].id,
         organization_id: organizations[0].id,
+        role: "owner",
         created_at: new Date(),
         updated_at: new Date(),
       },
@@ -68,6 +99,7 @@ module.exports = {
         id: uuidv4(),
         user_id: users[1].id,
         organization_id: organizations[0].id,
+        role: "member",
         created_at: new Date(),
         updated_at: new Date(),
       },
@@ -75,6 +107,7 @@ module.exports = {
         id: uuidv4(),
         user_id: users[0].id,
         organization_id: organizations[1].id,
+        role: "owner",
         created_at: new Date(),
         updated_at: new Date(),
       },
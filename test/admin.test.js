@@ -0,0 +1,107 @@
+// test/admin.test.js - Who may give which role to an account
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const request = require("supertest");
+const {
+  PASSWORD,
+  setupDatabase,
+  teardownDatabase,
+  createUser,
+  authHeader,
+} = require("./helpers");
+
+describe("role assignment", () => {
+  let app;
+  let models;
+  let manager;
+  let auth;
+
+  before(async () => {
+    app = await setupDatabase();
+    models = require("../models");
+
+    // May manage accounts, but not roles
+    await models.Role.create({
+      name: "user-manager",
+      permissions: ["users:read", "users:manage"],
+    });
+  });
+
+  after(teardownDatabase);
+
+  beforeEach(async () => {
+    manager = await createUser({ role: "user-manager" });
+    auth = await authHeader(manager);
+  });
+
+  const createAccount = (role, authorization = auth) =>
+    request(app)
+      .post("/api/admin/users")
+      .set("Authorization", authorization)
+      .send({
+        name: "New User",
+        email: `new-${crypto.randomUUID()}@example.com`,
+        password: PASSWORD,
+        role,
+      });
+
+  const changeRole = (userId, role, authorization = auth) =>
+    request(app)
+      .put(`/api/admin/users/${userId}`)
+      .set("Authorization", authorization)
+      .send({ role });
+
+  it("rejects changes to the caller's own role", async () => {
+    const res = await changeRole(manager.id, "admin");
+
+    assert.equal(res.status, 403);
+    await manager.reload();
+    assert.equal(manager.role, "user-manager");
+  });
+
+  it("only assigns roles that grant nothing the caller lacks", async () => {
+    const user = await createUser();
+
+    assert.equal((await changeRole(user.id, "admin")).status, 403);
+    assert.equal((await createAccount("admin")).status, 403);
+    assert.equal((await createAccount("manager")).status, 403);
+
+    const organization = await models.Organization.create({
+      name: `Organization ${crypto.randomUUID()}`,
+    });
+    const res = await request(app)
+      .post("/api/invitations")
+      .set("Authorization", auth)
+      .send({
+        email: `invited-${crypto.randomUUID()}@example.com`,
+        role: "admin",
+        organizationIds: [organization.id],
+      });
+    assert.equal(res.status, 403);
+
+    assert.equal((await changeRole(user.id, "user-manager")).status, 200);
+    assert.equal((await createAccount("user")).status, 201);
+  });
+
+  it("does not let the caller take away a role they could not give", async () => {
+    const admin = await createUser({ role: "admin" });
+
+    const res = await changeRole(admin.id, "user");
+
+    assert.equal(res.status, 403);
+    await admin.reload();
+    assert.equal(admin.role, "admin");
+  });
+
+  it("lets holders of roles:manage assign any role", async () => {
+    const admin = await createUser({ role: "admin" });
+    const user = await createUser();
+
+    const res = await changeRole(user.id, "admin", await authHeader(admin));
+
+    assert.equal(res.status, 200);
+    await user.reload();
+    assert.equal(user.role, "admin");
+  });
+});
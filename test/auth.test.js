@@ -0,0 +1,197 @@
+// test/auth.test.js - Registration, login lockout, two-factor login and
+// session handling
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  PASSWORD,
+  setupDatabase,
+  teardownDatabase,
+  createUser,
+  authHeader,
+} = require("./helpers");
+const totp = require("../utils/totp");
+const config = require("../config");
+
+describe("auth", () => {
+  let app;
+  let models;
+
+  before(async () => {
+    app = await setupDatabase();
+    models = require("../models");
+  });
+
+  after(teardownDatabase);
+
+  const login = (email, password = PASSWORD) =>
+    request(app).post("/api/auth/login").send({ email, password });
+
+  describe("register", () => {
+    it("always assigns the default role", async () => {
+      const res = await request(app).post("/api/auth/register").send({
+        name: "New User",
+        email: "new-user@example.com",
+        password: PASSWORD,
+        role: "admin",
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.user.role, "user");
+    });
+  });
+
+  describe("email verification", () => {
+    before(() =>
+      models.Setting.setValue(
+        models.Setting.KEYS.EMAIL_VERIFICATION_REQUIRED,
+        true
+      )
+    );
+
+    after(() =>
+      models.Setting.setValue(
+        models.Setting.KEYS.EMAIL_VERIFICATION_REQUIRED,
+        false
+      )
+    );
+
+    it("is only required from self-registered accounts", async () => {
+      const registered = await request(app).post("/api/auth/register").send({
+        name: "Self Registered",
+        email: "self-registered@example.com",
+        password: PASSWORD,
+      });
+      const blocked = await request(app)
+        .get("/api/users/me")
+        .set(
+          "Authorization",
+          `Bearer ${registered.body.data.tokens.accessToken}`
+        );
+      assert.equal(blocked.status, 403);
+      assert.equal(blocked.body.emailVerificationRequired, true);
+
+      const existing = await createUser();
+      const res = await request(app)
+        .get("/api/users/me")
+        .set("Authorization", await authHeader(existing));
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe("login", () => {
+    it("returns tokens for valid credentials", async () => {
+      const user = await createUser();
+
+      const res = await login(user.email);
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.tokens.accessToken);
+      assert.ok(res.body.data.tokens.refreshToken);
+    });
+
+    it("locks the account after too many wrong passwords", async () => {
+      const user = await createUser();
+
+      for (let i = 0; i < config.security.maxLoginAttempts; i++) {
+        const res = await login(user.email, "Wrong-password1!");
+        assert.equal(res.status, 401);
+      }
+
+      const res = await login(user.email);
+      assert.equal(res.status, 423);
+    });
+  });
+
+  describe("two-factor login", () => {
+    const enableTwoFactor = async (user) => {
+      const secret = totp.generateSecret();
+      await user.update({
+        twoFactorEnabled: true,
+        twoFactorSecret: totp.encryptSecret(secret),
+        twoFactorEnabledAt: new Date(),
+      });
+      return secret;
+    };
+
+    const secondStep = (twoFactorToken, code) =>
+      request(app).post("/api/auth/login/2fa").send({ twoFactorToken, code });
+
+    it("issues tokens only after a valid code", async () => {
+      const user = await createUser();
+      const secret = await enableTwoFactor(user);
+
+      const first = await login(user.email);
+      assert.equal(first.status, 200);
+      assert.equal(first.body.data.requiresTwoFactor, true);
+      assert.equal(first.body.data.tokens, undefined);
+
+      const res = await secondStep(
+        first.body.data.twoFactorToken,
+        totp.generateTotp(secret)
+      );
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.tokens.accessToken);
+    });
+
+    it("counts wrong codes towards the lockout", async () => {
+      const user = await createUser();
+      await enableTwoFactor(user);
+
+      // A wrong password first, then only correct passwords with wrong codes
+      await login(user.email, "Wrong-password1!");
+      let twoFactorToken;
+      for (let i = 1; i < config.security.maxLoginAttempts; i++) {
+        const first = await login(user.email);
+        assert.equal(first.status, 200);
+        twoFactorToken = first.body.data.twoFactorToken;
+
+        const res = await secondStep(twoFactorToken, "000000");
+        assert.equal(res.status, 401);
+      }
+
+      await user.reload();
+      assert.equal(user.loginAttempts, config.security.maxLoginAttempts);
+      assert.equal(user.isLocked(), true);
+      assert.equal((await login(user.email)).status, 423);
+    });
+  });
+
+  describe("sessions", () => {
+    it("rotates refresh tokens and revokes the session on reuse", async () => {
+      const user = await createUser();
+      const { refreshToken } = (await login(user.email)).body.data.tokens;
+
+      const rotated = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken });
+      assert.equal(rotated.status, 200);
+
+      const replayed = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken });
+      assert.equal(replayed.status, 401);
+
+      // The replay ended the session, so the rotated token is dead as well
+      const res = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: rotated.body.data.tokens.refreshToken });
+      assert.equal(res.status, 401);
+    });
+
+    it("rejects the access token after logout", async () => {
+      const user = await createUser();
+      const auth = await authHeader(user);
+
+      const logout = await request(app)
+        .post("/api/auth/logout")
+        .set("Authorization", auth);
+      assert.equal(logout.status, 200);
+
+      const res = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", auth);
+      assert.equal(res.status, 401);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+// test/helpers.js - Test database and fixtures. Require before the app or
+// the models so that they connect to this file's own database.
+const crypto = require("crypto");
+const { Client } = require("pg");
+
+process.env.DB_NAME = `time_tracker_test_${process.pid}`;
+
+const adminClient = () =>
+  new Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: "postgres",
+  });
+
+/**
+ * Create the database and its tables (in the order startServer syncs them)
+ * and return the app. Call from a `before` hook.
+ */
+const setupDatabase = async () => {
+  const client = adminClient();
+  await client.connect();
+  await client.query(`CREATE DATABASE "${process.env.DB_NAME}"`);
+  await client.end();
+
+  const { sequelize, Role } = require("../models");
+  await Role.sync();
+  await Role.ensureDefaults();
+  await sequelize.sync();
+
+  return require("../index");
+};
+
+const teardownDatabase = async () => {
+  const { sequelize } = require("../models");
+  await sequelize.close();
+
+  const client = adminClient();
+  await client.connect();
+  await client.query(`DROP DATABASE IF EXISTS "${process.env.DB_NAME}"`);
+  await client.end();
+};
+
+const PASSWORD = "Passw0rd!";
+
+const createUser = (attributes = {}) => {
+  const { User } = require("../models");
+  return User.create({
+    name: "Test User",
+    email: `user-${crypto.randomUUID()}@example.com`,
+    password: PASSWORD,
+    role: "user",
+    ...attributes,
+  });
+};
+
+// Authorization header of a fresh session of the user
+const authHeader = async (user) => {
+  const { Session } = require("../models");
+  const { tokens } = await Session.start(user, {
+    ipAddress: "127.0.0.1",
+    userAgent: "node-test",
+  });
+  return `Bearer ${tokens.accessToken}`;
+};
+
+/**
+ * An organization with the user as owner and a customer, process and
+ * activity to log time against
+ */
+const createWorkspace = async (user, organizationAttributes = {}) => {
+  const {
+    Organization,
+    UserOrganization,
+    Customer,
+    Process,
+    Activity,
+  } = require("../models");
+
+  const organization = await Organization.create({
+    name: `Organization ${crypto.randomUUID()}`,
+    timezone: "UTC",
+    ...organizationAttributes,
+  });
+  await UserOrganization.create({
+    userId: user.id,
+    organizationId: organization.id,
+    role: "owner",
+  });
+  const customer = await Customer.create({
+    name: "Customer",
+    organizationId: organization.id,
+  });
+  const process = await Process.create({ name: "Process" });
+  const activity = await Activity.create({
+    name: "Activity",
+    processId: process.id,
+  });
+
+  return { organization, customer, process, activity };
+};
+
+// Request body for a manual entry in the workspace
+const entryBody = (workspace, attributes = {}) => ({
+  organizationId: workspace.organization.id,
+  customerId: workspace.customer.id,
+  processId: workspace.process.id,
+  activityId: workspace.activity.id,
+  workPlaceType: "organization",
+  taskName: "Work",
+  ...attributes,
+});
+
+module.exports = {
+  PASSWORD,
+  setupDatabase,
+  teardownDatabase,
+  createUser,
+  authHeader,
+  createWorkspace,
+  entryBody,
+};
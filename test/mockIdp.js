@@ -0,0 +1,131 @@
+// test/mockIdp.js - Local OpenID Connect provider for the single sign-on
+// tests. It signs in whoever `claims` describes without asking.
+const crypto = require("crypto");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+
+const CLIENT_ID = "time-tracker-test";
+const KEY_ID = "test-key";
+
+const readForm = async (req) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return new URLSearchParams(body);
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Start the provider on a free port. Set `idp.claims` to the ID token claims
+ * of the next sign-in; `sub` is required.
+ */
+const startMockIdp = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const idp = { clientId: CLIENT_ID, claims: null };
+
+  const routes = {
+    "GET /.well-known/openid-configuration": (req, res) =>
+      sendJson(res, 200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        userinfo_endpoint: `${idp.issuer}/userinfo`,
+        jwks_uri: `${idp.issuer}/jwks`,
+      }),
+
+    "GET /jwks": (req, res) =>
+      sendJson(res, 200, {
+        keys: [
+          { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig" },
+        ],
+      }),
+
+    // Redirect straight back with a code, as after a successful sign-in
+    "GET /authorize": (req, res, url) => {
+      const params = url.searchParams;
+      const code = crypto.randomUUID();
+      codes.set(code, {
+        claims: { ...idp.claims, nonce: params.get("nonce") },
+        codeChallenge: params.get("code_challenge"),
+        redirectUri: params.get("redirect_uri"),
+      });
+
+      const redirect = new URL(params.get("redirect_uri"));
+      redirect.searchParams.set("code", code);
+      redirect.searchParams.set("state", params.get("state"));
+      res.writeHead(302, { Location: redirect.toString() });
+      res.end();
+    },
+
+    "POST /token": async (req, res) => {
+      const form = await readForm(req);
+      const grant = codes.get(form.get("code"));
+      codes.delete(form.get("code"));
+
+      const challenge = crypto
+        .createHash("sha256")
+        .update(form.get("code_verifier") || "")
+        .digest("base64url");
+
+      if (
+        !grant ||
+        form.get("client_id") !== CLIENT_ID ||
+        form.get("redirect_uri") !== grant.redirectUri ||
+        challenge !== grant.codeChallenge
+      ) {
+        return sendJson(res, 400, { error: "invalid_grant" });
+      }
+
+      const accessToken = crypto.randomUUID();
+      accessTokens.set(accessToken, grant.claims);
+
+      sendJson(res, 200, {
+        token_type: "Bearer",
+        access_token: accessToken,
+        expires_in: 300,
+        id_token: jwt.sign(grant.claims, privateKey, {
+          algorithm: "RS256",
+          keyid: KEY_ID,
+          issuer: idp.issuer,
+          audience: CLIENT_ID,
+          expiresIn: 300,
+        }),
+      });
+    },
+
+    "GET /userinfo": (req, res) => {
+      const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+      const claims = accessTokens.get(token);
+      if (!claims) return sendJson(res, 401, { error: "invalid_token" });
+
+      sendJson(res, 200, { sub: claims.sub, email: claims.email });
+    },
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, idp.issuer);
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) return sendJson(res, 404, { error: "not_found" });
+    await route(req, res, url);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  idp.issuer = `http://127.0.0.1:${server.address().port}`;
+  idp.close = () =>
+    new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+
+  return idp;
+};
+
+module.exports = { startMockIdp };
@@ -0,0 +1,134 @@
+// test/oidc.test.js - Single sign-on login, callback and code exchange
+// against the mock identity provider
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const request = require("supertest");
+const { setupDatabase, teardownDatabase, createUser } = require("./helpers");
+const { startMockIdp } = require("./mockIdp");
+
+describe("single sign-on", () => {
+  let app;
+  let idp;
+
+  before(async () => {
+    idp = await startMockIdp();
+
+    // The config reads these when the app is first required
+    process.env.OIDC_ENABLED = "true";
+    process.env.OIDC_ISSUER = idp.issuer;
+    process.env.OIDC_CLIENT_ID = idp.clientId;
+    process.env.OIDC_ROLE_MAPPING = JSON.stringify({ "tt-admins": "admin" });
+
+    app = await setupDatabase();
+  });
+
+  after(async () => {
+    await teardownDatabase();
+    await idp.close();
+  });
+
+  /**
+   * Run the browser's side of a sign-in as the user the claims describe and
+   * return the query of the final redirect to the frontend
+   */
+  const signIn = async (claims) => {
+    idp.claims = claims;
+    const agent = request.agent(app);
+
+    const start = await agent.get("/api/auth/oidc/login");
+    assert.equal(start.status, 302);
+
+    const authorize = await fetch(start.headers.location, {
+      redirect: "manual",
+    });
+    const callbackUrl = new URL(authorize.headers.get("location"));
+
+    const res = await agent.get(`/api/auth/oidc/callback${callbackUrl.search}`);
+    assert.equal(res.status, 302);
+    return new URL(res.headers.location).searchParams;
+  };
+
+  const exchange = (code) =>
+    request(app).post("/api/auth/oidc/exchange").send({ code });
+
+  const newClaims = (attributes = {}) => {
+    const id = crypto.randomUUID();
+    return {
+      sub: `subject-${id}`,
+      email: `sso-${id}@example.com`,
+      email_verified: true,
+      name: "SSO User",
+      ...attributes,
+    };
+  };
+
+  it("provisions a new account and signs it in once", async () => {
+    const claims = newClaims({ groups: ["tt-admins"] });
+
+    const result = await signIn(claims);
+    assert.equal(result.get("error"), null);
+
+    const res = await exchange(result.get("code"));
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.tokens.accessToken);
+    assert.equal(res.body.data.user.email, claims.email);
+    assert.equal(res.body.data.user.role, "admin");
+
+    const replayed = await exchange(result.get("code"));
+    assert.equal(replayed.status, 401);
+  });
+
+  it("links an existing account by its verified email", async () => {
+    const user = await createUser();
+
+    const result = await signIn(newClaims({ email: user.email }));
+    assert.equal((await exchange(result.get("code"))).status, 200);
+
+    await user.reload();
+    assert.equal(user.oidcSubject, idp.claims.sub);
+  });
+
+  it("does not link by an email the provider has not verified", async () => {
+    const user = await createUser();
+    const claims = newClaims({ email: user.email });
+    delete claims.email_verified;
+
+    const result = await signIn(claims);
+    assert.equal(result.get("error"), "email_not_verified");
+    assert.equal(result.get("code"), null);
+
+    await user.reload();
+    assert.equal(user.oidcSubject, null);
+  });
+
+  it("refuses a disabled account without changing it", async () => {
+    const user = await createUser({ isActive: false });
+
+    const result = await signIn(
+      newClaims({ email: user.email, groups: ["tt-admins"] })
+    );
+    assert.equal(result.get("error"), "account_disabled");
+    assert.equal(result.get("code"), null);
+
+    await user.reload();
+    assert.equal(user.oidcSubject, null);
+    assert.equal(user.emailVerifiedAt, null);
+    assert.equal(user.role, "user");
+  });
+
+  it("rejects a callback whose state does not match", async () => {
+    const agent = request.agent(app);
+    await agent.get("/api/auth/oidc/login");
+
+    const res = await agent.get(
+      "/api/auth/oidc/callback?code=anything&state=forged"
+    );
+
+    assert.equal(res.status, 302);
+    assert.equal(
+      new URL(res.headers.location).searchParams.get("error"),
+      "invalid_state"
+    );
+  });
+});
@@ -0,0 +1,109 @@
+// test/organizations.test.js - Calendar days an organization admin sets.
+// Runs west of UTC so that days cannot drift through a local-time Date.
+process.env.TZ = "America/New_York";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  setupDatabase,
+  teardownDatabase,
+  createUser,
+  authHeader,
+  createWorkspace,
+  entryBody,
+} = require("./helpers");
+
+describe("organization calendar", () => {
+  let app;
+  let models;
+  let auth;
+  let workspace;
+
+  before(async () => {
+    app = await setupDatabase();
+    models = require("../models");
+  });
+
+  after(teardownDatabase);
+
+  beforeEach(async () => {
+    const user = await createUser();
+    auth = await authHeader(user);
+    workspace = await createWorkspace(user);
+  });
+
+  const post = (path, body) =>
+    request(app)
+      .post(`/api/organizations/${workspace.organization.id}${path}`)
+      .set("Authorization", auth)
+      .send(body);
+
+  describe("locked periods", () => {
+    it("locks exactly the given days", async () => {
+      const res = await post("/locked-periods", {
+        startDate: "2025-12-01",
+        endDate: "2025-12-25",
+      });
+
+      assert.equal(res.status, 201);
+      const lockedPeriod = await models.LockedPeriod.findByPk(
+        res.body.data.lockedPeriod.id
+      );
+      assert.equal(lockedPeriod.startDate, "2025-12-01");
+      assert.equal(lockedPeriod.endDate, "2025-12-25");
+    });
+
+    it("rejects a period that ends before it starts", async () => {
+      const res = await post("/locked-periods", {
+        startDate: "2025-12-25",
+        endDate: "2025-12-24",
+      });
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe("holidays", () => {
+    it("is stored on the given day", async () => {
+      const res = await post("/holidays", {
+        date: "2025-12-25",
+        name: "Christmas Day",
+      });
+
+      assert.equal(res.status, 201);
+      const holiday = await models.Holiday.findByPk(res.body.data.holiday.id);
+      assert.equal(holiday.date, "2025-12-25");
+    });
+
+    it("is skipped when entries are generated from templates", async () => {
+      await post("/holidays", { date: "2025-12-25", name: "Christmas Day" });
+      const template = await request(app)
+        .post("/api/timesheets/templates")
+        .set("Authorization", auth)
+        .send({
+          ...entryBody(workspace),
+          name: "Weekdays",
+          startTime: "09:00",
+          endTime: "17:00",
+          recurrenceDays: [1, 2, 3, 4, 5],
+        });
+      assert.equal(template.status, 201);
+
+      const res = await request(app)
+        .post("/api/timesheets/templates/generate")
+        .set("Authorization", auth)
+        .send({ from: "2025-12-24", to: "2025-12-26" });
+
+      assert.equal(res.status, 201);
+      assert.deepEqual(
+        res.body.data.timeEntries.map((entry) => entry.date),
+        ["2025-12-24", "2025-12-26"]
+      );
+      assert.deepEqual(
+        res.body.data.skipped.map(({ date, reason }) => ({ date, reason })),
+        [{ date: "2025-12-25", reason: "Holiday" }]
+      );
+    });
+  });
+});
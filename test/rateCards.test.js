@@ -0,0 +1,203 @@
+// test/rateCards.test.js - Rate card resolution and entry earnings
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const request = require("supertest");
+const {
+  setupDatabase,
+  teardownDatabase,
+  createUser,
+  authHeader,
+  createWorkspace,
+  entryBody,
+} = require("./helpers");
+
+describe("rate cards", () => {
+  let app;
+  let models;
+  let user;
+  let auth;
+  let workspace;
+
+  before(async () => {
+    app = await setupDatabase();
+    models = require("../models");
+  });
+
+  after(teardownDatabase);
+
+  beforeEach(async () => {
+    user = await createUser();
+    auth = await authHeader(user);
+    workspace = await createWorkspace(user);
+  });
+
+  const createRateCard = (attributes) =>
+    request(app)
+      .post(`/api/organizations/${workspace.organization.id}/rate-cards`)
+      .set("Authorization", auth)
+      .send(attributes);
+
+  describe("findForEntries", () => {
+    let project;
+
+    beforeEach(async () => {
+      project = await models.Project.create({
+        name: "Project",
+        customerId: workspace.customer.id,
+      });
+    });
+
+    const card = (hourlyRate, attributes = {}) =>
+      models.RateCard.create({
+        organizationId: workspace.organization.id,
+        hourlyRate,
+        effectiveFrom: "2025-01-01",
+        ...attributes,
+      });
+
+    const entry = (attributes = {}) => ({
+      id: crypto.randomUUID(),
+      organizationId: workspace.organization.id,
+      userId: user.id,
+      customerId: workspace.customer.id,
+      activityId: workspace.activity.id,
+      projectId: null,
+      date: "2025-03-03",
+      ...attributes,
+    });
+
+    const resolve = async (entries) => {
+      const matches = await models.RateCard.findForEntries(entries);
+      return entries.map((item) => matches.get(item.id)?.hourlyRate ?? null);
+    };
+
+    it("picks the most specific card that covers the entry", async () => {
+      await card(10);
+      await card(20, { activityId: workspace.activity.id });
+      await card(30, { customerId: workspace.customer.id });
+      await card(40, { projectId: project.id });
+      await card(50, { userId: user.id, projectId: project.id });
+      const otherUser = await createUser();
+
+      const rates = await resolve([
+        entry({ projectId: project.id }),
+        entry({ projectId: project.id, userId: otherUser.id }),
+        entry(),
+        entry({ customerId: crypto.randomUUID() }),
+        entry({
+          customerId: crypto.randomUUID(),
+          activityId: crypto.randomUUID(),
+        }),
+      ]);
+
+      assert.deepEqual(rates, ["50.00", "40.00", "30.00", "20.00", "10.00"]);
+    });
+
+    it("only uses cards in effect on the entry's date", async () => {
+      await card(10, { effectiveTo: "2025-02-28" });
+      await card(12, { effectiveFrom: "2025-03-01" });
+      await card(99, {
+        customerId: workspace.customer.id,
+        effectiveFrom: "2025-04-01",
+      });
+
+      const rates = await resolve([
+        entry({ date: "2024-12-31" }),
+        entry({ date: "2025-02-28" }),
+        entry({ date: "2025-03-01" }),
+        entry({ date: "2025-04-01" }),
+      ]);
+
+      assert.deepEqual(rates, [null, "10.00", "12.00", "99.00"]);
+    });
+
+    it("ignores cards of other organizations", async () => {
+      const other = await createWorkspace(user);
+      await models.RateCard.create({
+        organizationId: other.organization.id,
+        hourlyRate: 10,
+        effectiveFrom: "2025-01-01",
+      });
+
+      assert.deepEqual(await resolve([entry()]), [null]);
+    });
+  });
+
+  describe("earnings", () => {
+    it("bills only billable time and costs all of it", () => {
+      const rateCard = models.RateCard.build({
+        hourlyRate: 90,
+        costRate: 45.5,
+        currency: "EUR",
+      });
+      const timeEntry = (billable) =>
+        models.TimeEntry.build({
+          startTime: new Date("2025-03-03T09:00:00Z"),
+          endTime: new Date("2025-03-03T10:30:00Z"),
+          duration: 90,
+          billable,
+        });
+
+      assert.deepEqual(timeEntry(true).getEarnings(rateCard), {
+        rateCardId: rateCard.id,
+        currency: "EUR",
+        hourlyRate: 90,
+        costRate: 45.5,
+        revenue: 135,
+        cost: 68.25,
+      });
+      assert.equal(timeEntry(false).getEarnings(rateCard).revenue, 0);
+      assert.equal(timeEntry(false).getEarnings(null).revenue, null);
+    });
+  });
+
+  describe("routes", () => {
+    it("ends the current rate when a new one takes effect", async () => {
+      const first = await createRateCard({
+        hourlyRate: 100,
+        effectiveFrom: "2025-01-01",
+      });
+      assert.equal(first.status, 201);
+
+      const second = await createRateCard({
+        hourlyRate: 120,
+        effectiveFrom: "2025-03-01",
+      });
+      assert.equal(second.status, 201);
+      assert.deepEqual(
+        second.body.data.replacedRateCards.map((card) => card.effectiveTo),
+        ["2025-02-28"]
+      );
+
+      const earnings = [];
+      for (const date of ["2025-02-28", "2025-03-03"]) {
+        const created = await request(app)
+          .post("/api/timesheets/entries")
+          .set("Authorization", auth)
+          .send(
+            entryBody(workspace, { date, startTime: "09:00", endTime: "11:00" })
+          );
+        assert.equal(created.status, 201);
+
+        const res = await request(app)
+          .get(`/api/timesheets/entries/${created.body.data.timeEntry.id}`)
+          .set("Authorization", auth);
+        earnings.push(res.body.data.timeEntry.earnings.revenue);
+      }
+
+      assert.deepEqual(earnings, [200, 240]);
+    });
+
+    it("rejects a rate that starts before the latest one", async () => {
+      await createRateCard({ hourlyRate: 100, effectiveFrom: "2025-03-01" });
+
+      const res = await createRateCard({
+        hourlyRate: 90,
+        effectiveFrom: "2025-02-01",
+      });
+
+      assert.equal(res.status, 409);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+// test/run.js - Start a throwaway PostgreSQL server and run the test files
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const EmbeddedPostgres = require("embedded-postgres").default;
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+const findTestFiles = (dir) =>
+  fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) return findTestFiles(file);
+      return entry.name.endsWith(".test.js") ? [file] : [];
+    })
+    .sort();
+
+async function main() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "time-tracker-test-"));
+  // The postgres user has to reach the data directory when run as root
+  fs.chmodSync(tmpDir, 0o755);
+  const port = await freePort();
+  const password = "postgres";
+
+  const postgres = new EmbeddedPostgres({
+    databaseDir: path.join(tmpDir, "data"),
+    user: "postgres",
+    password,
+    port,
+    persistent: false,
+    // Postgres refuses to run as root, e.g. in CI containers
+    createPostgresUser: process.getuid?.() === 0,
+    onLog: () => {},
+  });
+
+  let status = 1;
+  await postgres.initialise();
+  await postgres.start();
+  try {
+    // Each test file creates its own database on this server
+    const files = process.argv.slice(2);
+    const result = spawnSync(
+      process.execPath,
+      [
+        "--test",
+        "--test-concurrency=1",
+        ...(files.length > 0 ? files : findTestFiles(__dirname)),
+      ],
+      {
+        stdio: "inherit",
+        env: {
+          ...process.env,
+          NODE_ENV: "test",
+          DOTENV_CONFIG_QUIET: "true",
+          DB_HOST: "127.0.0.1",
+          DB_PORT: String(port),
+          DB_USER: "postgres",
+          DB_PASSWORD: password,
+          BCRYPT_ROUNDS: "4",
+          MAIL_OUTBOX_DIR: path.join(tmpDir, "mail-outbox"),
+        },
+      }
+    );
+    status = result.status ?? 1;
+  } finally {
+    await postgres.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  process.exit(status);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
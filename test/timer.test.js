@@ -0,0 +1,154 @@
+// test/timer.test.js - Live timer checks on start, pause, resume and stop
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  setupDatabase,
+  teardownDatabase,
+  createUser,
+  authHeader,
+  createWorkspace,
+  entryBody,
+} = require("./helpers");
+
+const HOUR = 60 * 60 * 1000;
+
+// Manual entry input for [start, end) in UTC
+const interval = (start, end) => ({
+  date: start.toISOString().slice(0, 10),
+  startTime: start.toISOString().slice(11, 16),
+  endTime: end.toISOString().slice(11, 16),
+});
+
+describe("timer", () => {
+  let app;
+  let models;
+  let user;
+  let auth;
+  let workspace;
+
+  before(async () => {
+    app = await setupDatabase();
+    models = require("../models");
+  });
+
+  after(teardownDatabase);
+
+  beforeEach(async () => {
+    user = await createUser();
+    auth = await authHeader(user);
+    workspace = await createWorkspace(user);
+  });
+
+  const post = (path, body = {}) =>
+    request(app)
+      .post(`/api/timesheets${path}`)
+      .set("Authorization", auth)
+      .send(body);
+
+  it("does not start over an entry that covers the current time", async () => {
+    const now = Date.now();
+    const entry = await post(
+      "/entries",
+      entryBody(workspace, interval(new Date(now - HOUR), new Date(now + HOUR)))
+    );
+    assert.equal(entry.status, 201);
+
+    const res = await post("/timer/start", entryBody(workspace));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.conflicts[0].id, entry.body.data.timeEntry.id);
+    assert.equal(await models.TimeEntry.count({ where: { endTime: null } }), 0);
+  });
+
+  it("does not stop into an overlap the policy forbids", async () => {
+    await workspace.organization.update({ overlapPolicy: "warn" });
+    const started = await post("/timer/start", entryBody(workspace));
+    assert.equal(started.status, 201);
+
+    // Backdate the timer so that an entry fits between its start and now
+    const timer = await models.TimeEntry.findByPk(
+      started.body.data.timeEntry.id
+    );
+    const now = Date.now();
+    await timer.update({ startTime: new Date(now - 3 * HOUR) });
+    const entry = await post(
+      "/entries",
+      entryBody(
+        workspace,
+        interval(new Date(now - 2 * HOUR), new Date(now - HOUR))
+      )
+    );
+    assert.equal(entry.status, 201);
+    await workspace.organization.update({ overlapPolicy: "forbid" });
+
+    const refused = await post("/timer/stop");
+    assert.equal(refused.status, 409);
+    await timer.reload();
+    assert.equal(timer.endTime, null);
+
+    const trimmed = await post("/timer/stop", { onOverlap: "trim" });
+    assert.equal(trimmed.status, 200);
+    assert.deepEqual(trimmed.body.data.adjustedEntries.removed, [
+      entry.body.data.timeEntry.id,
+    ]);
+  });
+
+  it("does not stop in a week that was submitted meanwhile", async () => {
+    const started = await post("/timer/start", entryBody(workspace));
+    assert.equal(started.status, 201);
+    await models.TimesheetPeriod.create({
+      userId: user.id,
+      weekStart: models.TimesheetPeriod.weekStartFor(
+        started.body.data.timeEntry.date
+      ),
+      status: "submitted",
+    });
+
+    const res = await post("/timer/stop");
+
+    assert.equal(res.status, 409);
+    assert.match(res.body.message, /submitted or approved/);
+  });
+
+  it("does not resume in a week that was submitted", async () => {
+    const started = await post("/timer/start", entryBody(workspace));
+    assert.equal(started.status, 201);
+    assert.equal((await post("/timer/pause")).status, 200);
+    await models.TimesheetPeriod.create({
+      userId: user.id,
+      weekStart: models.TimesheetPeriod.weekStartFor(
+        started.body.data.timeEntry.date
+      ),
+      status: "submitted",
+    });
+
+    const res = await post("/timer/resume");
+
+    assert.equal(res.status, 409);
+    const timer = await models.TimeEntry.findByPk(
+      started.body.data.timeEntry.id
+    );
+    assert.equal(timer.isPaused(), true);
+  });
+
+  it("does not pause in a locked period", async () => {
+    const started = await post("/timer/start", entryBody(workspace));
+    assert.equal(started.status, 201);
+    const { date } = started.body.data.timeEntry;
+    await models.LockedPeriod.create({
+      organizationId: workspace.organization.id,
+      startDate: date,
+      endDate: date,
+    });
+
+    const res = await post("/timer/pause");
+
+    assert.equal(res.status, 409);
+    assert.match(res.body.message, /is locked/);
+    const timer = await models.TimeEntry.findByPk(
+      started.body.data.timeEntry.id
+    );
+    assert.deepEqual(timer.breaks, []);
+  });
+});
@@ -0,0 +1,486 @@
+// test/timesheets.test.js - Entry locks, overlap policy and batch operations
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  setupDatabase,
+  teardownDatabase,
+  createUser,
+  authHeader,
+  createWorkspace,
+  entryBody,
+} = require("./helpers");
+const logger = require("../utils/logger");
+
+describe("timesheet entries", () => {
+  let app;
+  let models;
+  let user;
+  let auth;
+  let workspace;
+
+  before(async () => {
+    app = await setupDatabase();
+    models = require("../models");
+  });
+
+  after(teardownDatabase);
+
+  beforeEach(async () => {
+    user = await createUser();
+    auth = await authHeader(user);
+    workspace = await createWorkspace(user);
+  });
+
+  const createEntry = (attributes) =>
+    request(app)
+      .post("/api/timesheets/entries")
+      .set("Authorization", auth)
+      .send(entryBody(workspace, attributes));
+
+  describe("overlap policy", () => {
+    it("rejects an overlapping entry with the conflicts", async () => {
+      const first = await createEntry({
+        date: "2025-03-03",
+        startTime: "09:00",
+        endTime: "12:00",
+      });
+      assert.equal(first.status, 201);
+
+      const res = await createEntry({
+        date: "2025-03-03",
+        startTime: "11:00",
+        endTime: "13:00",
+      });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.success, false);
+      assert.deepEqual(
+        res.body.conflicts.map((conflict) => conflict.id),
+        [first.body.data.timeEntry.id]
+      );
+      assert.match(res.body.hint, /onOverlap/);
+    });
+
+    it("only warns under the warn policy", async () => {
+      await workspace.organization.update({ overlapPolicy: "warn" });
+      await createEntry({
+        date: "2025-03-03",
+        startTime: "09:00",
+        endTime: "12:00",
+      });
+
+      const res = await createEntry({
+        date: "2025-03-03",
+        startTime: "11:00",
+        endTime: "13:00",
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.warnings.overlappingEntries.length, 1);
+    });
+
+    it("trims and splits the existing entries on request", async () => {
+      const first = await createEntry({
+        date: "2025-03-03",
+        startTime: "09:00",
+        endTime: "17:00",
+      });
+
+      const res = await createEntry({
+        date: "2025-03-03",
+        startTime: "12:00",
+        endTime: "13:00",
+        onOverlap: "trim",
+      });
+      assert.equal(res.status, 201);
+
+      const entries = await models.TimeEntry.findAll({
+        where: { userId: user.id },
+        order: [["startTime", "ASC"]],
+      });
+      assert.deepEqual(
+        entries.map((entry) => [
+          entry.startTime.toISOString().slice(11, 16),
+          entry.endTime.toISOString().slice(11, 16),
+        ]),
+        [
+          ["09:00", "12:00"],
+          ["12:00", "13:00"],
+          ["13:00", "17:00"],
+        ]
+      );
+      assert.equal(entries[0].id, first.body.data.timeEntry.id);
+    });
+
+    it("does not trim an entry dated in a submitted week", async () => {
+      const night = await createEntry({
+        date: "2025-03-09",
+        startTime: "22:00",
+        endTime: "06:00",
+      });
+      assert.equal(night.status, 201);
+      await models.TimesheetPeriod.create({
+        userId: user.id,
+        weekStart: "2025-03-03",
+        status: "approved",
+      });
+
+      const res = await createEntry({
+        date: "2025-03-10",
+        startTime: "05:00",
+        endTime: "08:00",
+        onOverlap: "trim",
+      });
+
+      assert.equal(res.status, 409);
+      const entry = await models.TimeEntry.findByPk(
+        night.body.data.timeEntry.id
+      );
+      assert.equal(entry.endTime.toISOString(), "2025-03-10T06:00:00.000Z");
+    });
+
+    it("does not trim another organization's locked entry", async () => {
+      const other = await createWorkspace(user);
+      const locked = await request(app)
+        .post("/api/timesheets/entries")
+        .set("Authorization", auth)
+        .send(
+          entryBody(other, {
+            date: "2025-03-03",
+            startTime: "09:00",
+            endTime: "12:00",
+          })
+        );
+      await models.LockedPeriod.create({
+        organizationId: other.organization.id,
+        startDate: "2025-03-01",
+        endDate: "2025-03-31",
+      });
+
+      const res = await createEntry({
+        date: "2025-03-03",
+        startTime: "11:00",
+        endTime: "13:00",
+        onOverlap: "trim",
+      });
+
+      assert.equal(res.status, 409);
+      assert.match(res.body.message, /is locked/);
+      const entry = await models.TimeEntry.findByPk(
+        locked.body.data.timeEntry.id
+      );
+      assert.equal(entry.endTime.toISOString(), "2025-03-03T12:00:00.000Z");
+    });
+  });
+
+  describe("locks", () => {
+    it("refuses entries in a submitted week", async () => {
+      await models.TimesheetPeriod.create({
+        userId: user.id,
+        weekStart: "2025-03-03",
+        status: "submitted",
+      });
+
+      const res = await createEntry({
+        date: "2025-03-05",
+        startTime: "09:00",
+        endTime: "10:00",
+      });
+
+      assert.equal(res.status, 409);
+      assert.match(res.body.message, /submitted or approved/);
+    });
+
+    it("refuses entries in a locked accounting period", async () => {
+      await models.LockedPeriod.create({
+        organizationId: workspace.organization.id,
+        startDate: "2025-03-01",
+        endDate: "2025-03-31",
+      });
+
+      const res = await createEntry({
+        date: "2025-03-05",
+        startTime: "09:00",
+        endTime: "10:00",
+      });
+
+      assert.equal(res.status, 409);
+      assert.match(res.body.message, /is locked/);
+    });
+
+    it("lets admins override a locked period with a reason", async () => {
+      const admin = await createUser({ role: "admin" });
+      auth = await authHeader(admin);
+      workspace = await createWorkspace(admin);
+      await models.LockedPeriod.create({
+        organizationId: workspace.organization.id,
+        startDate: "2025-03-01",
+        endDate: "2025-03-31",
+      });
+
+      const withoutReason = await createEntry({
+        date: "2025-03-05",
+        startTime: "09:00",
+        endTime: "10:00",
+      });
+      assert.equal(withoutReason.status, 400);
+
+      const res = await createEntry({
+        date: "2025-03-05",
+        startTime: "09:00",
+        endTime: "10:00",
+        lockOverrideReason: "Late correction",
+      });
+      assert.equal(res.status, 201);
+      assert.equal(
+        await models.LockOverride.count({
+          where: { timeEntryId: res.body.data.timeEntry.id },
+        }),
+        1
+      );
+    });
+
+    it("skips drafts in a submitted week or locked period on confirm", async () => {
+      const ids = [];
+      for (const date of ["2025-03-05", "2025-04-09", "2025-05-07"]) {
+        const res = await createEntry({
+          date,
+          startTime: "09:00",
+          endTime: "10:00",
+        });
+        ids.push(res.body.data.timeEntry.id);
+      }
+      await models.TimeEntry.update({ isDraft: true }, { where: { id: ids } });
+      await models.TimesheetPeriod.create({
+        userId: user.id,
+        weekStart: "2025-03-03",
+        status: "submitted",
+      });
+      await models.LockedPeriod.create({
+        organizationId: workspace.organization.id,
+        startDate: "2025-04-01",
+        endDate: "2025-04-30",
+      });
+
+      const res = await request(app)
+        .post("/api/timesheets/entries/confirm")
+        .set("Authorization", auth)
+        .send({ ids });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.confirmed, 1);
+      assert.deepEqual(
+        res.body.data.skipped.map((skip) => skip.id).sort(),
+        ids.slice(0, 2).sort()
+      );
+      const drafts = await models.TimeEntry.findAll({
+        where: { id: ids, isDraft: true },
+      });
+      assert.equal(drafts.length, 2);
+    });
+  });
+
+  describe("copy", () => {
+    const copy = (mode) =>
+      request(app)
+        .post("/api/timesheets/entries/copy")
+        .set("Authorization", auth)
+        .send({
+          sourceStart: "2025-03-03",
+          targetStart: "2025-03-04",
+          targetEnd: "2025-03-05",
+          mode,
+        });
+
+    beforeEach(async () => {
+      await createEntry({
+        date: "2025-03-03",
+        startTime: "09:00",
+        endTime: "12:00",
+      });
+    });
+
+    it("previews without creating or logging entries", async () => {
+      const info = mock.method(logger, "info");
+      let res;
+      try {
+        res = await copy("preview");
+      } finally {
+        info.mock.restore();
+      }
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.data.results.map((result) => result.status),
+        ["would_create", "would_create"]
+      );
+      assert.equal(
+        await models.TimeEntry.count({ where: { userId: user.id } }),
+        1
+      );
+      assert.equal(info.mock.callCount(), 0);
+    });
+
+    it("creates the entries in commit mode", async () => {
+      const res = await copy("commit");
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.copied, 2);
+      assert.equal(
+        await models.TimeEntry.count({ where: { userId: user.id } }),
+        3
+      );
+    });
+  });
+
+  describe("validation", () => {
+    it("rejects entries with malformed times", async () => {
+      const res = await createEntry({
+        date: "2025-03-03",
+        startTime: "9am",
+        endTime: "2025-03-03T17:00:00Z",
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(
+        res.body.errors.map((error) => error.field),
+        ["startTime", "endTime"]
+      );
+    });
+
+    it("updates the fields the entry form sends", async () => {
+      const created = await createEntry({
+        date: "2025-03-03",
+        startTime: "09:00",
+        endTime: "10:00",
+      });
+      const { id } = created.body.data.timeEntry;
+
+      const partialTimes = await request(app)
+        .put(`/api/timesheets/entries/${id}`)
+        .set("Authorization", auth)
+        .send({ date: "2025-03-04" });
+      assert.equal(partialTimes.status, 400);
+
+      const res = await request(app)
+        .put(`/api/timesheets/entries/${id}`)
+        .set("Authorization", auth)
+        .send({
+          workPlaceType: "home",
+          date: "2025-03-04",
+          startTime: "22:00",
+          endTime: "01:00",
+        });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.timeEntry.workPlaceType, "home");
+      assert.equal(res.body.data.timeEntry.date, "2025-03-04");
+      assert.equal(res.body.data.timeEntry.duration, 180);
+    });
+  });
+
+  describe("batch", () => {
+    it("applies all operations", async () => {
+      const res = await request(app)
+        .post("/api/timesheets/entries/batch")
+        .set("Authorization", auth)
+        .send({
+          operations: [
+            {
+              action: "create",
+              data: entryBody(workspace, {
+                date: "2025-03-03",
+                startTime: "09:00",
+                endTime: "10:00",
+              }),
+            },
+            {
+              action: "create",
+              data: entryBody(workspace, {
+                date: "2025-03-03",
+                startTime: "10:00",
+                endTime: "11:00",
+              }),
+            },
+          ],
+        });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.results.length, 2);
+      assert.equal(
+        await models.TimeEntry.count({ where: { userId: user.id } }),
+        2
+      );
+    });
+
+    it("applies nothing when one operation fails", async () => {
+      const res = await request(app)
+        .post("/api/timesheets/entries/batch")
+        .set("Authorization", auth)
+        .send({
+          operations: [
+            {
+              action: "create",
+              data: entryBody(workspace, {
+                date: "2025-03-03",
+                startTime: "09:00",
+                endTime: "10:00",
+              }),
+            },
+            {
+              action: "create",
+              data: entryBody(workspace, {
+                date: "2025-03-03",
+                startTime: "09:30",
+                endTime: "10:30",
+              }),
+            },
+            {
+              action: "delete",
+              id: "00000000-0000-4000-8000-000000000000",
+            },
+          ],
+        });
+
+      assert.equal(res.status, 400);
+      const [created, overlapping, missing] = res.body.data.results;
+      assert.equal(created.success, true);
+      assert.equal(overlapping.status, 409);
+      assert.equal(overlapping.conflicts.length, 1);
+      assert.equal(missing.status, 404);
+      assert.equal(
+        await models.TimeEntry.count({ where: { userId: user.id } }),
+        0
+      );
+    });
+
+    it("checks each operation's data like the single entry routes", async () => {
+      const res = await request(app)
+        .post("/api/timesheets/entries/batch")
+        .set("Authorization", auth)
+        .send({
+          operations: [
+            {
+              action: "create",
+              data: entryBody(workspace, {
+                date: "2025-03-03",
+                startTime: "9am",
+                endTime: "10:00",
+              }),
+            },
+            {
+              action: "update",
+              id: "00000000-0000-4000-8000-000000000000",
+              data: { billable: "sometimes" },
+            },
+          ],
+        });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(
+        res.body.errors.map((error) => error.field),
+        ["operations.0.data.startTime", "operations.1.data.billable"]
+      );
+    });
+  });
+});
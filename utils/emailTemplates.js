@@ -0,0 +1,114 @@
+// utils/emailTemplates.js
+const config = require("../config");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Build an absolute link into the frontend app
+ */
+const frontendLink = (pathname, params = {}) => {
+  const url = new URL(pathname, config.server.frontendUrl);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return url.toString();
+};
+
+/**
+ * Password reset email
+ */
+const passwordReset = ({ name, token, expiresInMinutes }) => {
+  const link = frontendLink("/reset-password", { token });
+
+  return {
+    subject: "Reset your Time Tracker password",
+    text: [
+      `Hi ${name},`,
+      "",
+      "We received a request to reset your password. Use the link below to choose a new one:",
+      link,
+      "",
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you did not request a password reset, you can ignore this email.",
+    ].join("\n"),
+    html: `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+      <p><a href="${escapeHtml(link)}">Reset password</a></p>
+      <p>The link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p>If you did not request a password reset, you can ignore this email.</p>
+    `,
+  };
+};
+
+/**
+ * Email address verification email
+ */
+const emailVerification = ({ name, token, expiresInHours }) => {
+  const link = frontendLink("/verify-email", { token });
+
+  return {
+    subject: "Confirm your Time Tracker email address",
+    text: [
+      `Hi ${name},`,
+      "",
+      "Please confirm your email address by opening the link below:",
+      link,
+      "",
+      `The link expires in ${expiresInHours} hours.`,
+      "If you did not create an account, you can ignore this email.",
+    ].join("\n"),
+    html: `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Please confirm your email address by opening the link below:</p>
+      <p><a href="${escapeHtml(link)}">Confirm email address</a></p>
+      <p>The link expires in ${expiresInHours} hours.</p>
+      <p>If you did not create an account, you can ignore this email.</p>
+    `,
+  };
+};
+
+/**
+ * Invitation to join one or more organizations
+ */
+const invitation = ({
+  inviterName,
+  token,
+  organizationNames,
+  expiresInDays,
+}) => {
+  const link = frontendLink("/accept-invitation", { token });
+  const organizations = organizationNames.join(", ");
+
+  return {
+    subject: `You have been invited to ${organizations} on Time Tracker`,
+    text: [
+      "Hi,",
+      "",
+      `${inviterName} has invited you to join ${organizations} on Time Tracker.`,
+      "Open the link below to set your password and activate your account:",
+      link,
+      "",
+      `The invitation expires in ${expiresInDays} days.`,
+    ].join("\n"),
+    html: `
+      <p>Hi,</p>
+      <p>${escapeHtml(inviterName)} has invited you to join ${escapeHtml(organizations)} on Time Tracker.</p>
+      <p>Open the link below to set your password and activate your account:</p>
+      <p><a href="${escapeHtml(link)}">Accept invitation</a></p>
+      <p>The invitation expires in ${expiresInDays} days.</p>
+    `,
+  };
+};
+
+module.exports = {
+  frontendLink,
+  passwordReset,
+  emailVerification,
+  invitation,
+};
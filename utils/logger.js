@@ -65,6 +65,8 @@ const transports = [
   new winston.transports.Console({
     level: level(),
     format: consoleFormat,
+    // Keep test output readable; the log file still has everything
+    silent: process.env.NODE_ENV === "test",
   }),
   new winston.transports.File({
     filename: path.join(logsDir, "combined.log"),
@@ -0,0 +1,118 @@
+// utils/mailer.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const config = require("../config");
+const logger = require("./logger");
+
+/**
+ * SMTP transport: delivers mail through the configured relay
+ */
+const createSmtpTransport = () => {
+  const { host, port, secure, user, password } = config.mail.smtp;
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass: password } }),
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+/**
+ * File transport: writes every message as JSON to the outbox folder so
+ * emails can be inspected locally and in tests without a mail server
+ */
+const createFileTransport = () => {
+  const outboxDir = path.resolve(process.cwd(), config.mail.outboxDir);
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto.randomUUID()}`;
+      const filePath = path.join(outboxDir, `${messageId}.json`);
+
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify(
+          { messageId, createdAt: new Date().toISOString(), ...message },
+          null,
+          2
+        )
+      );
+
+      return { messageId, filePath };
+    },
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+};
+
+let transport = null;
+
+/**
+ * Lazily build the transport selected by config.mail.transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    const factory = transportFactories[config.mail.transport];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${config.mail.transport}"`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with an in-memory one in tests)
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const activeTransport = getTransport();
+
+  const result = await activeTransport.send({
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  logger.info("Email sent", {
+    action: "send_mail",
+    transport: activeTransport.name,
+    email: to,
+    subject,
+  });
+
+  return result;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+};
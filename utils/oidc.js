@@ -0,0 +1,200 @@
+// utils/oidc.js - Minimal OpenID Connect relying party (authorization code + PKCE)
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000; // 1 hour
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+
+  return body;
+};
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ */
+const getProviderMetadata = async () => {
+  if (discoveryCache && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const issuer = config.oidc.issuer.replace(/\/$/, "");
+  const metadata = await fetchJson(
+    config.oidc.discoveryUrl || `${issuer}/.well-known/openid-configuration`
+  );
+
+  discoveryCache = { metadata, expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+  return metadata;
+};
+
+/**
+ * Find the signing key for a token, refetching the JWKS once on a miss so
+ * provider key rotation is picked up
+ */
+const getSigningKey = async (kid) => {
+  const metadata = await getProviderMetadata();
+
+  const findKey = () =>
+    jwksCache.keys.find((key) => key.kid === kid) ||
+    (!kid && jwksCache.keys.length === 1 ? jwksCache.keys[0] : null);
+
+  if (!jwksCache || jwksCache.expiresAt < Date.now() || !findKey()) {
+    const { keys = [] } = await fetchJson(metadata.jwks_uri);
+    jwksCache = { keys, expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error(`No signing key found for kid "${kid}"`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Random state, nonce and PKCE verifier/challenge for one login attempt
+ */
+const createAuthorizationRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(16)),
+    nonce: base64url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64url(
+      crypto.createHash("sha256").update(codeVerifier).digest()
+    ),
+  };
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const metadata = await getProviderMetadata();
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.oidc.clientId,
+    redirect_uri: config.oidc.redirectUri,
+    scope: config.oidc.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Exchange the authorization code for tokens at the token endpoint
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const metadata = await getProviderMetadata();
+
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: config.oidc.redirectUri,
+    client_id: config.oidc.clientId,
+    code_verifier: codeVerifier,
+  });
+
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (config.oidc.clientSecret) {
+    const credentials = Buffer.from(
+      `${encodeURIComponent(config.oidc.clientId)}:${encodeURIComponent(
+        config.oidc.clientSecret
+      )}`
+    ).toString("base64");
+    headers.Authorization = `Basic ${credentials}`;
+  }
+
+  return fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers,
+    body: body.toString(),
+  });
+};
+
+/**
+ * Verify the ID token signature and standard claims, returning the claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const metadata = await getProviderMetadata();
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error("ID token is not a valid JWT");
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+    issuer: metadata.issuer,
+    audience: config.oidc.clientId,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce does not match");
+  }
+
+  return claims;
+};
+
+/**
+ * Fetch extra claims (e.g. groups) when the ID token does not carry them
+ */
+const fetchUserInfo = async (accessToken) => {
+  const metadata = await getProviderMetadata();
+  if (!metadata.userinfo_endpoint) return {};
+
+  return fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+};
+
+/**
+ * Translate IdP groups into an application role and the organizations the
+ * user should belong to. With custom roles there is no natural ranking, so
+ * the first entry of the role mapping that matches one of the groups wins.
+ */
+const mapGroups = (groups = []) => {
+  const { roleMapping, organizationMapping } = config.oidc;
+
+  const roleEntry = Object.entries(roleMapping).find(([group]) =>
+    groups.includes(group)
+  );
+
+  const organizationIds = new Set();
+  groups.forEach((group) => {
+    []
+      .concat(organizationMapping[group] || [])
+      .forEach((orgId) => organizationIds.add(orgId));
+  });
+
+  return {
+    role: roleEntry ? roleEntry[1] : null,
+    organizationIds: [...organizationIds],
+  };
+};
+
+module.exports = {
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+  mapGroups,
+};
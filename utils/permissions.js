@@ -0,0 +1,45 @@
+// utils/permissions.js - Named permissions and the built-in roles
+
+const PERMISSIONS = {
+  // Any user's profile, login history and timesheets
+  USERS_READ: "users:read",
+  // Create, update and delete users, sessions, invitations, service accounts
+  USERS_MANAGE: "users:manage",
+  ROLES_MANAGE: "roles:manage",
+  SETTINGS_MANAGE: "settings:manage",
+  // Create organizations and act as owner of every organization
+  ORGANIZATIONS_MANAGE: "organizations:manage",
+  PROCESSES_MANAGE: "processes:manage",
+  // Every user's timesheets (e.g. payroll exports)
+  TIMESHEETS_READ_ALL: "timesheets:read_all",
+  TIMESHEETS_APPROVE: "timesheets:approve",
+  // Change entries inside closed accounting periods (with a reason)
+  TIMESHEETS_OVERRIDE_LOCK: "timesheets:override_lock",
+  // Same as users:read and timesheets:approve, limited to direct reports
+  TEAM_READ: "team:read",
+  TEAM_APPROVE: "team:approve",
+};
+
+// Grants every permission, including ones added in later releases
+const ALL_PERMISSIONS = "*";
+
+const DEFAULT_ROLES = {
+  user: {
+    description: "Tracks their own time",
+    permissions: [],
+  },
+  manager: {
+    description: "Sees and approves the timesheets of their direct reports",
+    permissions: [PERMISSIONS.TEAM_READ, PERMISSIONS.TEAM_APPROVE],
+  },
+  admin: {
+    description: "Full access",
+    permissions: [ALL_PERMISSIONS],
+  },
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+};
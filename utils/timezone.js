@@ -0,0 +1,140 @@
+// utils/timezone.js - Wall-clock conversions in IANA time zones (via Intl)
+const config = require("../config");
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Zone of the first candidate that sets a valid one, e.g.
+ * resolveTimeZone(user, organization), falling back to the server default
+ */
+const resolveTimeZone = (...candidates) => {
+  for (const candidate of candidates) {
+    if (candidate && isValidTimeZone(candidate.timezone)) {
+      return candidate.timezone;
+    }
+  }
+  return config.server.timezone;
+};
+
+/**
+ * Wall-clock day (YYYY-MM-DD) and time (HH:mm:ss) of an instant in the zone
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(new Date(date))
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+  };
+};
+
+// Today (or the day of `date`) in the zone as YYYY-MM-DD
+const getZonedDay = (timeZone, date = new Date()) =>
+  getZonedParts(date, timeZone).day;
+
+// Minutes the zone is ahead of UTC at the instant
+const getOffset = (date, timeZone) => {
+  const { day, time } = getZonedParts(date, timeZone);
+  const wallClock = new Date(`${day}T${time}Z`);
+  return Math.round((wallClock - date) / 60000);
+};
+
+/**
+ * Instant of a wall-clock day (YYYY-MM-DD) and time (HH:mm[:ss]) in the zone.
+ * Times repeated when clocks go back resolve to the first occurrence, times
+ * skipped when they go forward move ahead by the size of the gap.
+ */
+const zonedTimeToUtc = (day, time, timeZone) => {
+  const wallClock = new Date(
+    `${day}T${time.length === 5 ? `${time}:00` : time}Z`
+  );
+  if (isNaN(wallClock)) return wallClock;
+
+  // The offsets in effect on either side of a possible transition
+  const offsetBefore = getOffset(new Date(wallClock - 86400000), timeZone);
+  const offsetAfter = getOffset(new Date(+wallClock + 86400000), timeZone);
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .sort((a, b) => b - a)
+    .map((offset) => new Date(wallClock - offset * 60000));
+
+  const { day: wallDay, time: wallTime } = getZonedParts(wallClock, "UTC");
+  const match = candidates.find((candidate) => {
+    const parts = getZonedParts(candidate, timeZone);
+    return parts.day === wallDay && parts.time === wallTime;
+  });
+
+  return match || new Date(wallClock - offsetBefore * 60000);
+};
+
+// YYYY-MM-DD `days` after the given day
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Cut [start, end) at midnight in the zone: one { day, start, end } piece
+ * per calendar day the interval touches
+ */
+const splitByDay = (start, end, timeZone) => {
+  const pieces = [];
+  let from = new Date(start);
+  let day = getZonedDay(timeZone, from);
+
+  while (from < end) {
+    const nextDay = addDays(day, 1);
+    const midnight = zonedTimeToUtc(nextDay, "00:00", timeZone);
+    const to = midnight < end ? midnight : new Date(end);
+
+    pieces.push({ day, start: from, end: to });
+    from = to;
+    day = nextDay;
+  }
+
+  return pieces;
+};
+
+module.exports = {
+  addDays,
+  splitByDay,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getZonedDay,
+  zonedTimeToUtc,
+};
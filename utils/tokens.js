@@ -0,0 +1,19 @@
+// utils/tokens.js
+const crypto = require("crypto");
+
+/**
+ * Hash an opaque token before it is stored or looked up in the database
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Generate a URL-safe random token to hand out to a user (email links etc.)
+ */
+const generateRandomToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+module.exports = {
+  hashToken,
+  generateRandomToken,
+};
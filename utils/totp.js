@@ -0,0 +1,183 @@
+// utils/totp.js - RFC 6238 time-based one-time passwords
+const crypto = require("crypto");
+const config = require("../config");
+const { hashToken } = require("./tokens");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new base32 encoded shared secret (160 bits, as RFC 4226 advises)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP value for a given counter (RFC 4226)
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const generateTotp = (secret, time = Date.now()) =>
+  generateHotp(secret, currentStep(time));
+
+/**
+ * Check a code against the current step and `window` steps either side to
+ * allow for clock drift. Returns the matching step or null.
+ */
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep(time);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(generateHotp(secret, step + drift));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI understood by authenticator apps
+ */
+const buildOtpauthUri = ({ secret, accountName }) => {
+  const issuer = config.security.twoFactorIssuer;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are stored encrypted so a database dump alone cannot mint codes
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(config.security.twoFactorEncryptionKey || config.jwt.secret)
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+/**
+ * Generate one-time recovery codes. Returns the plain codes (shown to the
+ * user once) and their hashes (stored).
+ */
+const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const hashRecoveryCode = (code) => hashToken(String(code).trim().toLowerCase());
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
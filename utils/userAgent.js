@@ -0,0 +1,44 @@
+// utils/userAgent.js - Turn a User-Agent header into a readable device label
+
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Safari", /Safari\//],
+];
+
+const PLATFORMS = [
+  ["iPhone", /iPhone/],
+  ["iPad", /iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["ChromeOS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+const match = (list, userAgent) => {
+  const entry = list.find(([, pattern]) => pattern.test(userAgent));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Describe the device behind a User-Agent, e.g. "Chrome on Windows".
+ * Non-browser clients (curl, SDKs, ...) are labelled by their product token.
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  if (browser || platform) return browser || platform;
+
+  return userAgent.split(/[\s/]/)[0].slice(0, 100) || "Unknown device";
+};
+
+module.exports = {
+  describeDevice,
+};